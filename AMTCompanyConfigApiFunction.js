@@ -0,0 +1,115 @@
+// Import utility functions for company configuration management
+import {
+    getCompanyRecord,
+    putCompanyRecord,
+    deleteCompanyRecord,
+    importCompanyRecords,
+    exportCompanyRecords,
+    diffCompanyConfig,
+    listCompanyVersions,
+    getCompanyVersion
+} from './textract-utils.js';
+
+/**
+ * Builds an API Gateway proxy response
+ */
+function respond(statusCode, body) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * AWS Lambda handler for the company configuration API (API Gateway proxy integration)
+ * Records are validated before every write; invalid records are rejected with 422 and nothing is written
+ * Every write creates a new immutable config version; a concurrent write to the same company is rejected with 409
+ *
+ * Routes:
+ *   GET    /companies             - list companies with their field counts and target tables
+ *   GET    /companies/export      - every company record
+ *   GET    /companies/{company}   - one company record
+ *   GET    /companies/{company}/versions                  - the company's config versions, newest first
+ *   GET    /companies/{company}/versions/{configVersion}  - one config version
+ *   PUT    /companies/{company}   - create or replace a record (body: the record)
+ *   DELETE /companies/{company}   - delete a record
+ *   POST   /companies/import      - { records, dryRun } bulk write, skipping unchanged records
+ *   POST   /companies/diff        - { records } compared with the live table
+ */
+export const handler = async (event) => {
+    console.log('=== COMPANY CONFIG API REQUEST ===');
+    console.log(`${event.httpMethod} ${event.resource}`);
+
+    try {
+        const company = event.pathParameters?.company
+            ? decodeURIComponent(event.pathParameters.company)
+            : null;
+        const body = event.body ? JSON.parse(event.body) : {};
+        const route = `${event.httpMethod} ${event.resource}`;
+
+        switch (route) {
+            case 'GET /companies': {
+                const records = await exportCompanyRecords();
+                const companies = records.map(record => ({
+                    company: record.company,
+                    fields: (record.fields || []).length,
+                    targetTables: record.targetTables || []
+                }));
+                return respond(200, { count: companies.length, companies });
+            }
+            case 'GET /companies/export': {
+                const records = await exportCompanyRecords();
+                return respond(200, { count: records.length, records });
+            }
+            case 'GET /companies/{company}': {
+                const record = await getCompanyRecord(company);
+                return record ? respond(200, record) : respond(404, { message: `Company not found: ${company}` });
+            }
+            case 'GET /companies/{company}/versions': {
+                const versions = await listCompanyVersions(company);
+                return respond(200, { company, count: versions.length, versions });
+            }
+            case 'GET /companies/{company}/versions/{configVersion}': {
+                const configVersion = Number(event.pathParameters.configVersion);
+                const version = await getCompanyVersion(company, configVersion);
+                return version
+                    ? respond(200, version)
+                    : respond(404, { message: `Version ${event.pathParameters.configVersion} of ${company} not found` });
+            }
+            case 'PUT /companies/{company}': {
+                if (body.company !== undefined && body.company !== company) {
+                    return respond(400, { message: `Record is for '${body.company}', not '${company}'` });
+                }
+                const record = await putCompanyRecord({ ...body, company });
+                return respond(200, record);
+            }
+            case 'DELETE /companies/{company}': {
+                const record = await deleteCompanyRecord(company);
+                return record ? respond(200, { deleted: record }) : respond(404, { message: `Company not found: ${company}` });
+            }
+            case 'POST /companies/import': {
+                const outcome = await importCompanyRecords(body.records, { dryRun: body.dryRun === true });
+                return respond(200, { dryRun: body.dryRun === true, ...outcome });
+            }
+            case 'POST /companies/diff': {
+                if (!Array.isArray(body.records)) {
+                    return respond(400, { message: 'records must be a list of company records' });
+                }
+                return respond(200, await diffCompanyConfig(body.records));
+            }
+            default:
+                return respond(404, { message: `Unknown route: ${route}` });
+        }
+    } catch (error) {
+        console.error('❌ Company config API error:', error);
+        if (error.name === 'ValidationError') {
+            return respond(422, { message: error.message, validation: error.validation });
+        }
+        if (error.name === 'ConflictError') {
+            return respond(409, { message: error.message });
+        }
+        const badRequest = error instanceof SyntaxError || /expects a list/.test(error.message);
+        return respond(badRequest ? 400 : 500, { message: error.message });
+    }
+};
@@ -0,0 +1,77 @@
+// Import utility functions for the human-review queue
+import {
+    REVIEW_STATUS,
+    listReviews,
+    getReview,
+    approveReview,
+    rejectReview
+} from './textract-utils.js';
+
+/**
+ * Builds an API Gateway proxy response
+ */
+function respond(statusCode, body) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * AWS Lambda handler for the review queue API (API Gateway proxy integration)
+ *
+ * Routes:
+ *   GET  /reviews?status=PENDING_REVIEW   - list queue entries
+ *   GET  /reviews/{reviewId}              - fetch one entry with its extracted result
+ *   POST /reviews/{reviewId}/approve      - { reviewer, corrections: { company, documentType, fields, items } }
+ *   POST /reviews/{reviewId}/reject       - { reviewer, reason }
+ */
+export const handler = async (event) => {
+    console.log('=== REVIEW API REQUEST ===');
+    console.log(`${event.httpMethod} ${event.resource}`);
+
+    try {
+        const reviewId = event.pathParameters?.reviewId
+            ? decodeURIComponent(event.pathParameters.reviewId)
+            : null;
+        const body = event.body ? JSON.parse(event.body) : {};
+        const route = `${event.httpMethod} ${event.resource}`;
+
+        switch (route) {
+            case 'GET /reviews': {
+                const status = event.queryStringParameters?.status || REVIEW_STATUS.PENDING_REVIEW;
+                if (!Object.values(REVIEW_STATUS).includes(status)) {
+                    return respond(400, { message: `Unknown review status: ${status}` });
+                }
+                const reviews = await listReviews(status);
+                return respond(200, { status, count: reviews.length, reviews });
+            }
+            case 'GET /reviews/{reviewId}': {
+                const review = await getReview(reviewId);
+                return review ? respond(200, review) : respond(404, { message: `Review not found: ${reviewId}` });
+            }
+            case 'POST /reviews/{reviewId}/approve': {
+                const review = await approveReview(reviewId, { corrections: body.corrections, reviewer: body.reviewer });
+                return respond(200, review);
+            }
+            case 'POST /reviews/{reviewId}/reject': {
+                const review = await rejectReview(reviewId, { reason: body.reason, reviewer: body.reviewer });
+                return respond(200, review);
+            }
+            default:
+                return respond(404, { message: `Unknown route: ${route}` });
+        }
+    } catch (error) {
+        console.error('❌ Review API error:', error);
+        if (error.name === 'ValidationError') {
+            return respond(422, { message: error.message, validation: error.validation });
+        }
+        if (error.name === 'PublishError') {
+            return respond(502, { message: error.message, storage: error.storage });
+        }
+        const conflict = error.name === 'ConditionalCheckFailedException' || /already|not in status/.test(error.message);
+        const notFound = /not found/i.test(error.message) && !conflict;
+        return respond(conflict ? 409 : notFound ? 404 : 500, { message: error.message });
+    }
+};
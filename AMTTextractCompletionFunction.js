@@ -0,0 +1,48 @@
+// Import utility functions for async job completion
+import {
+    JOB_STATUS,
+    completeTextractJob
+} from './textract-utils.js';
+
+// Stop collecting batches when less than this much Lambda time is left
+const RESUME_MARGIN_MS = 60 * 1000;
+
+/**
+ * AWS Lambda handler for async Textract job completion
+ * Triggered by the Textract SNS notification channel once a StartDocumentAnalysis job finishes
+ *
+ * Event structure: SNS event whose message holds JobId and Status,
+ *                  or { jobId } to resume an interrupted job manually
+ * Returns: Final state of each job handled
+ */
+export const handler = async (event, lambdaContext) => {
+    console.log('=== TEXTRACT JOB COMPLETION STARTED ===');
+    console.log('Processing event:', JSON.stringify(event, null, 2));
+
+    const notifications = event.Records
+        ? event.Records.map(record => JSON.parse(record.Sns.Message))
+        : [{ JobId: event.jobId }];
+
+    const shouldStop = () => Boolean(lambdaContext?.getRemainingTimeInMillis)
+        && lambdaContext.getRemainingTimeInMillis() < RESUME_MARGIN_MS;
+
+    const jobs = [];
+    for (const notification of notifications) {
+        console.log(`\n--- Completing job ${notification.JobId} (Textract status: ${notification.Status || 'n/a'}) ---`);
+        const job = await completeTextractJob(notification.JobId, {
+            textractStatus: notification.Status,
+            shouldStop
+        });
+
+        if (job.status === JOB_STATUS.IN_PROGRESS) {
+            // Progress is saved in the job store; failing the invocation lets Lambda's async retry resume it
+            throw new Error(`Job ${job.jobId} interrupted after batch ${job.batchCount}, will resume on retry`);
+        }
+
+        console.log(`✅ Job ${job.jobId} finished with status ${job.status}`);
+        jobs.push({ jobId: job.jobId, status: job.status, resultsCount: job.resultsCount || 0, storage: job.storage || null });
+    }
+
+    console.log('\n=== JOB COMPLETION FINISHED ===');
+    return { statusCode: 200, body: JSON.stringify({ jobs }) };
+};
@@ -2,30 +2,63 @@
 import {
     getPageCount,
     getAllCompanyRecords,
+    getNotificationChannel,
+    startAsyncTextractJob,
     processSinglePageDocument,
-    processMultiPageDocument
+    processMultiPageDocument,
+    queueResultsForReview,
+    publishResults,
+    checkDocumentIdempotency,
+    recordDocumentStatus,
+    DOCUMENT_STATUS
 } from './textract-utils.js';
 
 /**
  * AWS Lambda handler for enhanced Textract document processing
  * Processes documents from S3, extracts company-specific fields, and stores results in DynamoDB
  * 
- * Event structure: S3 event notification with document upload details
+ * Event structure: S3 event notification with document upload details; set force: true to reprocess
  * Returns: Success/error response with processing results
  */
 export const handler = async (event) => {
     console.log('=== TEXTRACT ENHANCED PROCESSING STARTED ===');
     console.log('Processing event:', JSON.stringify(event, null, 2));
+    const startedAt = Date.now();
     
     let s3Location;
     try {
         // Extract S3 location from the incoming event
         s3Location = {
             bucket: event.Records[0].s3.bucket.name,
-            key: decodeURIComponent(event.Records[0].s3.object.key.replace(/\+/g, ' '))
+            key: decodeURIComponent(event.Records[0].s3.object.key.replace(/\+/g, ' ')),
+            versionId: event.Records[0].s3.object.versionId
         };
         console.log(`📄 Processing document: s3://${s3Location.bucket}/${s3Location.key}`);
 
+        // Step 0: Skip documents already processed, e.g. retried events or re-uploads of the same file
+        console.log('\n--- Step 0: Checking for already-processed content ---');
+        const force = event.force === true || process.env.FORCE_REPROCESS === 'true';
+        const idempotency = await checkDocumentIdempotency(s3Location, { force });
+        if (idempotency.action !== 'process') {
+            console.log(`⏭️ ${idempotency.action === 'skip' ? 'Skipping' : 'Duplicate of an earlier upload'}: ${idempotency.reason}`);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    status: idempotency.action === 'skip' ? 'SKIPPED' : 'DUPLICATE',
+                    reason: idempotency.reason,
+                    documentId: idempotency.documentId,
+                    original: {
+                        bucket: idempotency.document.bucket,
+                        key: idempotency.document.key,
+                        status: idempotency.document.status,
+                        resultsCount: idempotency.document.resultsCount ?? null
+                    }
+                })
+            };
+        }
+        s3Location.contentHash = idempotency.fingerprint.contentHash;
+        console.log(`🔑 Document ID: ${idempotency.documentId} (${idempotency.reason})`);
+
         // Step 1: Determine document type (single vs multi-page)
         console.log('\n--- Step 1: Analyzing document structure ---');
         const pageCount = await getPageCount(s3Location.bucket, s3Location.key);
@@ -33,6 +66,23 @@ export const handler = async (event) => {
         console.log(`📊 Document analysis: ${pageCount} page(s) detected`);
         console.log(`🔄 Processing mode: ${isMultiPage ? 'Multi-page (Async)' : 'Single-page (Sync)'}`);
 
+        // Multi-page jobs with a notification channel finish in AMTTextractCompletionFunction
+        if (isMultiPage && getNotificationChannel()) {
+            console.log('\n--- Step 2: Starting async Textract job ---');
+            const jobId = await startAsyncTextractJob(s3Location);
+            console.log(`📨 Job ${jobId} started, completion will be handled via SNS`);
+            await recordDocumentStatus(s3Location, DOCUMENT_STATUS.PROCESSING, { jobId });
+            return {
+                statusCode: 202,
+                body: JSON.stringify({
+                    status: 'PENDING',
+                    documentId: idempotency.documentId,
+                    pageCount,
+                    jobId
+                })
+            };
+        }
+
         // Step 2: Load company configuration for multi-page documents
         let companyRecords = [];
         if (isMultiPage) {
@@ -55,13 +105,39 @@ export const handler = async (event) => {
         }
         console.log(`✅ Processing completed. Results generated: ${processingResults.length}`);
 
+        // Step 4: Route low-confidence results to the human-review queue
+        console.log('\n--- Step 4: Review routing ---');
+        const review = await queueResultsForReview(processingResults, s3Location);
+        console.log(`📝 ${review.queued.length} result(s) queued for review, ${review.autoApproved} auto-approved`);
+
+        // Step 5: Publish approved results to the companies' target tables and sinks
+        // Reprocessed documents may already have rows, so those writes only replace older versions
+        console.log('\n--- Step 5: Publishing results ---');
+        const storage = await publishResults(processingResults, s3Location, {
+            version: startedAt,
+            conditional: idempotency.reason !== 'new document'
+        });
+        console.log(`💾 ${storage.written} row(s) written, ${storage.stale} stale, ${storage.failed} failed`);
+        console.log(`📤 ${storage.sinks.length} sink delivery(ies), ${storage.sinkFailures} result(s) undelivered`);
+        const publishFailed = storage.failed > 0 || storage.sinkFailures > 0;
+
+        // Failed writes leave the document retryable
+        await recordDocumentStatus(
+            s3Location,
+            publishFailed ? DOCUMENT_STATUS.FAILED : DOCUMENT_STATUS.PROCESSED,
+            { resultsCount: processingResults.length }
+        );
+
         // Return success response
         const response = {
             statusCode: 200,
             body: JSON.stringify({
-                status: 'SUCCESS',
+                status: publishFailed ? 'PARTIAL_SUCCESS' : 'SUCCESS',
+                documentId: idempotency.documentId,
                 pageCount,
                 resultsCount: processingResults.length,
+                review,
+                storage,
                 results: processingResults
             })
         };
@@ -74,6 +150,13 @@ export const handler = async (event) => {
         console.error('\n❌ === PROCESSING FAILED ===');
         console.error('Error details:', error);
         console.error('Stack trace:', error.stack);
+
+        // Mark the document as failed so the next event for it is processed again
+        try {
+            await recordDocumentStatus(s3Location, DOCUMENT_STATUS.FAILED, { error: error.message });
+        } catch (registryError) {
+            console.error('Failed to record document failure:', registryError);
+        }
         
         const errorResponse = {
             statusCode: 500,
@@ -1,10 +1,20 @@
 import { TextractClient, AnalyzeDocumentCommand } from '@aws-sdk/client-textract';
 import { S3Client } from '@aws-sdk/client-s3';
+import { normalizeFieldValue } from './field-types.js';
+import { findKeyValue, checkDocumentIdempotency, recordDocumentStatus, DOCUMENT_STATUS } from './textract-utils.js';
+
+// Target fields, matched on normalized keys so 'Deliver to' / 'Deliver to:' / 'DELIVER TO' all resolve
+const TARGET_FIELDS = {
+    orderNumber: { name: 'Your Order No', aliases: ['Order No', 'Order Number'], match: { fuzzy: true, threshold: 0.85 } },
+    deliverTo: { name: 'Deliver to', aliases: ['Delivery Address', 'Ship to'], match: { fuzzy: true, threshold: 0.85 } },
+    date: { name: 'Date', aliases: ['Order Date'] }
+};
 
 const textractClient = new TextractClient({});
 const s3Client = new S3Client({});
 
 export const handler = async (event) => {
+    let s3Location;
     try {
         console.log('Event:', JSON.stringify(event));
         // Get the PDF file from S3
@@ -13,6 +23,17 @@ export const handler = async (event) => {
 
         console.log('Bucket:', bucket);
         console.log('Key:', key);
+
+        // Skip content that was already processed, unless forced
+        const idempotency = await checkDocumentIdempotency({ bucket, key }, { force: event.force === true });
+        if (idempotency.action !== 'process') {
+            console.log(`Not processing (${idempotency.action}): ${idempotency.reason}`);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ status: idempotency.action === 'skip' ? 'SKIPPED' : 'DUPLICATE', reason: idempotency.reason, documentId: idempotency.documentId })
+            };
+        }
+        s3Location = { bucket, key, contentHash: idempotency.fingerprint.contentHash };
         
         const params = {
             Document: {
@@ -41,16 +62,12 @@ export const handler = async (event) => {
         console.log('Key-Value Pairs:', keyValuePairs);
         
         // Extract the values we need
-        if (keyValuePairs['Your Order No']) {
-            result.orderNumber = keyValuePairs['Your Order No'];
-        }
-        
-        if (keyValuePairs['Deliver to:']) {
-            result.deliverTo = keyValuePairs['Deliver to:'];
-        }
-        
-        if (keyValuePairs['Date:']) {
-            result.date = keyValuePairs['Date:'];
+        for (const [resultKey, field] of Object.entries(TARGET_FIELDS)) {
+            const match = findKeyValue(keyValuePairs, field);
+            if (match) {
+                result[resultKey] = match.value;
+                console.log(`${resultKey} matched key '${match.key}' (${match.method})`);
+            }
         }
         
         // If not found in key-value pairs, try alternative approach
@@ -68,12 +85,16 @@ export const handler = async (event) => {
             }
             
             if (!result.date) {
-                const dateMatch = text.match(/Date:\s*([0-9\/]+)/);
+                const dateMatch = text.match(/Date:\s*([0-9]{1,4}[-\/.][0-9A-Za-z]{1,9}[-\/.][0-9]{2,4}|[A-Za-z]{3,9}\.? [0-9]{1,2},? [0-9]{4}|[0-9]{1,2} [A-Za-z]{3,9}\.? [0-9]{2,4})/);
                 if (dateMatch) result.date = dateMatch[1].trim();
             }
         }
 
+        // Normalized ISO date alongside the raw text
+        result.dateIso = normalizeFieldValue(result.date, { name: 'date', type: 'date' }).value;
+
         console.log('Extracted Result:', result);
+        await recordDocumentStatus(s3Location, DOCUMENT_STATUS.PROCESSED, { resultsCount: 1 });
         
         return {
             statusCode: 200,
@@ -82,6 +103,8 @@ export const handler = async (event) => {
         
     } catch (error) {
         console.error('Error:', error);
+        await recordDocumentStatus(s3Location, DOCUMENT_STATUS.FAILED, { error: error.message }).catch(registryError =>
+            console.error('Failed to record document failure:', registryError));
         return {
             statusCode: 500,
             body: JSON.stringify({error: error.message})
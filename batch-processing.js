@@ -0,0 +1,301 @@
+// Local batch processing: file discovery, bounded concurrency, throttling retries and summary reports
+import fs from 'fs';
+import path from 'path';
+import { withRetry } from './result-sinks.js';
+
+// Documents Textract analyzes
+const DOCUMENT_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Files written by a batch run, never picked up as input by a later one
+const RESULT_SUFFIX = '.result.json';
+const SUMMARY_FILE = 'batch-summary.json';
+
+// Saved response `analyze` writes beside a document (document.pdf.textract.json); directory walks
+// replay only these, so other JSON files (configs, labels, exports) are never mistaken for responses
+const SAVED_RESPONSE_SUFFIX = '.textract.json';
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+/**
+ * Converts a glob pattern to a regular expression over '/'-separated relative paths
+ * Supports '**' (any depth), '*', '?', '[...]' and '{a,b}'
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        const character = pattern[index];
+        if (character === '*' && pattern[index + 1] === '*') {
+            // '**/' matches zero or more directories
+            source += pattern[index + 2] === '/' ? '(?:.*/)?' : '.*';
+            index += pattern[index + 2] === '/' ? 2 : 1;
+        } else if (character === '*') {
+            source += '[^/]*';
+        } else if (character === '?') {
+            source += '[^/]';
+        } else if (character === '[') {
+            const end = pattern.indexOf(']', index);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(index + 1, end).replace(/^!/, '^')}]`;
+                index = end;
+            }
+        } else if (character === '{') {
+            const end = pattern.indexOf('}', index);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${pattern.slice(index + 1, end).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`;
+                index = end;
+            }
+        } else {
+            source += character.replace(/[.+^$()|\\\]}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Lists every file under a directory, skipping the excluded directories and earlier batch output
+ */
+function walkFiles(directory, exclude) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .flatMap(entry => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return exclude.has(path.resolve(entryPath)) ? [] : walkFiles(entryPath, exclude);
+            }
+            const isBatchOutput = entry.name.endsWith(RESULT_SUFFIX) || entry.name === SUMMARY_FILE;
+            return entry.isFile() && !isBatchOutput ? [entryPath] : [];
+        });
+}
+
+/**
+ * Drops saved responses whose source document is also selected, so each document is processed once
+ * A saved response on its own is kept and replayed
+ */
+function dropDuplicateResponses(files) {
+    const selected = new Set(files);
+    return files.filter(file => !(file.endsWith(SAVED_RESPONSE_SUFFIX)
+        && selected.has(file.slice(0, -SAVED_RESPONSE_SUFFIX.length))));
+}
+
+/**
+ * Finds the documents to process from a directory, a glob pattern or a single file
+ * Directories are walked recursively for documents and saved responses (*.textract.json); a glob or a
+ * single file selects exactly what it names. A document's saved response is skipped when the document itself is selected
+ * Returns { baseDir, files }, where baseDir is the directory result paths are made relative to
+ *
+ * Options:
+ *   exclude - directories never walked, such as the batch's own output directory
+ */
+function findDocuments(input, options = {}) {
+    const exclude = new Set((options.exclude || []).map(directory => path.resolve(directory)));
+    const isDocument = file => DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase())
+        || file.toLowerCase().endsWith(SAVED_RESPONSE_SUFFIX);
+
+    if (!GLOB_CHARACTERS.test(input)) {
+        const inputPath = path.resolve(input);
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`Input not found: ${input}`);
+        }
+        if (fs.statSync(inputPath).isDirectory()) {
+            return { baseDir: inputPath, files: dropDuplicateResponses(walkFiles(inputPath, exclude).filter(isDocument)) };
+        }
+        return { baseDir: path.dirname(inputPath), files: [inputPath] };
+    }
+
+    // Walk from the pattern's static prefix and match the remainder
+    const segments = input.split(/[\\/]/);
+    const firstGlob = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+    const baseDir = path.resolve(segments.slice(0, firstGlob).join('/') || '.');
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+    if (!fs.existsSync(baseDir)) {
+        throw new Error(`Input not found: ${input}`);
+    }
+    const files = walkFiles(baseDir, exclude)
+        .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+    return { baseDir, files: dropDuplicateResponses(files) };
+}
+
+/**
+ * Runs worker over items with at most `concurrency` in flight, keeping results in item order
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Detects throttling and capacity errors from Textract and DynamoDB
+ */
+function isThrottlingError(error) {
+    return Boolean(error.$retryable?.throttling)
+        || /Throttl|ProvisionedThroughputExceeded|LimitExceeded|TooManyRequests/.test(error.name || '');
+}
+
+/**
+ * Classifies a document's results: success when every result has a company, every field and passes
+ * blocking validation; partial otherwise
+ */
+function getDocumentStatus(results) {
+    const complete = results.length > 0 && results.every(result =>
+        result.company
+        && !result.validation?.blocking
+        && Object.values(result.extractedFields || {}).every(value => value !== null && value !== '')
+    );
+    return complete ? 'success' : 'partial';
+}
+
+/**
+ * Processes documents with bounded concurrency, retrying throttled documents with backoff
+ * processDocument(file) returns { results, pages, pagesConsumed }; one document's failure never stops the batch
+ * A failing processDocument may set error.pagesConsumed when Textract analyzed the document before the failure
+ *
+ * Options:
+ *   concurrency    - documents processed at once (default 4)
+ *   maxAttempts    - attempts per document while throttled (default 5)
+ *   initialDelayMs - first retry delay, doubled on every retry (default 1000)
+ *   onDocument     - called with each document's outcome as it finishes; if it throws, the document is
+ *                    reported as failed and the batch goes on
+ */
+async function processBatch(files, processDocument, options = {}) {
+    const startedAt = new Date().toISOString();
+    let finished = 0;
+
+    const documents = await mapWithConcurrency(files, options.concurrency ?? 4, async file => {
+        const started = Date.now();
+        let outcome;
+        try {
+            const { value, attempts } = await withRetry(() => processDocument(file), {
+                maxAttempts: options.maxAttempts ?? 5,
+                initialDelayMs: options.initialDelayMs ?? 1000,
+                isRetryable: isThrottlingError
+            });
+            outcome = {
+                file,
+                status: getDocumentStatus(value.results),
+                attempts,
+                pages: value.pages,
+                pagesConsumed: value.pagesConsumed || 0,
+                results: value.results
+            };
+        } catch (error) {
+            outcome = {
+                file,
+                status: 'failed',
+                attempts: error.attempts || 1,
+                pages: error.pages || 0,
+                pagesConsumed: error.pagesConsumed || 0,
+                error: error.message
+            };
+        }
+        outcome.durationMs = Date.now() - started;
+        finished++;
+        try {
+            await options.onDocument?.(outcome);
+        } catch (error) {
+            // The document still counts, as failed, so a broken output write shows in the summary
+            console.error(`❌ Could not handle the outcome of ${file}:`, error.message);
+            Object.assign(outcome, { status: 'failed', error: `Could not handle the outcome: ${error.message}` });
+        }
+        console.log(`[${finished}/${files.length}] ${outcome.status} ${file}${outcome.error ? `: ${outcome.error}` : ''}`);
+        return outcome;
+    });
+
+    return { documents, summary: summarizeBatch(documents, { startedAt }) };
+}
+
+/**
+ * Builds the batch report: per-company counts (with document types), missing fields, failures with reasons and pages consumed
+ */
+function summarizeBatch(documents, { startedAt } = {}) {
+    const companies = {};
+    const missingFields = [];
+
+    for (const document of documents) {
+        for (const result of document.results || []) {
+            const company = result.company || 'unidentified';
+            companies[company] = companies[company] || { documents: 0, results: 0, pages: 0, documentTypes: {}, missingFields: {} };
+            companies[company].results++;
+            companies[company].pages += (result.pages || [result.pageNumber]).length;
+            const documentType = result.documentType || 'unclassified';
+            companies[company].documentTypes[documentType] = (companies[company].documentTypes[documentType] || 0) + 1;
+
+            const missing = Object.entries(result.extractedFields || {})
+                .filter(([, value]) => value === null || value === '')
+                .map(([field]) => field);
+            for (const field of missing) {
+                companies[company].missingFields[field] = (companies[company].missingFields[field] || 0) + 1;
+            }
+            if (missing.length > 0) {
+                missingFields.push({ file: document.file, company, pages: result.pages || [result.pageNumber], fields: missing });
+            }
+        }
+        for (const company of new Set((document.results || []).map(result => result.company || 'unidentified'))) {
+            companies[company].documents++;
+        }
+    }
+
+    const count = status => documents.filter(document => document.status === status).length;
+    return {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        documents: documents.length,
+        succeeded: count('success'),
+        partial: count('partial'),
+        failed: count('failed'),
+        pagesConsumed: documents.reduce((total, document) => total + document.pagesConsumed, 0),
+        companies,
+        missingFields,
+        failures: documents
+            .filter(document => document.status === 'failed')
+            .map(({ file, error, attempts }) => ({ file, reason: error, attempts }))
+    };
+}
+
+/**
+ * Writes the batch summary report to the output directory
+ * Returns the written file's path
+ */
+function writeBatchSummary(outputDir, summary) {
+    const target = path.join(outputDir, SUMMARY_FILE);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(summary, null, 2));
+    return target;
+}
+
+/**
+ * Writes one JSON result file per document, mirroring its path under the output directory
+ * Returns the written file's path
+ */
+function writeDocumentResult(outputDir, baseDir, document) {
+    const relative = path.relative(baseDir, document.file);
+    const target = path.join(outputDir, `${relative}${RESULT_SUFFIX}`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify({ ...document, file: relative }, null, 2));
+    return target;
+}
+
+export {
+    DOCUMENT_EXTENSIONS,
+    SAVED_RESPONSE_SUFFIX,
+    globToRegExp,
+    findDocuments,
+    mapWithConcurrency,
+    isThrottlingError,
+    getDocumentStatus,
+    processBatch,
+    summarizeBatch,
+    writeBatchSummary,
+    writeDocumentResult
+};
@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+// Command-line tool for local Textract analysis, extraction and replay
+import { AnalyzeDocumentCommand, AnalyzeExpenseCommand } from '@aws-sdk/client-textract';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import {
+    createTextractUtils,
+    createFileCompanyStore,
+    loadTextractResponses,
+    mergeTextractResponses,
+    buildQueriesConfig,
+    MAX_QUERIES
+} from './textract-utils.js';
+import { toCsv, resultsToCsvRows } from './result-sinks.js';
+import { loadCompanyConfig } from './company-store.js';
+import { validateCompanyRecords } from './company-config.js';
+import {
+    findDocuments,
+    getDocumentStatus,
+    processBatch,
+    writeBatchSummary,
+    writeDocumentResult
+} from './batch-processing.js';
+import { bootstrapCompanyTemplate } from './template-bootstrap.js';
+import { PROCESSING_MODES } from './expense-analysis.js';
+
+/**
+ * Exit codes; a partial extraction still writes its output
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    PARTIAL: 2
+};
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  analyze <file>                 Call Textract on a local document and save the raw response
+                                 (with a company configuration, also asks the companies' queries)
+  extract <file | response>      Extract company fields from a document or a saved response
+  replay <response | directory>  Extract from saved Textract output only, without calling Textract
+  batch <directory | glob>       Extract every document found, writing one result file each and a summary report
+  bootstrap <file | response>    Draft a company record from a sample and its expected values (--labels, --company)
+  config list                    List the configured companies
+  config show <company>          Print one company's configuration (--version for an earlier one)
+  config history <company>       List a company's configuration versions
+  config validate <path>         Check company records in a JSON/YAML file or directory
+  config put <file>              Validate and write one company record
+  config delete <company>        Delete a company record
+  config import <path>           Validate and write every record in a file or directory (--dry-run to preview)
+  config export                  Write every company record as JSON
+  config diff <path>             Compare local records with the configured companies (exit 2 when they differ)
+
+Options:
+  -c, --config <path>      Company configurations: a JSON/YAML file or directory of files
+                           (default COMPANY_CONFIG_PATH, then the COMPANY_FIELDS_TABLE table)
+  -f, --features <list>    Textract feature types for analyze/extract (default FORMS,TABLES)
+  -m, --mode <mode>        document (default) or expense: analyze documents with AnalyzeExpense
+                           (saved AnalyzeExpense responses are recognized without it)
+  -o, --output <path>      Output file (analyze default: <file>.textract.json; batch: results directory,
+                           default batch-results; others default to stdout)
+      --format <format>    json (default), csv or table
+      --company <name>     Only consider this company when identifying the document (bootstrap: the new company)
+      --labels <file>      bootstrap: JSON/YAML map of field name to its value in the sample, or { value, type }
+      --save               bootstrap: write the draft to the configured company store
+      --concurrency <n>    Documents processed at once by batch (default 4)
+      --dry-run            config import: validate and show the changes without writing
+      --version <n>        config show: print this configuration version
+  -v, --verbose            Show processing logs on stderr
+  -h, --help               Show this help
+
+Exit codes: 0 all fields extracted, 2 partial (missing fields, ambiguous company or failed validation), 1 error
+(batch: 2 when any document is partial or failed, 1 when all fail)`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    features: { type: 'string', short: 'f', default: 'FORMS,TABLES' },
+    mode: { type: 'string', short: 'm', default: PROCESSING_MODES.DOCUMENT },
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', default: 'json' },
+    company: { type: 'string' },
+    concurrency: { type: 'string', default: '4' },
+    'dry-run': { type: 'boolean', default: false },
+    labels: { type: 'string' },
+    save: { type: 'boolean', default: false },
+    version: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Sends library logging to stderr when verbose, and silences it otherwise
+ * Keeps stdout clean for the command's output
+ */
+function routeLogs(verbose) {
+    const toStderr = (...args) => {
+        if (verbose) console.error(...args);
+    };
+    console.log = toStderr;
+    console.info = toStderr;
+    console.warn = toStderr;
+}
+
+/**
+ * Builds the processing utilities, with companies from --config when given
+ * Otherwise COMPANY_CONFIG_PATH or the COMPANY_FIELDS_TABLE table supplies them
+ */
+function createUtils(values) {
+    if (values.config) {
+        return createTextractUtils({ companyStore: createFileCompanyStore({ configPath: values.config }) });
+    }
+    if (!process.env.COMPANY_CONFIG_PATH && !process.env.COMPANY_FIELDS_TABLE) {
+        throw new Error('No company configuration: pass --config <file|directory>, or set COMPANY_CONFIG_PATH or COMPANY_FIELDS_TABLE');
+    }
+    return createTextractUtils();
+}
+
+/**
+ * Reads a local document and analyzes it with Textract
+ * The companies' Textract queries are asked when their records are given; expense mode calls AnalyzeExpense instead
+ */
+async function analyzeFile(filePath, featureTypes, utils, companyRecords = [], mode = PROCESSING_MODES.DOCUMENT) {
+    const fullPath = path.resolve(filePath);
+    if (!fs.existsSync(fullPath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    const bytes = fs.readFileSync(fullPath);
+    if (bytes.length === 0) {
+        throw new Error(`File is empty: ${filePath}`);
+    }
+    if (mode === PROCESSING_MODES.EXPENSE) {
+        console.log(`Analyzing ${filePath} with AnalyzeExpense`);
+        return utils.context.textract.send(new AnalyzeExpenseCommand({ Document: { Bytes: bytes } }));
+    }
+    const queriesConfig = buildQueriesConfig(companyRecords, { maxQueries: MAX_QUERIES.sync });
+    const features = queriesConfig ? [...new Set([...featureTypes, 'QUERIES'])] : featureTypes;
+    console.log(`Analyzing ${filePath} with ${features.join(', ')}`);
+    return utils.context.textract.send(new AnalyzeDocumentCommand({
+        Document: { Bytes: bytes },
+        FeatureTypes: features,
+        ...(queriesConfig && { QueriesConfig: queriesConfig })
+    }));
+}
+
+/**
+ * Treats JSON files and directories as saved Textract output, anything else as a document
+ */
+function isSavedResponse(input) {
+    return input.toLowerCase().endsWith('.json') || (fs.existsSync(input) && fs.statSync(input).isDirectory());
+}
+
+/**
+ * Loads the company records once per run, narrowed to --company when given
+ */
+async function loadCompanyRecords(values, utils) {
+    const companyRecords = await utils.getAllCompanyRecords();
+    if (!values.company) return companyRecords;
+    const selected = companyRecords.filter(record => record.company === values.company);
+    if (selected.length === 0) {
+        throw new Error(`Company not configured: ${values.company}`);
+    }
+    return selected;
+}
+
+/**
+ * Runs company-config extraction over a merged Textract response
+ * Multi-page responses go through segmentation; single pages through single-page processing
+ */
+async function extractFromResponse(response, companyRecords, utils) {
+    const pageCount = response.Blocks.filter(block => block.BlockType === 'PAGE').length;
+    if (pageCount > 1) {
+        return utils.processMultiPageDocument(null, companyRecords, { replay: [response] });
+    }
+    return utils.processSinglePageDocument(null, { replay: response, companyRecords });
+}
+
+/**
+ * Extracts one input: saved Textract output is replayed, documents are analyzed (unless replayOnly)
+ * Returns { results, pages, pagesConsumed }; pagesConsumed counts pages Textract analyzed in this run,
+ * and is attached to the error when extraction fails after the analysis
+ */
+async function processInput(input, { replayOnly, featureTypes, companyRecords, mode }, utils) {
+    let response;
+    let analyzed = false;
+    if (isSavedResponse(input)) {
+        response = mergeTextractResponses(loadTextractResponses(input));
+    } else if (replayOnly) {
+        throw new Error(`replay needs saved Textract output (.json file or directory), got ${input}`);
+    } else {
+        response = mergeTextractResponses([await analyzeFile(input, featureTypes, utils, companyRecords, mode)]);
+        analyzed = true;
+    }
+
+    const pages = response.Blocks.filter(block => block.BlockType === 'PAGE').length || 1;
+    const pagesConsumed = analyzed ? response.DocumentMetadata?.Pages ?? pages : 0;
+    try {
+        return { results: await extractFromResponse(response, companyRecords, utils), pages, pagesConsumed };
+    } catch (error) {
+        error.pages = pages;
+        error.pagesConsumed = pagesConsumed;
+        throw error;
+    }
+}
+
+/**
+ * Decides the exit code: every result complete is success, anything missing or uncertain is partial
+ */
+function getExitCode(results) {
+    if (results.length === 0) return EXIT_CODES.ERROR;
+    return getDocumentStatus(results) === 'success' ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * Pads rows of text into aligned columns
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column];
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }));
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(row => row[index].length)));
+    const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    return [line(columns), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Renders results as json, csv or human-readable tables
+ */
+function formatResults(results, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(results, null, 2) + '\n';
+        case 'csv':
+            return toCsv(resultsToCsvRows(results, null));
+        case 'table':
+            return results.map(result => {
+                const title = `${result.company || 'Unidentified'}${result.documentType ? ` (${result.documentType})` : ''} - pages ${result.pageRange?.start ?? result.pageNumber}-${result.pageRange?.end ?? result.pageNumber}`;
+                const fields = Object.entries(result.fieldDetails || {}).map(([field, detail]) => ({
+                    field,
+                    value: detail.value ?? detail.raw,
+                    confidence: detail.confidence,
+                    strategy: detail.strategy,
+                    method: detail.matchMethod || detail.source
+                }));
+                const sections = [title, formatTable(fields, ['field', 'value', 'confidence', 'strategy', 'method'])];
+                const items = (result.items || []).map(({ source, confidence, normalized, errors, ...columns }) => columns);
+                if (items.length > 0) {
+                    sections.push(formatTable(items, [...new Set(items.flatMap(item => Object.keys(item)))]));
+                }
+                if (result.validation && !result.validation.valid) {
+                    sections.push(`Validation: ${result.validation.errors.map(error => error.message).join('; ')}`);
+                }
+                return sections.join('\n\n');
+            }).join('\n\n') + '\n';
+        default:
+            throw new Error(`Unknown format '${format}' (expected json, csv or table)`);
+    }
+}
+
+/**
+ * Writes command output to --output, or stdout
+ */
+function writeOutput(text, output) {
+    if (output) {
+        fs.writeFileSync(path.resolve(output), text);
+        console.error(`Wrote ${output}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Renders the batch summary as text tables
+ */
+function formatSummary(summary) {
+    const sections = [
+        `Documents: ${summary.documents} (${summary.succeeded} succeeded, ${summary.partial} partial, ${summary.failed} failed)`
+        + `\nPages consumed: ${summary.pagesConsumed}`,
+        formatTable(Object.entries(summary.companies).map(([company, counts]) => ({
+            company,
+            documents: counts.documents,
+            results: counts.results,
+            pages: counts.pages,
+            documentTypes: Object.entries(counts.documentTypes || {}).map(([type, count]) => `${type} (${count})`).join(', '),
+            missingFields: Object.entries(counts.missingFields).map(([field, count]) => `${field} (${count})`).join(', ')
+        })), ['company', 'documents', 'results', 'pages', 'documentTypes', 'missingFields'])
+    ];
+    if (summary.failures.length > 0) {
+        sections.push(formatTable(summary.failures, ['file', 'reason', 'attempts']));
+    }
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Processes every document found under a directory or glob, writing per-document results and the summary
+ */
+async function runBatch(input, values, featureTypes) {
+    const concurrency = Number.parseInt(values.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`--concurrency must be a positive integer, got ${values.concurrency}`);
+    }
+    const outputDir = path.resolve(values.output || 'batch-results');
+    const { baseDir, files } = findDocuments(input, { exclude: [outputDir] });
+    if (files.length === 0) {
+        throw new Error(`No documents found for ${input}`);
+    }
+    console.error(`Processing ${files.length} document(s) with concurrency ${concurrency}`);
+
+    const utils = createUtils(values);
+    const companyRecords = await loadCompanyRecords(values, utils);
+    const { documents, summary } = await processBatch(
+        files,
+        file => processInput(file, { featureTypes, companyRecords, mode: values.mode }, utils),
+        {
+            concurrency,
+            onDocument: document => {
+                writeDocumentResult(outputDir, baseDir, document);
+                // Verbose runs already show the batch's own progress log
+                if (!values.verbose) console.error(`${document.status.padEnd(7)} ${path.relative(baseDir, document.file)}${document.error ? ` - ${document.error}` : ''}`);
+            }
+        }
+    );
+
+    summary.failures = summary.failures.map(failure => ({ ...failure, file: path.relative(baseDir, failure.file) }));
+    summary.missingFields = summary.missingFields.map(entry => ({ ...entry, file: path.relative(baseDir, entry.file) }));
+    const summaryFile = writeBatchSummary(outputDir, summary);
+    console.error(`Wrote ${documents.length} result file(s) to ${outputDir} and the summary to ${summaryFile}`);
+    process.stdout.write(values.format === 'table' ? formatSummary(summary) : JSON.stringify(summary, null, 2) + '\n');
+
+    if (summary.failed === documents.length) return EXIT_CODES.ERROR;
+    return summary.partial + summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Drafts a company record from a sample document and its labeled field values
+ * Prints the draft, and reports on stderr how each field was found and whether the draft extracts it again
+ * Exits 2 when a field could not be verified or the draft is invalid
+ */
+async function runBootstrap(input, values, featureTypes) {
+    if (!values.labels) throw new Error('bootstrap needs --labels <file>');
+    if (!values.company) throw new Error('bootstrap needs --company <name>');
+    const labelsPath = path.resolve(values.labels);
+    if (!fs.existsSync(labelsPath)) throw new Error(`Labels not found: ${values.labels}`);
+    const labelsText = fs.readFileSync(labelsPath, 'utf8');
+    const labels = path.extname(labelsPath).toLowerCase() === '.json' ? JSON.parse(labelsText) : parseYaml(labelsText);
+
+    const response = isSavedResponse(input)
+        ? mergeTextractResponses(loadTextractResponses(input))
+        : await analyzeFile(input, featureTypes, createTextractUtils());
+    const { record, report, identified, validation } = bootstrapCompanyTemplate(response.Blocks, labels, { company: values.company });
+
+    console.error(formatTable(report.map(entry => ({
+        field: entry.field,
+        type: entry.type,
+        found: entry.strategies.join(' ') || 'not found',
+        extracted: entry.extracted,
+        verified: entry.verified ? 'yes' : 'no'
+    })), ['field', 'type', 'found', 'extracted', 'verified']));
+    if (!identified) console.error(`Warning: the sample does not identify as ${values.company}; add aliases or identifiers`);
+    for (const problem of validation.errors) console.error(`Invalid: ${problem}`);
+    writeOutput(JSON.stringify(record, null, 2) + '\n', values.output);
+
+    if (values.save) {
+        const stored = await createUtils(values).putCompanyRecord(record);
+        console.error(`Saved ${stored.company} as version ${stored.configVersion}`);
+    }
+    const complete = validation.valid && identified && report.every(entry => entry.verified);
+    return complete ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * Renders a company configuration diff as text
+ */
+function formatDiff(diff) {
+    const lines = [
+        ...diff.added.map(company => `+ ${company}`),
+        ...diff.removed.map(company => `- ${company}`),
+        ...diff.changed.flatMap(({ company, changes }) => [
+            `~ ${company}`,
+            ...changes.map(change => `    ${change.attribute}: ${JSON.stringify(change.live)} -> ${JSON.stringify(change.local)}`)
+        ])
+    ];
+    return (lines.length > 0 ? lines.join('\n') : 'No differences') + `\n(${diff.unchanged.length} unchanged)\n`;
+}
+
+/**
+ * Manages company configuration records: list, show, history, validate, put, delete, import, export and diff
+ * Writes go to the configured store, normally the COMPANY_FIELDS_TABLE table
+ */
+async function runConfig([action, target], values) {
+    const needsTarget = ['show', 'history', 'validate', 'put', 'delete', 'import', 'diff'];
+    if (needsTarget.includes(action) && !target) {
+        throw new Error(`config ${action} needs ${['show', 'history', 'delete'].includes(action) ? 'a company' : 'a file'}`);
+    }
+
+    if (action === 'validate') {
+        const validation = validateCompanyRecords(loadCompanyConfig(target));
+        for (const outcome of validation.records) {
+            console.error(`${outcome.valid ? 'ok     ' : 'invalid'} ${outcome.company}${outcome.errors.map(error => `\n    ${error}`).join('')}`);
+        }
+        return validation.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR;
+    }
+
+    const utils = createUtils(values);
+    switch (action) {
+        case 'list': {
+            const records = await utils.exportCompanyRecords();
+            const rows = records.map(record => ({
+                company: record.company,
+                fields: (record.fields || []).length,
+                targetTables: (record.targetTables || []).join(' ')
+            }));
+            writeOutput(values.format === 'table' ? formatTable(rows, ['company', 'fields', 'targetTables']) + '\n' : JSON.stringify(rows, null, 2) + '\n', values.output);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'show': {
+            const record = values.version
+                ? await utils.getCompanyVersion(target, Number(values.version))
+                : await utils.getCompanyRecord(target);
+            if (!record) throw new Error(`Company not configured: ${target}${values.version ? ` (version ${values.version})` : ''}`);
+            writeOutput(JSON.stringify(record, null, 2) + '\n', values.output);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'history': {
+            const versions = await utils.listCompanyVersions(target);
+            const rows = versions.map(version => ({
+                configVersion: version.configVersion,
+                updatedAt: version.updatedAt,
+                schemaVersion: version.schemaVersion,
+                fields: (version.fields || []).length,
+                targetTables: (version.targetTables || []).join(' ')
+            }));
+            writeOutput(values.format === 'table'
+                ? formatTable(rows, ['configVersion', 'updatedAt', 'schemaVersion', 'fields', 'targetTables']) + '\n'
+                : JSON.stringify(versions, null, 2) + '\n', values.output);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'put': {
+            const records = loadCompanyConfig(target);
+            if (records.length !== 1) {
+                throw new Error(`config put writes one record, ${target} has ${records.length}; use config import`);
+            }
+            const stored = await utils.putCompanyRecord(records[0]);
+            console.error(`Saved ${stored.company} as version ${stored.configVersion}`);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'delete': {
+            const deleted = await utils.deleteCompanyRecord(target);
+            if (!deleted) throw new Error(`Company not configured: ${target}`);
+            console.error(`Deleted ${target}`);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'import': {
+            const { written, diff } = await utils.importCompanyRecords(loadCompanyConfig(target), { dryRun: values['dry-run'] });
+            process.stdout.write(formatDiff(diff));
+            console.error(values['dry-run'] ? 'Dry run: nothing written' : `Wrote ${written} record(s)`);
+            return EXIT_CODES.SUCCESS;
+        }
+        case 'export':
+            writeOutput(JSON.stringify(await utils.exportCompanyRecords(), null, 2) + '\n', values.output);
+            return EXIT_CODES.SUCCESS;
+        case 'diff': {
+            const diff = await utils.diffCompanyConfig(loadCompanyConfig(target));
+            writeOutput(values.format === 'json' ? JSON.stringify(diff, null, 2) + '\n' : formatDiff(diff), values.output);
+            const differs = diff.added.length + diff.removed.length + diff.changed.length > 0;
+            return differs ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+        }
+        default:
+            throw new Error('config needs one of: list, show, history, validate, put, delete, import, export, diff');
+    }
+}
+
+/**
+ * Runs the CLI with the given arguments and returns the exit code
+ */
+async function run(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.ERROR;
+    }
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        console.error(USAGE);
+        return values.help ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR;
+    }
+    routeLogs(values.verbose);
+    if (!Object.values(PROCESSING_MODES).includes(values.mode)) {
+        console.error(`--mode must be one of ${Object.values(PROCESSING_MODES).join(', ')}\n\n${USAGE}`);
+        return EXIT_CODES.ERROR;
+    }
+    const featureTypes = values.features.split(',').map(feature => feature.trim().toUpperCase()).filter(Boolean);
+
+    try {
+        switch (command) {
+            case 'analyze': {
+                if (!args[0]) throw new Error('analyze needs a file');
+                // With a company configuration, the saved response also answers the companies' queries
+                const hasConfig = values.config || process.env.COMPANY_CONFIG_PATH || process.env.COMPANY_FIELDS_TABLE;
+                const utils = hasConfig ? createUtils(values) : createTextractUtils();
+                const companyRecords = hasConfig ? await loadCompanyRecords(values, utils) : [];
+                const response = await analyzeFile(args[0], featureTypes, utils, companyRecords, values.mode);
+                const output = values.output || `${args[0]}.textract.json`;
+                fs.writeFileSync(path.resolve(output), JSON.stringify(response, null, 2));
+                if (response.ExpenseDocuments) {
+                    console.error(`Saved ${response.ExpenseDocuments.length} expense document(s) to ${output}`);
+                } else {
+                    const pages = response.Blocks.filter(block => block.BlockType === 'PAGE').length;
+                    console.error(`Saved ${response.Blocks.length} blocks (${pages} page(s)) to ${output}`);
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+            case 'extract':
+            case 'replay': {
+                if (!args[0]) throw new Error(`${command} needs an input`);
+                const utils = createUtils(values);
+                const companyRecords = await loadCompanyRecords(values, utils);
+                const { results } = await processInput(args[0], {
+                    replayOnly: command === 'replay',
+                    featureTypes,
+                    companyRecords,
+                    mode: values.mode
+                }, utils);
+                writeOutput(formatResults(results, values.format), values.output);
+                return getExitCode(results);
+            }
+            case 'batch':
+                if (!args[0]) throw new Error('batch needs a directory or glob pattern');
+                return await runBatch(args[0], values, featureTypes);
+            case 'bootstrap':
+                if (!args[0]) throw new Error('bootstrap needs a sample document or saved response');
+                return await runBootstrap(args[0], values, featureTypes);
+            case 'config':
+                return await runConfig(args, values);
+            default:
+                throw new Error(`Unknown command '${command}'\n\n${USAGE}`);
+        }
+    } catch (error) {
+        if (error.name === 'ValidationError' && error.validation?.records) {
+            console.error('Error: invalid company configuration');
+            for (const outcome of error.validation.records.filter(record => !record.valid)) {
+                console.error(`  ${outcome.company}:${outcome.errors.map(problem => `\n    ${problem}`).join('')}`);
+            }
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return EXIT_CODES.ERROR;
+    }
+}
+
+/**
+ * Whether this module is the process entry point, also when started through the npm bin symlink
+ */
+function isMainModule() {
+    if (!process.argv[1]) return false;
+    try {
+        return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+    } catch {
+        return false;
+    }
+}
+
+if (isMainModule()) {
+    process.exitCode = await run();
+}
+
+export {
+    EXIT_CODES,
+    formatResults,
+    getExitCode,
+    run
+};
@@ -0,0 +1,364 @@
+// Company configuration schema: validation, normalization and comparison
+import { FIELD_TYPES } from './field-types.js';
+import { RULE_TYPES, RULE_ATTRIBUTES, SEVERITIES, COMPARATORS } from './validation.js';
+import { SINK_TYPES } from './result-sinks.js';
+import { COMPANY_ATTRIBUTES } from './company-store.js';
+import { validateFieldStrategies } from './field-strategies.js';
+import { validateZones } from './document-zones.js';
+import { PROCESSING_MODES } from './expense-analysis.js';
+import { DOCUMENT_TYPES, DOCUMENT_TYPE_OVERRIDES, resolveDocumentTypeRecord } from './document-classification.js';
+
+// Current company record schema; records without schemaVersion are read as this version
+const COMPANY_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+// Attributes maintained by the company store on every write, never compared or edited
+const SYSTEM_ATTRIBUTES = ['configVersion', 'updatedAt'];
+
+// DynamoDB table names: 3-255 letters, digits, '_', '-' and '.'
+const TABLE_NAME = /^[a-zA-Z0-9_.-]{3,255}$/;
+
+/**
+ * Checks that a pattern compiles as a regular expression
+ * Returns the error message, or null when it is valid
+ */
+function checkPattern(pattern, flags) {
+    try {
+        new RegExp(pattern, flags);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Document type names, e.g. invoice or deliveryNote
+const DOCUMENT_TYPE_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Checks a record's fields: names or { name, type, aliases, strategies } entries with unique names
+ */
+function checkFields(fields, errors) {
+    if (!Array.isArray(fields)) {
+        errors.push('fields must be a list');
+        return;
+    }
+    const names = new Set();
+    fields.forEach((field, index) => {
+        const name = typeof field === 'string' ? field : field?.name;
+        if (!isNonEmptyString(name)) {
+            errors.push(`fields[${index}] needs a name`);
+            return;
+        }
+        if (names.has(name)) errors.push(`fields[${index}] repeats the field '${name}'`);
+        names.add(name);
+        if (typeof field === 'string') return;
+        if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+            errors.push(`fields[${index}] (${name}) has unknown type '${field.type}' (expected ${FIELD_TYPES.join(', ')})`);
+        }
+        if (field.aliases !== undefined && !(Array.isArray(field.aliases) && field.aliases.every(isNonEmptyString))) {
+            errors.push(`fields[${index}] (${name}) aliases must be a list of names`);
+        }
+        if (field.type === 'enum' && (typeof field.values !== 'object' || field.values === null)) {
+            errors.push(`fields[${index}] (${name}) is an enum without values`);
+        }
+        if (field.strategies !== undefined) {
+            for (const problem of validateFieldStrategies(field.strategies)) {
+                errors.push(`fields[${index}] (${name}) ${problem}`);
+            }
+        }
+    });
+
+    // Derived values may only reference fields the record extracts
+    fields.forEach((field, index) => {
+        for (const strategy of Array.isArray(field?.strategies) ? field.strategies : []) {
+            if (strategy?.type !== 'derived') continue;
+            for (const [, reference] of `${strategy.template || ''}${strategy.expression || ''}`.matchAll(/\{([^}]+)\}/g)) {
+                if (!names.has(reference)) errors.push(`fields[${index}] (${field.name}) derives from unknown field '${reference}'`);
+            }
+        }
+    });
+}
+
+/**
+ * Checks zones and that every zone strategy names one of them
+ */
+function checkZones(record, errors) {
+    if (record.zones !== undefined) errors.push(...validateZones(record.zones));
+    const names = new Set(Array.isArray(record.zones) ? record.zones.map(zone => zone?.name) : []);
+    (Array.isArray(record.fields) ? record.fields : []).forEach((field, index) => {
+        for (const strategy of Array.isArray(field?.strategies) ? field.strategies : []) {
+            if (strategy?.type === 'zone' && typeof strategy.zone === 'string' && !names.has(strategy.zone)) {
+                errors.push(`fields[${index}] (${field.name}) reads unknown zone '${strategy.zone}'`);
+            }
+        }
+    });
+}
+
+/**
+ * Checks identifiers: regex strings or { pattern, flags, label, weight }
+ */
+function checkIdentifiers(identifiers, errors) {
+    if (!Array.isArray(identifiers)) {
+        errors.push('identifiers must be a list');
+        return;
+    }
+    identifiers.forEach((identifier, index) => {
+        const pattern = typeof identifier === 'string' ? identifier : identifier?.pattern;
+        if (!isNonEmptyString(pattern)) {
+            errors.push(`identifiers[${index}] needs a pattern`);
+            return;
+        }
+        const problem = checkPattern(pattern, identifier.flags);
+        if (problem) errors.push(`identifiers[${index}] is not a valid regular expression: ${problem}`);
+    });
+}
+
+/**
+ * Checks validation rules have a known type and the attributes that type needs
+ */
+function checkValidationRules(rules, errors) {
+    if (!Array.isArray(rules)) {
+        errors.push('validation must be a list');
+        return;
+    }
+    rules.forEach((rule, index) => {
+        if (!RULE_TYPES.includes(rule?.type)) {
+            errors.push(`validation[${index}] has unknown type '${rule?.type}' (expected ${RULE_TYPES.join(', ')})`);
+            return;
+        }
+        const label = `validation[${index}] (${rule.type})`;
+        const known = ['type', 'severity', 'message', ...RULE_ATTRIBUTES[rule.type]];
+        for (const attribute of Object.keys(rule)) {
+            if (!known.includes(attribute)) {
+                errors.push(`${label} has unknown attribute '${attribute}' (expected ${known.join(', ')})`);
+            }
+        }
+        const needs = { required: ['field'], pattern: ['field', 'pattern'], range: ['field'], compare: ['field'], sum: ['column', 'equals'], product: ['factors', 'equals'] };
+        for (const attribute of needs[rule.type]) {
+            if (rule[attribute] === undefined) errors.push(`${label} needs ${attribute}`);
+        }
+        if (rule.type === 'range' && rule.min === undefined && rule.max === undefined) {
+            errors.push(`${label} needs min or max`);
+        }
+        if (rule.type === 'compare' && rule.other === undefined && rule.value === undefined) {
+            errors.push(`${label} needs other or value`);
+        }
+        if (rule.type === 'compare' && rule.operator !== undefined && !Object.hasOwn(COMPARATORS, rule.operator)) {
+            errors.push(`${label} has unknown operator '${rule.operator}' (expected ${Object.keys(COMPARATORS).join(', ')})`);
+        }
+        if (rule.type === 'product' && rule.factors !== undefined && !(Array.isArray(rule.factors) && rule.factors.length > 0 && rule.factors.every(isNonEmptyString))) {
+            errors.push(`${label} factors must be a list of columns`);
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            errors.push(`${label} severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (rule.type === 'pattern' && rule.pattern !== undefined) {
+            const problem = checkPattern(rule.pattern, rule.flags);
+            if (problem) errors.push(`validation[${index}] is not a valid regular expression: ${problem}`);
+        }
+    });
+}
+
+/**
+ * Checks sinks have a known type and their required settings
+ */
+function checkSinks(sinks, errors) {
+    if (!Array.isArray(sinks)) {
+        errors.push('sinks must be a list');
+        return;
+    }
+    sinks.forEach((sink, index) => {
+        if (!SINK_TYPES.includes(sink?.type)) {
+            errors.push(`sinks[${index}] has unknown type '${sink?.type}' (expected ${SINK_TYPES.join(', ')})`);
+        } else if (sink.type === 'webhook') {
+            if (!isNonEmptyString(sink.url)) errors.push(`sinks[${index}] (webhook) needs a url`);
+            if (sink.secret !== undefined) {
+                errors.push(`sinks[${index}] (webhook) must not store its secret; name an environment variable with secretEnv`);
+            }
+        } else if (sink.type === 's3' && sink.format !== undefined && !['json', 'csv'].includes(sink.format)) {
+            errors.push(`sinks[${index}] (s3) format must be json or csv`);
+        }
+    });
+}
+
+/**
+ * Validates a company record against the schema, before it is written and as it is loaded
+ * Returns { valid, errors }, with one message per problem
+ */
+function validateCompanyRecord(record) {
+    const errors = [];
+    if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+        return { valid: false, errors: ['record must be an object'] };
+    }
+    if (!isNonEmptyString(record.company)) {
+        errors.push('company must be a non-empty name');
+    }
+    for (const attribute of Object.keys(record)) {
+        if (!COMPANY_ATTRIBUTES.includes(attribute)) {
+            errors.push(`unknown attribute '${attribute}' (expected ${COMPANY_ATTRIBUTES.join(', ')})`);
+        }
+    }
+
+    if (record.schemaVersion !== undefined && !SUPPORTED_SCHEMA_VERSIONS.includes(record.schemaVersion)) {
+        errors.push(`schemaVersion ${JSON.stringify(record.schemaVersion)} is not supported (expected ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`);
+    }
+    if (record.configVersion !== undefined && !(Number.isInteger(record.configVersion) && record.configVersion > 0)) {
+        errors.push('configVersion must be a positive integer');
+    }
+
+    if (record.fields === undefined) {
+        errors.push('fields is required');
+    } else {
+        checkFields(record.fields, errors);
+    }
+    if (record.targetTables !== undefined) {
+        if (!Array.isArray(record.targetTables)) {
+            errors.push('targetTables must be a list');
+        } else {
+            record.targetTables.forEach((table, index) => {
+                if (typeof table !== 'string' || !TABLE_NAME.test(table)) {
+                    errors.push(`targetTables[${index}] '${table}' is not a valid DynamoDB table name`);
+                }
+            });
+        }
+    }
+    if (record.aliases !== undefined && !(Array.isArray(record.aliases) && record.aliases.every(isNonEmptyString))) {
+        errors.push('aliases must be a list of names');
+    }
+    checkZones(record, errors);
+    if (record.identifiers !== undefined) checkIdentifiers(record.identifiers, errors);
+    if (record.lineItems !== undefined && (typeof record.lineItems !== 'object' || record.lineItems === null || Array.isArray(record.lineItems))) {
+        errors.push('lineItems must be an object');
+    }
+    if (record.reviewThreshold !== undefined
+        && !(typeof record.reviewThreshold === 'number' && record.reviewThreshold >= 0 && record.reviewThreshold <= 100)) {
+        errors.push('reviewThreshold must be a number from 0 to 100');
+    }
+    if (record.processingMode !== undefined && !Object.values(PROCESSING_MODES).includes(record.processingMode)) {
+        errors.push(`processingMode must be one of ${Object.values(PROCESSING_MODES).join(', ')}`);
+    }
+    if (record.validation !== undefined) checkValidationRules(record.validation, errors);
+    if (record.sinks !== undefined) checkSinks(record.sinks, errors);
+    if (record.documentTypes !== undefined) checkDocumentTypes(record, errors);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Checks per-document-type configurations: known attributes, detection phrases, and that the record
+ * each type resolves to is valid; only problems a type adds to the default are reported for it
+ */
+function checkDocumentTypes(record, errors) {
+    const { documentTypes, ...defaults } = record;
+    if (typeof documentTypes !== 'object' || documentTypes === null || Array.isArray(documentTypes)) {
+        errors.push('documentTypes must be an object keyed by document type');
+        return;
+    }
+    const attributes = ['titles', 'keywords', ...DOCUMENT_TYPE_OVERRIDES];
+    const defaultErrors = new Set(validateCompanyRecord(defaults).errors);
+
+    for (const [type, config] of Object.entries(documentTypes)) {
+        const label = `documentTypes.${type}`;
+        if (!DOCUMENT_TYPE_NAME.test(type)) {
+            errors.push(`${label} is not a valid document type name (letters, digits, '_' and '-')`);
+        }
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+            errors.push(`${label} must be an object`);
+            continue;
+        }
+        for (const attribute of Object.keys(config)) {
+            if (!attributes.includes(attribute)) {
+                errors.push(`${label} has unknown attribute '${attribute}' (expected ${attributes.join(', ')})`);
+            }
+        }
+        for (const attribute of ['titles', 'keywords']) {
+            if (config[attribute] !== undefined && !(Array.isArray(config[attribute]) && config[attribute].every(isNonEmptyString))) {
+                errors.push(`${label} ${attribute} must be a list of phrases`);
+            }
+        }
+        if (!Object.hasOwn(DOCUMENT_TYPES, type) && !config.titles?.length && !config.keywords?.length) {
+            errors.push(`${label} is not a built-in type (${Object.keys(DOCUMENT_TYPES).join(', ')}) and needs titles or keywords to be detected`);
+        }
+        const { documentTypes: _, ...resolved } = resolveDocumentTypeRecord(record, type);
+        for (const problem of validateCompanyRecord(resolved).errors) {
+            if (!defaultErrors.has(problem)) errors.push(`${label}: ${problem}`);
+        }
+    }
+}
+
+/**
+ * Validates a set of records, including that each company appears once
+ * Returns { valid, records: [{ company, valid, errors }] }
+ */
+function validateCompanyRecords(records) {
+    const seen = new Set();
+    const outcomes = records.map(record => {
+        const { valid, errors } = validateCompanyRecord(record);
+        if (record?.company && seen.has(record.company)) {
+            errors.push(`company '${record.company}' appears more than once`);
+        }
+        seen.add(record?.company);
+        return { company: record?.company ?? null, valid: valid && errors.length === 0, errors };
+    });
+    return { valid: outcomes.every(outcome => outcome.valid), records: outcomes };
+}
+
+/**
+ * Fills in the schema version of records written before schemaVersion existed
+ */
+function normalizeCompanyRecord(record) {
+    return { ...record, schemaVersion: record.schemaVersion ?? COMPANY_SCHEMA_VERSION };
+}
+
+/**
+ * Compares two values structurally, ignoring object key order
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Compares local records against the live ones, attribute by attribute
+ * System attributes (configVersion, updatedAt) are ignored, and a missing schemaVersion reads as the current one
+ * Returns { added, removed, changed: [{ company, changes: [{ attribute, local, live }] }], unchanged }
+ */
+function diffCompanyRecords(localRecords, liveRecords) {
+    const live = new Map(liveRecords.map(record => [record.company, normalizeCompanyRecord(record)]));
+    const local = new Map(localRecords.map(record => [record.company, normalizeCompanyRecord(record)]));
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+    for (const [company, record] of local) {
+        const current = live.get(company);
+        if (!current) {
+            diff.added.push(company);
+            continue;
+        }
+        const changes = COMPANY_ATTRIBUTES
+            .filter(attribute => !SYSTEM_ATTRIBUTES.includes(attribute))
+            .filter(attribute => !isEqual(record[attribute], current[attribute]))
+            .map(attribute => ({ attribute, local: record[attribute], live: current[attribute] }));
+        if (changes.length > 0) {
+            diff.changed.push({ company, changes });
+        } else {
+            diff.unchanged.push(company);
+        }
+    }
+    diff.removed = [...live.keys()].filter(company => !local.has(company));
+    return diff;
+}
+
+export {
+    COMPANY_SCHEMA_VERSION,
+    SUPPORTED_SCHEMA_VERSIONS,
+    SYSTEM_ATTRIBUTES,
+    normalizeCompanyRecord,
+    validateCompanyRecord,
+    validateCompanyRecords,
+    diffCompanyRecords
+};
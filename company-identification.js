@@ -0,0 +1,138 @@
+// Confidence-scored company identification
+
+const DEFAULT_OPTIONS = {
+    headerRegion: 0.2,       // top fraction of the page treated as the letterhead
+    headerLines: 8,          // header size in lines when no geometry is available
+    headerWeight: 2,         // multiplier for matches inside the header
+    nameWeight: 1,
+    aliasWeight: 0.8,
+    identifierWeight: 3,
+    shortNameLength: 3,      // names this short (e.g. 'AMT') only count half outside the header
+    minConfidence: 0.25,
+    ambiguityRatio: 0.85     // runner-up scoring at least this share of the winner makes the outcome ambiguous
+};
+
+/**
+ * Converts a document into scoring lines with their vertical position
+ * Accepts Textract blocks (LINE geometry is used) or plain text (line order is used)
+ */
+function toScoringLines(document, options) {
+    if (Array.isArray(document)) {
+        return document
+            .filter(block => block.BlockType === 'LINE' && block.Text)
+            .map(block => {
+                const top = block.Geometry?.BoundingBox?.Top;
+                return { text: block.Text, page: block.Page || 1, inHeader: top !== undefined && top <= options.headerRegion };
+            });
+    }
+    return String(document || '')
+        .split('\n')
+        .filter(Boolean)
+        .map((text, index) => ({ text, page: 1, inHeader: index < options.headerLines }));
+}
+
+/**
+ * Builds a case-insensitive whole-word pattern for a company name or alias
+ */
+function namePattern(name) {
+    const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Scores every company record against the document
+ * Name and alias matches count once per line; regex identifiers (tax IDs, registration numbers,
+ * addresses) weigh more; matches in the header region are multiplied by headerWeight
+ *
+ * Company record attributes used:
+ *   company     - company name
+ *   aliases     - alternative names or trading names
+ *   identifiers - regex strings or { pattern, flags, label, weight }
+ * Returns candidates sorted by score, each with { company, record, score, confidence, evidence }
+ */
+function scoreCompanyCandidates(document, companyRecords, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const lines = toScoringLines(document, settings);
+
+    const candidates = companyRecords.map(record => {
+        const evidence = [];
+        let score = 0;
+
+        const names = [
+            { text: record.company, weight: settings.nameWeight, kind: 'name' },
+            ...(record.aliases || []).map(alias => ({ text: alias, weight: settings.aliasWeight, kind: 'alias' }))
+        ].filter(name => name.text);
+
+        for (const name of names) {
+            const pattern = namePattern(name.text);
+            for (const line of lines) {
+                if (!pattern.test(line.text)) continue;
+                let weight = name.weight * (line.inHeader ? settings.headerWeight : 1);
+                if (name.text.trim().length <= settings.shortNameLength && !line.inHeader) weight /= 2;
+                score += weight;
+                evidence.push({ kind: name.kind, match: name.text, line: line.text, inHeader: line.inHeader, weight });
+            }
+        }
+
+        for (const identifier of record.identifiers || []) {
+            const config = typeof identifier === 'string' ? { pattern: identifier } : identifier;
+            let pattern;
+            try {
+                pattern = new RegExp(config.pattern, config.flags ?? 'i');
+            } catch (error) {
+                console.warn(`Invalid identifier pattern for ${record.company}: ${config.pattern}`);
+                continue;
+            }
+            const line = lines.find(candidate => pattern.test(candidate.text));
+            if (line) {
+                const weight = (config.weight ?? settings.identifierWeight) * (line.inHeader ? settings.headerWeight : 1);
+                score += weight;
+                evidence.push({ kind: 'identifier', match: config.label || config.pattern, line: line.text, inHeader: line.inHeader, weight });
+            }
+        }
+
+        // Saturating scale: a header name match alone is ~0.5, name plus identifier ~0.8
+        const confidence = Number((1 - Math.exp(-score / 3)).toFixed(3));
+        return { company: record.company, record, score, confidence, evidence };
+    });
+
+    return candidates
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Identifies the company a document belongs to
+ * Returns { status: 'matched' | 'ambiguous' | 'none', record, confidence, candidates }
+ */
+function identifyCompany(document, companyRecords, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const candidates = scoreCompanyCandidates(document, companyRecords, settings);
+    const [best, runnerUp] = candidates;
+
+    if (!best || best.confidence < settings.minConfidence) {
+        return { status: 'none', record: null, confidence: best?.confidence || 0, candidates };
+    }
+    if (runnerUp && runnerUp.score >= best.score * settings.ambiguityRatio) {
+        return { status: 'ambiguous', record: null, confidence: best.confidence, candidates };
+    }
+    return { status: 'matched', record: best.record, confidence: best.confidence, candidates };
+}
+
+/**
+ * Summarizes candidates for results and logs, without the full company records
+ */
+function summarizeCandidates(candidates, limit = 3) {
+    return candidates.slice(0, limit).map(({ company, score, confidence, evidence }) => ({
+        company,
+        score: Number(score.toFixed(2)),
+        confidence,
+        evidence: evidence.map(item => `${item.kind}:${item.match}${item.inHeader ? ' (header)' : ''}`)
+    }));
+}
+
+export {
+    scoreCompanyCandidates,
+    identifyCompany,
+    summarizeCandidates
+};
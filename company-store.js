@@ -0,0 +1,294 @@
+// Company configuration storage backends
+import { ScanCommand, GetCommand, QueryCommand, DeleteCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { parse as parseYaml } from 'yaml';
+import fs from 'fs';
+import path from 'path';
+
+// Attributes of a company record, read when listing companies; projected through placeholders since some may be reserved words
+const COMPANY_ATTRIBUTES = [
+    'company', 'schemaVersion', 'configVersion', 'updatedAt',
+    'aliases', 'identifiers', 'fields', 'zones', 'processingMode', 'targetTables', 'lineItems', 'reviewThreshold', 'validation', 'sinks',
+    'documentTypes'
+];
+
+/**
+ * Builds the error raised when another writer saved a company's configuration first
+ */
+function conflictError(company, cause) {
+    const error = new Error(`Company ${company} was updated concurrently; reload and retry`);
+    error.name = 'ConflictError';
+    error.cause = cause;
+    return error;
+}
+
+/**
+ * Company store backed by the DynamoDB company fields table
+ * Every write also stores an immutable copy in the versions table (partition key company, sort key configVersion),
+ * numbered one past the latest version; deleting a company keeps its history
+ * Table names are resolved on every call so COMPANY_FIELDS_TABLE / COMPANY_CONFIG_VERSIONS_TABLE can be set after import
+ */
+function createDynamoCompanyStore({ dynamodb, tableName, versionsTableName } = {}) {
+    const resolveTableName = () => tableName || process.env.COMPANY_FIELDS_TABLE;
+    const resolveVersionsTableName = () => {
+        const name = versionsTableName || process.env.COMPANY_CONFIG_VERSIONS_TABLE;
+        if (!name) {
+            throw new Error('Company configuration versions table is not set (COMPANY_CONFIG_VERSIONS_TABLE)');
+        }
+        return name;
+    };
+
+    const store = {
+        async listCompanies() {
+            const params = {
+                TableName: resolveTableName(),
+                ProjectionExpression: COMPANY_ATTRIBUTES.map((_, index) => `#p${index}`).join(', '),
+                ExpressionAttributeNames: Object.fromEntries(COMPANY_ATTRIBUTES.map((attribute, index) => [`#p${index}`, attribute]))
+            };
+            const items = [];
+            let lastKey;
+            do {
+                const data = await dynamodb.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+                items.push(...(data.Items || []));
+                lastKey = data.LastEvaluatedKey;
+            } while (lastKey);
+            return items;
+        },
+
+        async getCompany(company) {
+            const params = {
+                TableName: resolveTableName(),
+                Key: { company }
+            };
+            const data = await dynamodb.send(new GetCommand(params));
+            return data.Item || null;
+        },
+
+        // Writes the record as a new version and makes it current; returns the stored record
+        async putCompany(record) {
+            const current = await store.getCompany(record.company);
+            const [latest] = await store.listVersions(record.company, { limit: 1 });
+            const configVersion = Math.max(latest?.configVersion || 0, current?.configVersion || 0) + 1;
+            const item = { ...record, configVersion, updatedAt: new Date().toISOString() };
+
+            try {
+                // Both writes fail together when another writer took this version number first
+                await dynamodb.send(new TransactWriteCommand({
+                    TransactItems: [
+                        {
+                            Put: {
+                                TableName: resolveVersionsTableName(),
+                                Item: item,
+                                ConditionExpression: 'attribute_not_exists(configVersion)'
+                            }
+                        },
+                        {
+                            Put: {
+                                TableName: resolveTableName(),
+                                Item: item,
+                                ConditionExpression: current?.configVersion
+                                    ? 'configVersion = :previous'
+                                    : 'attribute_not_exists(configVersion)',
+                                ...(current?.configVersion && { ExpressionAttributeValues: { ':previous': current.configVersion } })
+                            }
+                        }
+                    ]
+                }));
+            } catch (error) {
+                if (error.name === 'TransactionCanceledException') throw conflictError(record.company, error);
+                throw error;
+            }
+            return item;
+        },
+
+        // Returns the deleted record, or null when the company was not configured
+        async deleteCompany(company) {
+            const data = await dynamodb.send(new DeleteCommand({
+                TableName: resolveTableName(),
+                Key: { company },
+                ReturnValues: 'ALL_OLD'
+            }));
+            return data.Attributes || null;
+        },
+
+        // Lists a company's stored versions, newest first
+        async listVersions(company, { limit } = {}) {
+            const versions = [];
+            let lastKey;
+            do {
+                const data = await dynamodb.send(new QueryCommand({
+                    TableName: resolveVersionsTableName(),
+                    KeyConditionExpression: 'company = :company',
+                    ExpressionAttributeValues: { ':company': company },
+                    ScanIndexForward: false,
+                    ...(limit && { Limit: limit - versions.length }),
+                    ExclusiveStartKey: lastKey
+                }));
+                versions.push(...(data.Items || []));
+                lastKey = data.LastEvaluatedKey;
+            } while (lastKey && !(limit && versions.length >= limit));
+            return versions;
+        },
+
+        async getVersion(company, configVersion) {
+            const data = await dynamodb.send(new GetCommand({
+                TableName: resolveVersionsTableName(),
+                Key: { company, configVersion }
+            }));
+            return data.Item || null;
+        }
+    };
+    return store;
+}
+
+/**
+ * Company store holding records in memory
+ * Used for local runs and tests where no company fields table is available
+ * Versions writes like the DynamoDB store; seeded records start without history
+ */
+function createMemoryCompanyStore(records = []) {
+    const companies = new Map(records.map(record => [record.company, structuredClone(record)]));
+    const versions = new Map();
+
+    return {
+        async listCompanies() {
+            return [...companies.values()].map(record => structuredClone(record));
+        },
+
+        async getCompany(company) {
+            const record = companies.get(company);
+            return record ? structuredClone(record) : null;
+        },
+
+        async putCompany(record) {
+            const history = versions.get(record.company) || [];
+            const configVersion = Math.max(history.at(-1)?.configVersion || 0, companies.get(record.company)?.configVersion || 0) + 1;
+            const item = { ...structuredClone(record), configVersion, updatedAt: new Date().toISOString() };
+            versions.set(record.company, [...history, item]);
+            companies.set(record.company, item);
+            return structuredClone(item);
+        },
+
+        async deleteCompany(company) {
+            const record = companies.get(company);
+            companies.delete(company);
+            return record ? structuredClone(record) : null;
+        },
+
+        async listVersions(company, { limit } = {}) {
+            const history = [...(versions.get(company) || [])].reverse();
+            return structuredClone(limit ? history.slice(0, limit) : history);
+        },
+
+        async getVersion(company, configVersion) {
+            const version = (versions.get(company) || []).find(item => item.configVersion === configVersion);
+            return version ? structuredClone(version) : null;
+        }
+    };
+}
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Reads company records from one JSON or YAML file
+ * A file holds a single record, an array of records, or { companies: [...] }
+ */
+function readCompanyFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let parsed;
+    try {
+        parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+        throw new Error(`Invalid company configuration ${filePath}: ${error.message}`);
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed?.companies || [parsed];
+    records.forEach((record, index) => {
+        if (!record || typeof record.company !== 'string' || !record.company.trim()) {
+            throw new Error(`Company configuration ${filePath} (record ${index + 1}) has no company name`);
+        }
+    });
+    return records;
+}
+
+/**
+ * Reads company records from a configuration file, or every JSON/YAML file in a directory
+ * Company names must be unique across all files
+ */
+function loadCompanyConfig(configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Company configuration not found: ${configPath}`);
+    }
+    const files = fs.statSync(resolved).isDirectory()
+        ? fs.readdirSync(resolved)
+            .filter(file => CONFIG_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort()
+            .map(file => path.join(resolved, file))
+        : [resolved];
+
+    const sources = new Map();
+    return files.flatMap(file => readCompanyFile(file).map(record => {
+        if (sources.has(record.company)) {
+            throw new Error(`Company '${record.company}' is configured in both ${sources.get(record.company)} and ${file}`);
+        }
+        sources.set(record.company, file);
+        return record;
+    }));
+}
+
+/**
+ * Company store reading a local JSON/YAML file or directory of files
+ * The path is resolved on every call so COMPANY_CONFIG_PATH can be set after import; files are read once per path
+ * The files are the source of truth, so the store is read-only: edit them directly
+ */
+function createFileCompanyStore({ configPath } = {}) {
+    const resolveConfigPath = () => configPath || process.env.COMPANY_CONFIG_PATH;
+    let loaded = { path: null, store: null };
+
+    const getStore = () => {
+        const current = resolveConfigPath();
+        if (!current) {
+            throw new Error('Company configuration path is not set (COMPANY_CONFIG_PATH)');
+        }
+        if (loaded.path !== current) {
+            loaded = { path: current, store: createMemoryCompanyStore(loadCompanyConfig(current)) };
+        }
+        return loaded.store;
+    };
+
+    return {
+        async listCompanies() {
+            return getStore().listCompanies();
+        },
+
+        async getCompany(company) {
+            return getStore().getCompany(company);
+        },
+
+        async putCompany() {
+            throw new Error(`Company configuration files are read-only (${resolveConfigPath()}); edit them directly`);
+        },
+
+        async deleteCompany() {
+            throw new Error(`Company configuration files are read-only (${resolveConfigPath()}); edit them directly`);
+        },
+
+        // History lives in the files' version control; only the loaded version is known
+        async listVersions(company) {
+            const record = await getStore().getCompany(company);
+            return record?.configVersion ? [record] : [];
+        },
+
+        async getVersion(company, configVersion) {
+            const record = await getStore().getCompany(company);
+            return record?.configVersion === configVersion ? record : null;
+        }
+    };
+}
+
+export {
+    COMPANY_ATTRIBUTES,
+    createDynamoCompanyStore,
+    createMemoryCompanyStore,
+    createFileCompanyStore,
+    loadCompanyConfig
+};
@@ -0,0 +1,194 @@
+// Confidence-scored document-type classification (invoice, delivery note, purchase order, credit note)
+
+// Built-in types: titles are the headings a document of the type carries, keywords the phrases found in its body
+const DOCUMENT_TYPES = {
+    invoice: {
+        titles: ['invoice', 'tax invoice', 'commercial invoice', 'vat invoice'],
+        keywords: ['invoice no', 'invoice number', 'invoice date', 'amount due', 'balance due', 'payment due', 'payment terms', 'remit to', 'bank details']
+    },
+    creditNote: {
+        titles: ['credit note', 'credit memo', 'credit memorandum', 'credit invoice'],
+        keywords: ['credit note no', 'credit note number', 'credit amount', 'total credit', 'amount credited', 'original invoice', 'refund', 'returned goods']
+    },
+    deliveryNote: {
+        titles: ['delivery note', 'delivery docket', 'packing slip', 'packing list', 'despatch note', 'dispatch note', 'goods received note'],
+        keywords: ['delivery date', 'delivered to', 'received by', 'received in good condition', 'qty delivered', 'quantity delivered', 'qty shipped', 'carrier', 'signature']
+    },
+    purchaseOrder: {
+        titles: ['purchase order', 'order form'],
+        keywords: ['po number', 'po no', 'purchase order no', 'purchase order number', 'order date', 'requested by', 'please supply', 'required by', 'authorised by', 'authorized by']
+    }
+};
+
+// Company record attributes a document type can replace; anything not given falls back to the record's own
+const DOCUMENT_TYPE_OVERRIDES = ['fields', 'zones', 'lineItems', 'processingMode', 'targetTables', 'reviewThreshold', 'validation', 'sinks'];
+
+const DEFAULT_OPTIONS = {
+    headerRegion: 0.25,      // top fraction of the first page where titles are expected
+    headerLines: 8,          // header size in lines when no geometry is available
+    titleWeight: 3,
+    headerWeight: 2,         // multiplier for a title inside the header
+    largeTextRatio: 1.5,     // a title at least this much taller than the median line counts as a heading
+    largeTextWeight: 1.5,    // multiplier for a title set in heading-size text
+    keywordWeight: 1,
+    titleExtraWords: 3,      // words allowed after a title on its line ('Invoice No 123')
+    minConfidence: 0.25,
+    ambiguityRatio: 0.85     // runner-up scoring at least this share of the winner makes the outcome ambiguous
+};
+
+const normalizeText = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Converts a document into classification lines: normalized text, header position and text height
+ * Accepts Textract blocks (LINE geometry is used) or plain text (line order is used)
+ */
+function toClassificationLines(document, options) {
+    if (Array.isArray(document)) {
+        const lines = document.filter(block => block.BlockType === 'LINE' && block.Text);
+        const firstPage = Math.min(...lines.map(line => line.Page || 1));
+        return lines.map(block => {
+            const box = block.Geometry?.BoundingBox;
+            return {
+                text: block.Text,
+                words: normalizeText(block.Text),
+                inHeader: (block.Page || 1) === firstPage && box !== undefined && box.Top <= options.headerRegion,
+                height: box?.Height ?? null
+            };
+        });
+    }
+    return String(document || '')
+        .split('\n')
+        .filter(Boolean)
+        .map((text, index) => ({ text, words: normalizeText(text), inHeader: index < options.headerLines, height: null }));
+}
+
+/**
+ * Returns the median text height of the lines, or null without geometry
+ */
+function medianHeight(lines) {
+    const heights = lines.map(line => line.height).filter(height => height !== null).sort((a, b) => a - b);
+    return heights.length > 0 ? heights[Math.floor(heights.length / 2)] : null;
+}
+
+/**
+ * Combines the built-in document types with a company's own: a company's titles and keywords are added
+ * to a built-in type of the same name, and types unknown to the built-ins are classified by theirs alone
+ */
+function resolveDocumentTypes(record) {
+    const types = structuredClone(DOCUMENT_TYPES);
+    for (const [type, config] of Object.entries(record?.documentTypes || {})) {
+        types[type] = {
+            titles: [...new Set([...(types[type]?.titles || []), ...(config.titles || [])])],
+            keywords: [...new Set([...(types[type]?.keywords || []), ...(config.keywords || [])])]
+        };
+    }
+    return types;
+}
+
+/**
+ * Scores every document type against the document
+ * Layout signals: a line that starts with one of a type's titles scores titleWeight, multiplied when it sits
+ * in the first page's header or is set in heading-size text; only the best title line counts.
+ * Keyword signals: each of a type's keywords found anywhere adds keywordWeight once.
+ * Returns candidates sorted by score, each with { type, score, confidence, evidence }
+ */
+function scoreDocumentTypes(document, record, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const lines = toClassificationLines(document, settings);
+    const median = medianHeight(lines);
+
+    const candidates = Object.entries(resolveDocumentTypes(record)).map(([type, { titles, keywords }]) => {
+        const evidence = [];
+        let score = 0;
+
+        let bestTitle = null;
+        for (const title of titles.map(normalizeText).filter(Boolean)) {
+            for (const line of lines) {
+                const extraWords = line.words.split(' ').length - title.split(' ').length;
+                if (!(line.words === title || line.words.startsWith(`${title} `)) || extraWords > settings.titleExtraWords) continue;
+                const largeText = median !== null && line.height !== null && line.height >= median * settings.largeTextRatio;
+                const weight = settings.titleWeight
+                    * (line.inHeader ? settings.headerWeight : 1)
+                    * (largeText ? settings.largeTextWeight : 1);
+                if (!bestTitle || weight > bestTitle.weight) {
+                    bestTitle = { kind: 'title', match: title, line: line.text, inHeader: line.inHeader, largeText, weight };
+                }
+            }
+        }
+        if (bestTitle) {
+            score += bestTitle.weight;
+            evidence.push(bestTitle);
+        }
+
+        for (const keyword of keywords.map(normalizeText).filter(Boolean)) {
+            const line = lines.find(candidate => ` ${candidate.words} `.includes(` ${keyword} `));
+            if (!line) continue;
+            score += settings.keywordWeight;
+            evidence.push({ kind: 'keyword', match: keyword, line: line.text, inHeader: line.inHeader, weight: settings.keywordWeight });
+        }
+
+        // Saturating scale: a header title alone is ~0.75, a body keyword alone ~0.2
+        const confidence = Number((1 - Math.exp(-score / 4)).toFixed(3));
+        return { type, score, confidence, evidence };
+    });
+
+    return candidates
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Works out a document's type from its titles, layout and keywords
+ * record adds the company's own document types and signals (see resolveDocumentTypes)
+ * Returns { status: 'matched' | 'ambiguous' | 'none', type, confidence, candidates }
+ */
+function classifyDocument(document, record = null, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const candidates = scoreDocumentTypes(document, record, settings);
+    const [best, runnerUp] = candidates;
+
+    if (!best || best.confidence < settings.minConfidence) {
+        return { status: 'none', type: null, confidence: best?.confidence || 0, candidates };
+    }
+    if (runnerUp && runnerUp.score >= best.score * settings.ambiguityRatio) {
+        return { status: 'ambiguous', type: null, confidence: best.confidence, candidates };
+    }
+    return { status: 'matched', type: best.type, confidence: best.confidence, candidates };
+}
+
+/**
+ * Summarizes a classification for results and logs
+ */
+function summarizeClassification(classification, limit = 3) {
+    return {
+        status: classification.status,
+        confidence: classification.confidence,
+        candidates: classification.candidates.slice(0, limit).map(({ type, score, confidence, evidence }) => ({
+            type,
+            score: Number(score.toFixed(2)),
+            confidence,
+            evidence: evidence.map(item => `${item.kind}:${item.match}${item.inHeader ? ' (header)' : ''}`)
+        }))
+    };
+}
+
+/**
+ * Returns the company configuration for a document type: the record with the type's overrides applied
+ * A type the company does not configure (or no type) falls back to the record itself, its default
+ */
+function resolveDocumentTypeRecord(record, documentType) {
+    const typeConfig = documentType ? record?.documentTypes?.[documentType] : null;
+    if (!typeConfig) return record;
+    const overrides = DOCUMENT_TYPE_OVERRIDES.filter(attribute => typeConfig[attribute] !== undefined);
+    return { ...record, ...Object.fromEntries(overrides.map(attribute => [attribute, typeConfig[attribute]])) };
+}
+
+export {
+    DOCUMENT_TYPES,
+    DOCUMENT_TYPE_OVERRIDES,
+    resolveDocumentTypes,
+    scoreDocumentTypes,
+    classifyDocument,
+    summarizeClassification,
+    resolveDocumentTypeRecord
+};
@@ -0,0 +1,177 @@
+// Processed-document registry, keyed by content hash
+import { GetCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Processing states of a registered document
+ * Documents in FAILED may be processed again without the force flag
+ */
+const DOCUMENT_STATUS = {
+    PROCESSING: 'PROCESSING',
+    PROCESSED: 'PROCESSED',
+    FAILED: 'FAILED'
+};
+
+/**
+ * Whether two uploads are the same S3 object version
+ */
+function isSameUpload(upload, other) {
+    return upload.bucket === other.bucket && upload.key === other.key && (upload.versionId || null) === (other.versionId || null);
+}
+
+/**
+ * Builds the error raised when a registry entry no longer holds the expected attribute values
+ * Named like DynamoDB's error, so callers handle both registries alike
+ */
+function conditionError(contentHash) {
+    const error = new Error(`Document ${contentHash} was updated concurrently`);
+    error.name = 'ConditionalCheckFailedException';
+    return error;
+}
+
+/**
+ * Document registry backed by the DynamoDB document registry table
+ * Partition key: contentHash (sha256 of the object body)
+ */
+function createDynamoDocumentRegistry({ dynamodb, tableName } = {}) {
+    const resolveTableName = () => tableName || process.env.DOCUMENT_REGISTRY_TABLE;
+
+    const registry = {
+        async getDocument(contentHash) {
+            const data = await dynamodb.send(new GetCommand({
+                TableName: resolveTableName(),
+                Key: { contentHash }
+            }));
+            return data.Item || null;
+        },
+
+        async registerDocument(document) {
+            const item = { ...document, duplicates: [], firstSeenAt: new Date().toISOString() };
+            try {
+                // Conditional put, so concurrent events for the same content register it only once
+                await dynamodb.send(new PutCommand({
+                    TableName: resolveTableName(),
+                    Item: item,
+                    ConditionExpression: 'attribute_not_exists(contentHash)'
+                }));
+                return { created: true, document: item };
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') throw error;
+                return { created: false, document: await registry.getDocument(document.contentHash) };
+            }
+        },
+
+        async updateDocument(contentHash, changes, expected = {}) {
+            const names = {};
+            const values = {};
+            const setters = Object.keys(changes).map((attribute, index) => {
+                names[`#a${index}`] = attribute;
+                values[`:v${index}`] = changes[attribute];
+                return `#a${index} = :v${index}`;
+            });
+            // Expected attribute values, e.g. the claim of a stale PROCESSING entry; null means the attribute is absent
+            const conditions = Object.keys(expected).map((attribute, index) => {
+                names[`#e${index}`] = attribute;
+                if (expected[attribute] === null || expected[attribute] === undefined) {
+                    return `attribute_not_exists(#e${index})`;
+                }
+                values[`:e${index}`] = expected[attribute];
+                return `#e${index} = :e${index}`;
+            });
+            const data = await dynamodb.send(new UpdateCommand({
+                TableName: resolveTableName(),
+                Key: { contentHash },
+                UpdateExpression: `SET ${setters.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ConditionExpression: ['attribute_exists(contentHash)', ...conditions].join(' AND '),
+                ReturnValues: 'ALL_NEW'
+            }));
+            return data.Attributes;
+        },
+
+        async addDuplicate(contentHash, duplicate) {
+            // Redelivered events must not list the same upload twice; the append only applies if the
+            // list did not grow since it was read, and is retried otherwise
+            for (let attempt = 1; ; attempt++) {
+                const document = await registry.getDocument(contentHash);
+                if (!document) {
+                    throw new Error(`Document ${contentHash} is not registered`);
+                }
+                const duplicates = document.duplicates || [];
+                if (duplicates.some(existing => isSameUpload(existing, duplicate))) {
+                    return document;
+                }
+                try {
+                    const data = await dynamodb.send(new UpdateCommand({
+                        TableName: resolveTableName(),
+                        Key: { contentHash },
+                        UpdateExpression: 'SET duplicates = list_append(if_not_exists(duplicates, :empty), :duplicate)',
+                        ExpressionAttributeValues: { ':empty': [], ':duplicate': [duplicate], ':count': duplicates.length },
+                        ConditionExpression: duplicates.length
+                            ? 'size(duplicates) = :count'
+                            : 'attribute_not_exists(duplicates) OR size(duplicates) = :count',
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    return data.Attributes;
+                } catch (error) {
+                    if (error.name !== 'ConditionalCheckFailedException' || attempt >= 3) throw error;
+                }
+            }
+        }
+    };
+    return registry;
+}
+
+/**
+ * Document registry holding records in memory
+ * Used for local runs and tests where no registry table is available
+ */
+function createMemoryDocumentRegistry() {
+    const documents = new Map();
+
+    return {
+        async getDocument(contentHash) {
+            const document = documents.get(contentHash);
+            return document ? structuredClone(document) : null;
+        },
+
+        async registerDocument(document) {
+            if (documents.has(document.contentHash)) {
+                return { created: false, document: structuredClone(documents.get(document.contentHash)) };
+            }
+            const item = { ...document, duplicates: [], firstSeenAt: new Date().toISOString() };
+            documents.set(document.contentHash, item);
+            return { created: true, document: structuredClone(item) };
+        },
+
+        async updateDocument(contentHash, changes, expected = {}) {
+            const document = documents.get(contentHash);
+            if (!document) {
+                throw new Error(`Document ${contentHash} is not registered`);
+            }
+            if (Object.keys(expected).some(attribute => (document[attribute] ?? null) !== (expected[attribute] ?? null))) {
+                throw conditionError(contentHash);
+            }
+            const item = { ...document, ...changes };
+            documents.set(contentHash, item);
+            return structuredClone(item);
+        },
+
+        async addDuplicate(contentHash, duplicate) {
+            const document = documents.get(contentHash);
+            if (!document) {
+                throw new Error(`Document ${contentHash} is not registered`);
+            }
+            if (!(document.duplicates || []).some(existing => isSameUpload(existing, duplicate))) {
+                document.duplicates = [...(document.duplicates || []), duplicate];
+            }
+            return structuredClone(document);
+        }
+    };
+}
+
+export {
+    DOCUMENT_STATUS,
+    createDynamoDocumentRegistry,
+    createMemoryDocumentRegistry
+};
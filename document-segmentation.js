@@ -0,0 +1,182 @@
+// Logical document splitting for multi-document PDFs
+import { identifyCompany, summarizeCandidates } from './company-identification.js';
+
+const DEFAULT_OPTIONS = {
+    headerRegion: 0.2,        // top fraction of the page compared for header similarity
+    headerLines: 8,           // header size in lines when no geometry is available
+    headerSimilarity: 0.5,    // pages whose headers overlap at least this much continue the segment
+    minHeaderTokens: 3,       // headers with fewer words carry no signal and never split a segment
+    identification: {}        // options passed to identifyCompany
+};
+
+const PAGE_MARKER = /\bpage\s*(\d+)\s*(?:of|\/)\s*(\d+)\b/i;
+const PAGE_NUMBER = /^\s*(?:page|pg\.?)\s*(\d+)\s*$/i;
+
+/**
+ * Reads a page-number marker such as 'Page 2 of 3', 'Page 2/3' or a bare 'Page 2' line
+ * Returns { current, total } (total is null when absent), or null when the page has no marker
+ */
+function parsePageMarker(lines) {
+    for (const line of lines) {
+        const match = line.match(PAGE_MARKER);
+        if (match && Number(match[1]) <= Number(match[2])) {
+            return { current: Number(match[1]), total: Number(match[2]) };
+        }
+    }
+    for (const line of lines) {
+        const match = line.match(PAGE_NUMBER);
+        if (match) return { current: Number(match[1]), total: null };
+    }
+    return null;
+}
+
+/**
+ * Builds the set of words in a page's header region
+ * Numbers are left out so invoice numbers and dates don't make related pages look different
+ */
+function getHeaderTokens(lineBlocks, options) {
+    const hasGeometry = lineBlocks.some(block => block.Geometry?.BoundingBox);
+    const headerLines = hasGeometry
+        ? lineBlocks.filter(block => (block.Geometry?.BoundingBox?.Top ?? 1) <= options.headerRegion)
+        : lineBlocks.slice(0, options.headerLines);
+    const tokens = headerLines
+        .flatMap(block => block.Text.toLowerCase().split(/[^\p{L}]+/u))
+        .filter(token => token.length >= 3);
+    return new Set(tokens);
+}
+
+/**
+ * Jaccard similarity of two header token sets (0-1)
+ */
+function headerSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    const shared = [...a].filter(token => b.has(token)).length;
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Selects every block on the given pages
+ * Synchronous responses have no Page attribute, so their blocks count as page 1
+ */
+function getSegmentBlocks(blocks, pages) {
+    const pageSet = new Set(pages);
+    return blocks.filter(block => pageSet.has(block.Page || 1));
+}
+
+/**
+ * Collects the per-page signals used for splitting: company identification, page marker and header
+ */
+function describePages(blocks, companyRecords, options) {
+    const pageNumbers = [...new Set(blocks.filter(block => block.BlockType === 'PAGE').map(block => block.Page || 1))]
+        .sort((a, b) => a - b);
+    if (pageNumbers.length === 0) pageNumbers.push(1);
+
+    return pageNumbers.map(pageNumber => {
+        const lineBlocks = blocks.filter(block => block.BlockType === 'LINE' && block.Text && (block.Page || 1) === pageNumber);
+        return {
+            pageNumber,
+            identification: identifyCompany(lineBlocks, companyRecords, options.identification),
+            marker: parsePageMarker(lineBlocks.map(block => block.Text)),
+            headerTokens: getHeaderTokens(lineBlocks, options)
+        };
+    });
+}
+
+/**
+ * Decides whether a page starts a new logical document
+ * Returns the boundary reason, or null when the page continues the current segment
+ */
+function findBoundary(segment, page, previous, options) {
+    if (!segment) return 'first-page';
+
+    // Page markers are the strongest signal in both directions
+    if (page.marker?.current === 1) return 'page-marker';
+    if (page.marker && previous.marker && page.marker.current === previous.marker.current + 1
+        && (page.marker.total === previous.marker.total || !page.marker.total || !previous.marker.total)) {
+        return null;
+    }
+    if (segment.markerTotal && segment.pages.length >= segment.markerTotal) return 'marker-complete';
+
+    const { identification } = page;
+    if (identification.status === 'matched') {
+        return segment.record && identification.record.company !== segment.record.company ? 'company-change' : null;
+    }
+    if (identification.status === 'ambiguous' && segment.record
+        && identification.candidates.some(candidate => candidate.company === segment.record.company)) {
+        return null;
+    }
+
+    // No company evidence: continuation pages usually repeat the letterhead layout, or have almost no header
+    if (page.headerTokens.size < options.minHeaderTokens) return null;
+    return headerSimilarity(page.headerTokens, previous.headerTokens) >= options.headerSimilarity ? null : 'header-change';
+}
+
+/**
+ * Records the company a segment belongs to from one of its pages
+ */
+function assignCompany(segment, page) {
+    segment.record = page.identification.record || null;
+    segment.company = segment.record?.company || null;
+    segment.status = page.identification.status;
+    segment.confidence = page.identification.confidence;
+    segment.identification = {
+        status: page.identification.status,
+        confidence: page.identification.confidence,
+        page: page.pageNumber,
+        candidates: summarizeCandidates(page.identification.candidates)
+    };
+}
+
+/**
+ * Groups consecutive pages into logical documents
+ * Splits on a company change, a 'Page 1 of N' marker, a completed 'of N' count, or a header that no longer
+ * resembles the previous page; pages without company evidence otherwise continue the current segment
+ *
+ * Returns segments with { index, startPage, endPage, pages, company, record, status, confidence,
+ * identification, boundary, pageReasons }
+ */
+function segmentDocument(blocks, companyRecords, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const pages = describePages(blocks, companyRecords, settings);
+    const segments = [];
+    let segment = null;
+    let previous = null;
+
+    for (const page of pages) {
+        const boundary = findBoundary(segment, page, previous, settings);
+        if (boundary) {
+            segment = {
+                index: segments.length,
+                startPage: page.pageNumber,
+                endPage: page.pageNumber,
+                pages: [page.pageNumber],
+                boundary,
+                markerTotal: page.marker?.current === 1 ? page.marker.total : null,
+                pageReasons: [{ page: page.pageNumber, reason: boundary }]
+            };
+            assignCompany(segment, page);
+            segments.push(segment);
+        } else {
+            segment.endPage = page.pageNumber;
+            segment.pages.push(page.pageNumber);
+            segment.pageReasons.push({ page: page.pageNumber, reason: page.marker ? 'page-marker' : page.identification.status === 'matched' ? 'same-company' : 'continuation' });
+            // The company name may only appear after the first page
+            if (!segment.record && page.identification.status === 'matched') {
+                assignCompany(segment, page);
+            }
+        }
+        previous = page;
+    }
+
+    for (const { startPage, endPage, company, boundary } of segments) {
+        console.log(`Segment pages ${startPage}-${endPage}: ${company || 'unidentified'} (${boundary})`);
+    }
+    return segments;
+}
+
+export {
+    parsePageMarker,
+    headerSimilarity,
+    getSegmentBlocks,
+    segmentDocument
+};
@@ -0,0 +1,220 @@
+// Zonal extraction: named page regions read from the WORD/LINE blocks that fall inside them
+
+const normalizeText = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Lists the page numbers present in the blocks, in order
+ * Zone pages count from the first of these, so zones work the same on a segment of a longer document
+ */
+function getBlockPages(blocks) {
+    return [...new Set(blocks.filter(block => block.BlockType === 'PAGE' || block.BlockType === 'LINE').map(block => block.Page || 1))]
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Resolves a zone's page (1-based, or 'last') to the page number used on the blocks
+ */
+function resolveZonePage(blocks, page = 1) {
+    const pages = getBlockPages(blocks);
+    return page === 'last' ? pages.at(-1) : pages[page - 1];
+}
+
+/**
+ * Finds the anchor text on a page, returning the bounding box of its first word
+ * Single words match WORD blocks; phrases match the LINE containing them, then that line's first anchor word
+ * When the anchor appears more than once, the occurrence nearest its expected position wins
+ */
+function findAnchorBox(blocks, anchor, page) {
+    const words = normalizeText(anchor.text).split(' ');
+    const onPage = blocks.filter(block => (block.Page || 1) === page && block.Geometry?.BoundingBox);
+    let boxes;
+
+    if (words.length === 1) {
+        boxes = onPage
+            .filter(block => block.BlockType === 'WORD' && normalizeText(block.Text || '') === words[0])
+            .map(block => block.Geometry.BoundingBox);
+    } else {
+        const blockMap = new Map(blocks.map(block => [block.Id, block]));
+        boxes = onPage
+            .filter(block => block.BlockType === 'LINE' && ` ${normalizeText(block.Text || '')} `.includes(` ${words.join(' ')} `))
+            .map(line => {
+                const children = (line.Relationships || [])
+                    .filter(relationship => relationship.Type === 'CHILD')
+                    .flatMap(relationship => relationship.Ids.map(id => blockMap.get(id)))
+                    .filter(Boolean);
+                const first = children.find(child => normalizeText(child.Text || '') === words[0]);
+                return first?.Geometry?.BoundingBox || line.Geometry.BoundingBox;
+            });
+    }
+
+    if (boxes.length === 0) return null;
+    const distance = box => Math.hypot(box.Left - (anchor.left ?? box.Left), box.Top - (anchor.top ?? box.Top));
+    return boxes.sort((a, b) => distance(a) - distance(b))[0];
+}
+
+/**
+ * Works out where a zone lies on this document
+ * An anchored zone moves by however far its anchor moved from the template position ({ left, top }),
+ * absorbing scan shifts; a missing anchor leaves the zone in place unless anchor.required is set
+ * Returns { page, box: { left, top, width, height }, shift } or null when the zone cannot be placed
+ */
+function resolveZoneBox(blocks, zone) {
+    const page = resolveZonePage(blocks, zone.page);
+    if (page === undefined) return null;
+
+    let shift = null;
+    if (zone.anchor) {
+        const anchorBox = findAnchorBox(blocks, zone.anchor, page);
+        if (anchorBox) {
+            shift = { x: anchorBox.Left - (zone.anchor.left ?? anchorBox.Left), y: anchorBox.Top - (zone.anchor.top ?? anchorBox.Top) };
+        } else if (zone.anchor.required) {
+            console.log(`Anchor '${zone.anchor.text}' for zone '${zone.name}' not found on page ${page}`);
+            return null;
+        } else {
+            console.warn(`Anchor '${zone.anchor.text}' for zone '${zone.name}' not found; using the template position`);
+        }
+    }
+
+    const box = {
+        left: zone.box.left + (shift?.x || 0),
+        top: zone.box.top + (shift?.y || 0),
+        width: zone.box.width,
+        height: zone.box.height
+    };
+    return { page, box, shift };
+}
+
+/**
+ * Checks whether a block falls inside a box: its centre by default, or at least minOverlap of its area
+ */
+function isInsideBox(block, box, minOverlap) {
+    const bounds = block.Geometry?.BoundingBox;
+    if (!bounds) return false;
+    if (minOverlap === undefined) {
+        const x = bounds.Left + bounds.Width / 2;
+        const y = bounds.Top + bounds.Height / 2;
+        return x >= box.left && x <= box.left + box.width && y >= box.top && y <= box.top + box.height;
+    }
+    const width = Math.min(bounds.Left + bounds.Width, box.left + box.width) - Math.max(bounds.Left, box.left);
+    const height = Math.min(bounds.Top + bounds.Height, box.top + box.height) - Math.max(bounds.Top, box.top);
+    const area = bounds.Width * bounds.Height;
+    return width > 0 && height > 0 && area > 0 && (width * height) / area >= minOverlap;
+}
+
+/**
+ * Orders blocks into rows, top to bottom, and each row left to right
+ * A block starts a new row when its top is below the middle of the current row's first block
+ */
+function groupIntoRows(blocks) {
+    const sorted = [...blocks].sort((a, b) => a.Geometry.BoundingBox.Top - b.Geometry.BoundingBox.Top);
+    const rows = [];
+    for (const block of sorted) {
+        const box = block.Geometry.BoundingBox;
+        const row = rows.at(-1);
+        if (row && box.Top <= row.top + row.height * 0.5) {
+            row.blocks.push(block);
+        } else {
+            rows.push({ top: box.Top, height: box.Height, blocks: [block] });
+        }
+    }
+    return rows.map(row => row.blocks.sort((a, b) => a.Geometry.BoundingBox.Left - b.Geometry.BoundingBox.Left));
+}
+
+/**
+ * Reads a zone's text from the WORD (default) or LINE blocks inside it
+ * Rows are joined with zone.join (default ' '); zone.pattern keeps only its first capture group or match
+ * Returns { value, key, method, confidence, page, box } or null when the zone is empty
+ *
+ * Zone: { name, page (1-based or 'last', default 1), box: { left, top, width, height },
+ *         anchor: { text, left, top, required }, blockType, minOverlap, join, pattern, flags }
+ */
+function findZoneValue(blocks, zone) {
+    const placed = resolveZoneBox(blocks, zone);
+    if (!placed) return null;
+
+    const blockType = zone.blockType || 'WORD';
+    const inside = blocks.filter(block =>
+        block.BlockType === blockType
+        && block.Text
+        && (block.Page || 1) === placed.page
+        && isInsideBox(block, placed.box, zone.minOverlap)
+    );
+    if (inside.length === 0) return null;
+
+    const rows = groupIntoRows(inside);
+    let value = rows.map(row => row.map(block => block.Text).join(' ')).join(zone.join ?? ' ').trim();
+    if (zone.pattern) {
+        const match = new RegExp(zone.pattern, zone.flags).exec(value);
+        value = match ? (match[1] ?? match[0]).trim() : '';
+    }
+    if (!value) return null;
+
+    const confidences = inside.map(block => block.Confidence).filter(confidence => confidence !== undefined);
+    return {
+        value,
+        key: zone.name,
+        method: placed.shift ? 'zone-anchored' : 'zone',
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+        page: placed.page,
+        box: placed.box
+    };
+}
+
+/**
+ * Checks a record's zones: unique names, boxes inside the page and well-formed anchors
+ * Returns a list of problems (empty when valid)
+ */
+function validateZones(zones) {
+    if (!Array.isArray(zones)) return ['zones must be a list'];
+    const problems = [];
+    const names = new Set();
+    const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+    zones.forEach((zone, index) => {
+        const label = `zones[${index}]`;
+        if (typeof zone?.name !== 'string' || !zone.name.trim()) {
+            problems.push(`${label} needs a name`);
+            return;
+        }
+        if (names.has(zone.name)) problems.push(`${label} repeats the zone '${zone.name}'`);
+        names.add(zone.name);
+
+        const box = zone.box;
+        if (!box || !['left', 'top', 'width', 'height'].every(side => isFraction(box[side]))) {
+            problems.push(`${label} (${zone.name}) box needs left, top, width and height between 0 and 1`);
+        } else if (box.left + box.width > 1 || box.top + box.height > 1) {
+            problems.push(`${label} (${zone.name}) box extends past the page`);
+        }
+        if (zone.page !== undefined && zone.page !== 'last' && !(Number.isInteger(zone.page) && zone.page > 0)) {
+            problems.push(`${label} (${zone.name}) page must be a positive integer or 'last'`);
+        }
+        if (zone.blockType !== undefined && !['WORD', 'LINE'].includes(zone.blockType)) {
+            problems.push(`${label} (${zone.name}) blockType must be WORD or LINE`);
+        }
+        if (zone.minOverlap !== undefined && !(isFraction(zone.minOverlap) && zone.minOverlap > 0)) {
+            problems.push(`${label} (${zone.name}) minOverlap must be a fraction above 0`);
+        }
+        if (zone.anchor !== undefined) {
+            if (typeof zone.anchor?.text !== 'string' || !zone.anchor.text.trim()) {
+                problems.push(`${label} (${zone.name}) anchor needs text`);
+            } else if (!isFraction(zone.anchor.left) || !isFraction(zone.anchor.top)) {
+                problems.push(`${label} (${zone.name}) anchor needs its template left and top between 0 and 1`);
+            }
+        }
+        if (zone.pattern !== undefined) {
+            try {
+                new RegExp(zone.pattern, zone.flags);
+            } catch (error) {
+                problems.push(`${label} (${zone.name}) is not a valid regular expression: ${error.message}`);
+            }
+        }
+    });
+    return problems;
+}
+
+export {
+    getBlockPages,
+    resolveZoneBox,
+    findZoneValue,
+    validateZones
+};
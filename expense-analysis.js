@@ -0,0 +1,124 @@
+// AnalyzeExpense output: summary fields, line item groups and pages of each expense document
+
+// How a document is analyzed: AnalyzeDocument (forms, tables, queries) or AnalyzeExpense (invoices, receipts)
+const PROCESSING_MODES = { DOCUMENT: 'document', EXPENSE: 'expense' };
+
+// Canonical line-item columns for Textract's standard expense line-item types
+const EXPENSE_LINE_ITEM_COLUMNS = {
+    ITEM: 'description',
+    QUANTITY: 'quantity',
+    UNIT_PRICE: 'unitPrice',
+    PRICE: 'amount',
+    PRODUCT_CODE: 'productCode'
+};
+
+const lowestConfidence = (...confidences) => {
+    const known = confidences.filter(confidence => confidence !== undefined && confidence !== null);
+    return known.length > 0 ? Math.min(...known) : null;
+};
+
+/**
+ * Picks the processing mode for an uploaded document from its key
+ * Keys under one of the comma-separated EXPENSE_KEY_PREFIXES are analyzed as expenses
+ */
+function getProcessingMode(s3Location) {
+    const prefixes = (process.env.EXPENSE_KEY_PREFIXES || '').split(',').map(prefix => prefix.trim()).filter(Boolean);
+    return s3Location?.key && prefixes.some(prefix => s3Location.key.startsWith(prefix))
+        ? PROCESSING_MODES.EXPENSE
+        : PROCESSING_MODES.DOCUMENT;
+}
+
+/**
+ * Merges paginated AnalyzeExpense / GetExpenseAnalysis responses into one list of expense documents
+ * A document split across responses is joined back together by its ExpenseIndex
+ */
+function mergeExpenseDocuments(responses) {
+    const documents = new Map();
+    for (const expenseDocument of responses.flatMap(response => response.ExpenseDocuments || [])) {
+        const index = expenseDocument.ExpenseIndex ?? documents.size + 1;
+        const merged = documents.get(index) || { ExpenseIndex: index, SummaryFields: [], LineItemGroups: [], Blocks: [] };
+        merged.SummaryFields.push(...(expenseDocument.SummaryFields || []));
+        merged.LineItemGroups.push(...(expenseDocument.LineItemGroups || []));
+        merged.Blocks.push(...(expenseDocument.Blocks || []));
+        documents.set(index, merged);
+    }
+    return [...documents.values()].sort((a, b) => a.ExpenseIndex - b.ExpenseIndex);
+}
+
+/**
+ * Lists the pages an expense document covers, from its fields and blocks (page 1 when none are given)
+ */
+function getExpensePages(expenseDocument) {
+    const pages = new Set([
+        ...(expenseDocument.SummaryFields || []).map(field => field.PageNumber),
+        ...(expenseDocument.LineItemGroups || []).flatMap(group => (group.LineItems || [])
+            .flatMap(item => (item.LineItemExpenseFields || []).map(field => field.PageNumber))),
+        ...(expenseDocument.Blocks || []).filter(block => block.BlockType === 'PAGE').map(block => block.Page)
+    ].filter(Number.isInteger));
+    return pages.size > 0 ? [...pages].sort((a, b) => a - b) : [1];
+}
+
+/**
+ * Turns summary fields into key-value entries, so company fields match them like form keys
+ * Each value is filed under its printed label ('Invoice No:') and its expense type ('INVOICE_RECEIPT_ID');
+ * grouped fields also under the group and type ('VENDOR ADDRESS'). The first value for a key wins.
+ * Returns { key: { value, confidence } }
+ */
+function getExpenseKeyValueEntries(expenseDocument) {
+    const entries = {};
+    for (const field of expenseDocument.SummaryFields || []) {
+        const value = field.ValueDetection?.Text?.trim();
+        if (!value) continue;
+        const type = field.Type?.Text;
+        const group = field.GroupProperties?.[0]?.Types?.[0];
+        const keys = [
+            field.LabelDetection?.Text?.trim(),
+            type && type !== 'OTHER' ? type : null,
+            group && type && type !== 'OTHER' ? `${group} ${type}` : null
+        ].filter(Boolean);
+        const confidence = lowestConfidence(field.LabelDetection?.Confidence, field.ValueDetection?.Confidence);
+        for (const key of keys) {
+            if (!entries[key]) entries[key] = { value, confidence };
+        }
+    }
+    return entries;
+}
+
+/**
+ * Returns each line item as a list of { type, label, value, confidence }, skipping the whole-row EXPENSE_ROW text
+ */
+function getExpenseLineItemRows(expenseDocument) {
+    return (expenseDocument.LineItemGroups || []).flatMap(group => (group.LineItems || []).map(item =>
+        (item.LineItemExpenseFields || [])
+            .filter(field => field.Type?.Text !== 'EXPENSE_ROW' && field.ValueDetection?.Text?.trim())
+            .map(field => ({
+                type: field.Type?.Text || 'OTHER',
+                label: field.LabelDetection?.Text?.trim() || null,
+                value: field.ValueDetection.Text.trim(),
+                confidence: lowestConfidence(field.ValueDetection?.Confidence, field.Type?.Confidence)
+            }))
+    )).filter(row => row.length > 0);
+}
+
+/**
+ * Text for company identification: the document's lines, or its summary labels and values when
+ * the response carries no blocks
+ */
+function getExpenseText(expenseDocument) {
+    const lines = (expenseDocument.Blocks || []).filter(block => block.BlockType === 'LINE' && block.Text);
+    if (lines.length > 0) return lines.map(line => line.Text).join('\n');
+    return (expenseDocument.SummaryFields || [])
+        .map(field => [field.LabelDetection?.Text, field.ValueDetection?.Text].filter(Boolean).join(' '))
+        .join('\n');
+}
+
+export {
+    PROCESSING_MODES,
+    EXPENSE_LINE_ITEM_COLUMNS,
+    getProcessingMode,
+    mergeExpenseDocuments,
+    getExpensePages,
+    getExpenseKeyValueEntries,
+    getExpenseLineItemRows,
+    getExpenseText
+};
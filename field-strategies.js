@@ -0,0 +1,447 @@
+// Per-field extraction strategies: label, regex, anchor, table column, zone, Textract query, constant and derived values
+import { parseNumber } from './field-types.js';
+import { validateZones } from './document-zones.js';
+
+const STRATEGY_TYPES = ['keyValue', 'label', 'regex', 'anchor', 'tableColumn', 'zone', 'query', 'constant', 'derived'];
+
+// Textract query pages: '1', '2-4', '3-*' or '*'
+const QUERY_PAGES = /^(\*|\d+(-(\d+|\*))?)$/;
+
+// Fields without strategies keep the original behaviour: form key-value pairs, then 'Label: value' lines
+const DEFAULT_STRATEGIES = [{ type: 'keyValue' }, { type: 'label' }];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns a field's ordered strategies, defaulting to key-value then label lookup
+ */
+function resolveFieldStrategies(field) {
+    return Array.isArray(field.strategies) && field.strategies.length > 0 ? field.strategies : DEFAULT_STRATEGIES;
+}
+
+/**
+ * Lowest confidence among the blocks a value came from
+ */
+function lowestConfidence(blocks) {
+    const confidences = blocks.map(block => block?.Confidence).filter(value => value !== undefined && value !== null);
+    return confidences.length > 0 ? Math.min(...confidences) : null;
+}
+
+/**
+ * Builds a case-insensitive regex finding a label as whole words, with its trailing punctuation optional
+ */
+function labelRegExp(label) {
+    const core = label.trim().replace(/[\s:=#-]+$/, '');
+    const words = core.split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Finds 'Label: value' on a line, keeping the value's original case
+ * Only the separator right after the label is removed, so dates like 2024-01-05 and hyphenated names survive
+ * Returns { value, line } or null
+ *
+ * Options:
+ *   separatorRequired - the label must be followed by ':', '=', '#' or a dash (default true)
+ */
+function findLabelledValue(lineBlocks, label, options = {}) {
+    const labelPattern = labelRegExp(label);
+    const separator = options.separatorRequired === false ? /^\s*(?:[:=#–—-]\s*)?/ : /^\s*[:=#–—-]\s*/;
+
+    for (const line of lineBlocks) {
+        const match = labelPattern.exec(line.Text);
+        if (!match) continue;
+        const rest = line.Text.slice(match.index + match[0].length);
+        const separated = separator.exec(rest);
+        const value = separated ? rest.slice(separated[0].length).trim() : '';
+        if (value) return { value, line };
+    }
+    return null;
+}
+
+/**
+ * Runs a regex with a capture group over each line, or the whole text when scope is 'text'
+ * Strategy: { pattern, flags, group (number or name, default 1 when the pattern has groups), scope }
+ */
+function findRegexValue(lineBlocks, strategy) {
+    const regex = new RegExp(strategy.pattern, (strategy.flags || '').replace('g', ''));
+    const pick = match => {
+        const group = strategy.group ?? (match.length > 1 ? 1 : 0);
+        const value = typeof group === 'string' ? match.groups?.[group] : match[group];
+        return value?.trim() || null;
+    };
+
+    if (strategy.scope === 'text') {
+        const match = regex.exec(lineBlocks.map(line => line.Text).join('\n'));
+        const value = match && pick(match);
+        if (!value) return null;
+        const line = lineBlocks.find(candidate => candidate.Text.includes(value.split('\n')[0]));
+        return { value, key: strategy.pattern, method: 'regex', confidence: lowestConfidence([line]) };
+    }
+    for (const line of lineBlocks) {
+        const match = regex.exec(line.Text);
+        const value = match && pick(match);
+        if (value) return { value, key: strategy.pattern, method: 'regex', confidence: lowestConfidence([line]) };
+    }
+    return null;
+}
+
+/**
+ * Applies an anchor strategy's optional pattern to a candidate value
+ */
+function matchAnchorPattern(text, strategy) {
+    if (!strategy.pattern) return text.trim() || null;
+    const match = new RegExp(strategy.pattern, strategy.flags).exec(text);
+    return match ? (match[1] ?? match[0]).trim() || null : null;
+}
+
+/**
+ * Finds the value next to anchor text: on the same row to its right, or in the lines below it
+ * Uses LINE geometry when available; without it, 'right' reads the rest of the anchor's line and
+ * 'below' the following lines
+ *
+ * Strategy: { anchor (text or list), direction: 'right' | 'below', maxDistance, lines, join, pattern, flags }
+ *   maxDistance - largest gap to the value as a fraction of the page (default 0.5 right, 0.05 below)
+ *   lines       - lines below the anchor joined into the value (default 1)
+ */
+function findAnchoredValue(lineBlocks, strategy) {
+    const anchors = [].concat(strategy.anchor);
+    const direction = strategy.direction || 'right';
+    const maxDistance = strategy.maxDistance ?? (direction === 'right' ? 0.5 : 0.05);
+
+    for (const anchorText of anchors) {
+        const anchorPattern = labelRegExp(anchorText);
+        for (const [index, anchorLine] of lineBlocks.entries()) {
+            const match = anchorPattern.exec(anchorLine.Text);
+            if (!match) continue;
+            const anchorBox = anchorLine.Geometry?.BoundingBox;
+            const samePage = lineBlocks.filter(line => line !== anchorLine && (line.Page || 1) === (anchorLine.Page || 1));
+            let found = null;
+
+            if (direction === 'right') {
+                // Text after the anchor on its own line comes first, then separate lines on the same row
+                const rest = anchorLine.Text.slice(match.index + match[0].length).replace(/^\s*[:=#–—-]?\s*/, '');
+                const value = rest && matchAnchorPattern(rest, strategy);
+                if (value) {
+                    found = { value, blocks: [anchorLine] };
+                } else if (anchorBox) {
+                    const anchorCenter = anchorBox.Top + anchorBox.Height / 2;
+                    const anchorRight = anchorBox.Left + anchorBox.Width;
+                    const candidate = samePage
+                        .filter(line => {
+                            const box = line.Geometry?.BoundingBox;
+                            if (!box) return false;
+                            const sameRow = Math.abs(box.Top + box.Height / 2 - anchorCenter) <= Math.max(box.Height, anchorBox.Height) * 0.6;
+                            const gap = box.Left - anchorRight;
+                            return sameRow && gap >= -0.01 && gap <= maxDistance;
+                        })
+                        .sort((a, b) => a.Geometry.BoundingBox.Left - b.Geometry.BoundingBox.Left)
+                        .find(line => matchAnchorPattern(line.Text, strategy));
+                    if (candidate) found = { value: matchAnchorPattern(candidate.Text, strategy), blocks: [anchorLine, candidate] };
+                }
+            } else {
+                let below;
+                if (anchorBox) {
+                    const anchorRight = anchorBox.Left + anchorBox.Width;
+                    below = samePage
+                        .filter(line => {
+                            const box = line.Geometry?.BoundingBox;
+                            if (!box || box.Top < anchorBox.Top + anchorBox.Height * 0.5) return false;
+                            return box.Left < anchorRight && box.Left + box.Width > anchorBox.Left;
+                        })
+                        .sort((a, b) => a.Geometry.BoundingBox.Top - b.Geometry.BoundingBox.Top);
+                    // Stop at the first gap larger than maxDistance
+                    let bottom = anchorBox.Top + anchorBox.Height;
+                    below = below.filter(line => {
+                        const box = line.Geometry.BoundingBox;
+                        if (box.Top - bottom > maxDistance) return false;
+                        bottom = box.Top + box.Height;
+                        return true;
+                    });
+                } else {
+                    below = lineBlocks.slice(index + 1).filter(line => (line.Page || 1) === (anchorLine.Page || 1));
+                }
+                const taken = below.slice(0, strategy.lines ?? 1);
+                const value = taken.length > 0 && matchAnchorPattern(taken.map(line => line.Text).join(strategy.join ?? ' '), strategy);
+                if (value) found = { value, blocks: [anchorLine, ...taken] };
+            }
+
+            if (found) {
+                return {
+                    value: found.value,
+                    key: anchorText,
+                    method: `anchor-${direction}`,
+                    confidence: lowestConfidence(found.blocks.slice(1).length ? found.blocks.slice(1) : found.blocks)
+                };
+            }
+        }
+    }
+    return null;
+}
+
+const normalizeColumn = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}#%]+/gu, ' ').trim();
+
+/**
+ * Reads a value from a table column, by canonical key or header text
+ * Strategy: { column, row: 'first' | 'last' | n (1-based), rowMatch: { column, pattern, flags }, table (0-based index) }
+ * 'first' and 'last' skip rows where the column is empty
+ */
+function findTableColumnValue(tables, strategy) {
+    const candidates = strategy.table !== undefined ? [tables[strategy.table]].filter(Boolean) : tables;
+    const columnIndex = (table, column) => {
+        const wanted = normalizeColumn(column);
+        const byKey = table.columnKeys.findIndex(key => key && normalizeColumn(key) === wanted);
+        return byKey !== -1 ? byKey : table.headers.findIndex(header => normalizeColumn(header || '') === wanted);
+    };
+
+    for (const table of candidates) {
+        const column = columnIndex(table, strategy.column);
+        if (column === -1) continue;
+
+        let rows = table.rows.map((cells, rowIndex) => ({ cells, rowIndex }));
+        if (strategy.rowMatch) {
+            const matchColumn = columnIndex(table, strategy.rowMatch.column);
+            if (matchColumn === -1) continue;
+            const pattern = new RegExp(strategy.rowMatch.pattern, strategy.rowMatch.flags ?? 'i');
+            rows = rows.filter(row => pattern.test(row.cells[matchColumn] || ''));
+        }
+
+        let row;
+        if (typeof strategy.row === 'number') {
+            row = rows[strategy.row - 1];
+        } else {
+            const filled = rows.filter(candidate => (candidate.cells[column] || '').trim());
+            row = strategy.row === 'last' ? filled.at(-1) : filled[0];
+        }
+        const value = row?.cells[column]?.trim();
+        if (value) {
+            return {
+                value,
+                key: table.headers[column] || strategy.column,
+                method: 'table-column',
+                confidence: table.cellConfidence?.[row.rowIndex]?.[column] ?? null
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the alias a query's answers are filed under: the strategy's alias, or the field name in upper snake case
+ */
+function getQueryAlias(field, strategy) {
+    return strategy.alias || field.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'QUERY';
+}
+
+/**
+ * Finds Textract's answer to a query from its QUERY and QUERY_RESULT blocks, matched on alias and text
+ * A query asked on several pages keeps its most confident answer
+ * Query: { text, alias }
+ */
+function findQueryAnswer(blocks, query, blockMap = new Map(blocks.map(block => [block.Id, block]))) {
+    const answers = blocks
+        .filter(block => block.BlockType === 'QUERY' && block.Query?.Alias === query.alias && block.Query?.Text === query.text)
+        .flatMap(block => (block.Relationships || [])
+            .filter(relationship => relationship.Type === 'ANSWER')
+            .flatMap(relationship => relationship.Ids.map(id => blockMap.get(id))))
+        .filter(answer => answer?.BlockType === 'QUERY_RESULT' && answer.Text?.trim());
+    if (answers.length === 0) return null;
+
+    const best = answers.reduce((top, answer) => ((answer.Confidence ?? 0) > (top.Confidence ?? 0) ? answer : top));
+    return { value: best.Text.trim(), key: query.alias, method: 'query', confidence: best.Confidence ?? null };
+}
+
+/**
+ * Returns a constant value for a field
+ * Strategy: { value }
+ */
+function constantValue(strategy) {
+    if (strategy.value === undefined || strategy.value === null) return null;
+    return { value: String(strategy.value), key: null, method: 'constant', confidence: null };
+}
+
+/**
+ * Reads a referenced field as a number, preferring its typed value
+ */
+function referenceNumber(detail) {
+    const value = detail?.value;
+    if (typeof value === 'number') return value;
+    if (value && typeof value === 'object') return value.amount ?? value.quantity ?? null;
+    return detail?.raw ? parseNumber(String(detail.raw).replace(/[^\d.,()\-]/g, '')) : null;
+}
+
+/**
+ * Evaluates an arithmetic expression of numbers, {Field} references, + - * / and parentheses
+ * Returns null when a reference has no numeric value or the expression divides by zero
+ */
+function evaluateExpression(expression, resolve) {
+    const tokens = expression.match(/\{[^}]+\}|\d+(?:\.\d+)?|[-+*/()]|\S/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const primary = () => {
+        const token = next();
+        if (token === '(') {
+            const value = sum();
+            if (next() !== ')') throw new Error(`Missing ')' in expression: ${expression}`);
+            return value;
+        }
+        if (token === '-') {
+            const value = primary();
+            return value === null ? null : -value;
+        }
+        if (/^\d/.test(token || '')) return Number(token);
+        if (token?.startsWith('{')) return resolve(token.slice(1, -1));
+        throw new Error(`Unexpected '${token ?? 'end'}' in expression: ${expression}`);
+    };
+    const product = () => {
+        let value = primary();
+        while (peek() === '*' || peek() === '/') {
+            const operator = next();
+            const right = primary();
+            if (value === null || right === null || (operator === '/' && right === 0)) {
+                value = null;
+            } else {
+                value = operator === '*' ? value * right : value / right;
+            }
+        }
+        return value;
+    };
+    const sum = () => {
+        let value = product();
+        while (peek() === '+' || peek() === '-') {
+            const operator = next();
+            const right = product();
+            value = value === null || right === null ? null : (operator === '+' ? value + right : value - right);
+        }
+        return value;
+    };
+
+    const value = sum();
+    if (position < tokens.length) throw new Error(`Unexpected '${peek()}' in expression: ${expression}`);
+    return value;
+}
+
+/**
+ * Derives a value from other fields' details
+ * Strategy: { template: 'PO-{Order No}' } or { expression: '{Net} + {VAT}', decimals (default 2) }
+ * Confidence is the lowest among the referenced fields
+ */
+function derivedValue(strategy, details) {
+    const references = [...(strategy.template || strategy.expression || '').matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+    const confidence = lowestConfidence(references.map(name => ({ Confidence: details[name]?.confidence })));
+
+    if (strategy.template) {
+        if (references.some(name => !details[name]?.raw)) return null;
+        const value = strategy.template.replace(/\{([^}]+)\}/g, (_, name) => details[name].raw);
+        return { value, key: strategy.template, method: 'derived', confidence };
+    }
+
+    const result = evaluateExpression(strategy.expression, name => referenceNumber(details[name]));
+    if (result === null || !Number.isFinite(result)) return null;
+    const factor = 10 ** (strategy.decimals ?? 2);
+    return { value: String(Math.round(result * factor) / factor), key: strategy.expression, method: 'derived', confidence };
+}
+
+/**
+ * Checks a field's strategies for unknown types and missing options
+ * Returns a list of problems (empty when valid)
+ */
+function validateFieldStrategies(strategies) {
+    if (!Array.isArray(strategies)) return ['strategies must be a list'];
+    const problems = [];
+    const checkRegExp = (pattern, flags, label) => {
+        try {
+            new RegExp(pattern, flags);
+        } catch (error) {
+            problems.push(`${label} is not a valid regular expression: ${error.message}`);
+        }
+    };
+
+    strategies.forEach((strategy, index) => {
+        const label = `strategies[${index}]`;
+        if (!STRATEGY_TYPES.includes(strategy?.type)) {
+            problems.push(`${label} has unknown type '${strategy?.type}' (expected ${STRATEGY_TYPES.join(', ')})`);
+            return;
+        }
+        switch (strategy.type) {
+            case 'regex':
+                if (typeof strategy.pattern !== 'string') problems.push(`${label} (regex) needs a pattern`);
+                else checkRegExp(strategy.pattern, strategy.flags, label);
+                break;
+            case 'anchor':
+                if (!strategy.anchor || [].concat(strategy.anchor).some(anchor => typeof anchor !== 'string' || !anchor.trim())) {
+                    problems.push(`${label} (anchor) needs anchor text`);
+                }
+                if (strategy.direction !== undefined && !['right', 'below'].includes(strategy.direction)) {
+                    problems.push(`${label} (anchor) direction must be right or below`);
+                }
+                if (strategy.pattern !== undefined) checkRegExp(strategy.pattern, strategy.flags, label);
+                break;
+            case 'tableColumn':
+                if (!strategy.column) problems.push(`${label} (tableColumn) needs a column`);
+                if (strategy.rowMatch && (!strategy.rowMatch.column || !strategy.rowMatch.pattern)) {
+                    problems.push(`${label} (tableColumn) rowMatch needs a column and a pattern`);
+                } else if (strategy.rowMatch) {
+                    // Compiled as findTableColumnValue does, case-insensitive unless flags are given
+                    checkRegExp(strategy.rowMatch.pattern, strategy.rowMatch.flags ?? 'i', `${label} (tableColumn) rowMatch`);
+                }
+                break;
+            case 'zone':
+                // Either a named zone from the record's zones, or a zone defined inline
+                if (strategy.zone === undefined) {
+                    problems.push(...validateZones([{ ...strategy, name: 'inline' }]).map(problem => problem.replace(/^zones\[0\] \(inline\)/, `${label} (zone)`)));
+                } else if (typeof strategy.zone !== 'string' || !strategy.zone.trim()) {
+                    problems.push(`${label} (zone) zone must be a zone name`);
+                }
+                break;
+            case 'query':
+                if (typeof strategy.text !== 'string' || !strategy.text.trim()) {
+                    problems.push(`${label} (query) needs the question text`);
+                } else if (strategy.text.length > 200) {
+                    problems.push(`${label} (query) text must be at most 200 characters`);
+                }
+                if (strategy.alias !== undefined && (typeof strategy.alias !== 'string' || !strategy.alias.trim())) {
+                    problems.push(`${label} (query) alias must be a non-empty string`);
+                }
+                if (strategy.pages !== undefined && !(Array.isArray(strategy.pages) && strategy.pages.every(page => QUERY_PAGES.test(String(page))))) {
+                    problems.push(`${label} (query) pages must be a list like ["1", "2-3", "*"]`);
+                }
+                break;
+            case 'constant':
+                if (strategy.value === undefined) problems.push(`${label} (constant) needs a value`);
+                break;
+            case 'derived':
+                if (!strategy.template && !strategy.expression) {
+                    problems.push(`${label} (derived) needs a template or an expression`);
+                } else if (strategy.expression) {
+                    try {
+                        evaluateExpression(strategy.expression, () => 1);
+                    } catch (error) {
+                        problems.push(`${label} (derived) ${error.message}`);
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+    });
+    return problems;
+}
+
+export {
+    STRATEGY_TYPES,
+    DEFAULT_STRATEGIES,
+    resolveFieldStrategies,
+    findLabelledValue,
+    findRegexValue,
+    findAnchoredValue,
+    findTableColumnValue,
+    getQueryAlias,
+    findQueryAnswer,
+    constantValue,
+    derivedValue,
+    evaluateExpression,
+    validateFieldStrategies
+};
@@ -0,0 +1,225 @@
+// Typed field normalization for extracted values
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const CURRENCY_SYMBOLS = {
+    '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', 'A$': 'AUD', 'C$': 'CAD', 'S$': 'SGD', 'RM': 'MYR'
+};
+
+const BOOLEAN_VALUES = {
+    true: ['true', 'yes', 'y', '1', '[x]', 'x', 'checked', 'selected', 'on'],
+    false: ['false', 'no', 'n', '0', '[ ]', 'unchecked', 'not selected', 'off']
+};
+
+const FIELD_TYPES = ['string', 'date', 'currency', 'decimal', 'integer', 'quantity', 'enum', 'boolean'];
+
+/**
+ * Normalizes a company field entry to an object
+ * Plain strings remain supported and become untyped string fields
+ */
+function normalizeFieldConfig(field) {
+    if (typeof field === 'string') {
+        return { name: field, type: 'string' };
+    }
+    return { type: 'string', ...field };
+}
+
+/**
+ * Parses a number written with thousands separators
+ * When both ',' and '.' appear the last one is the decimal separator, otherwise decimalSeparator decides
+ */
+function parseNumber(text, decimalSeparator = '.') {
+    let cleaned = String(text).replace(/[\s ']/g, '');
+    const negative = /^\(.*\)$/.test(cleaned) || /^-/.test(cleaned) || /-$/.test(cleaned) || /CR$/i.test(cleaned);
+    cleaned = cleaned.replace(/^\(|\)$/g, '').replace(/^-|-$/g, '').replace(/CR$/i, '');
+
+    if (!/^[\d.,]+$/.test(cleaned) || !/\d/.test(cleaned)) return null;
+
+    const separator = cleaned.includes(',') && cleaned.includes('.')
+        ? (cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.') ? ',' : '.')
+        : decimalSeparator;
+    const thousands = separator === '.' ? /,/g : /\./g;
+    cleaned = cleaned.replace(thousands, '');
+    if (separator === ',') cleaned = cleaned.replace(',', '.');
+    if ((cleaned.match(/\./g) || []).length > 1) return null;
+
+    const value = Number(cleaned);
+    if (!Number.isFinite(value)) return null;
+    return negative ? -value : value;
+}
+
+/**
+ * Builds an ISO date string after checking the date exists
+ */
+function toIsoDate(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses dates in numeric or month-name form into YYYY-MM-DD
+ * Numeric dates are read in dateOrder (DMY, MDY or YMD); four-digit leading years are always YMD
+ */
+function parseDate(text, dateOrder = 'DMY') {
+    const value = text.trim().replace(/,/g, ' ').replace(/\s+/g, ' ');
+
+    let match = value.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = value.match(/(\d{1,2})[-/. ]([A-Za-z]{3,9})\.?[-/. ](\d{2,4})/);
+    if (match && MONTHS[match[2].toLowerCase()]) {
+        return toIsoDate(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1]));
+    }
+
+    match = value.match(/([A-Za-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)? (\d{4})/);
+    if (match && MONTHS[match[1].toLowerCase()]) {
+        return toIsoDate(Number(match[3]), MONTHS[match[1].toLowerCase()], Number(match[2]));
+    }
+
+    match = value.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    if (match) {
+        const [first, second, third] = match.slice(1).map(Number);
+        if (dateOrder === 'MDY') return toIsoDate(third, first, second);
+        if (dateOrder === 'YMD') return toIsoDate(first, second, third);
+        return toIsoDate(third, second, first);
+    }
+
+    return null;
+}
+
+/**
+ * Parses a money amount and its currency
+ * The currency comes from a symbol or ISO code in the text, else the field's default currency
+ */
+function parseCurrency(text, field) {
+    let currency = null;
+    let remainder = text.trim();
+
+    const codeMatch = remainder.match(/\b([A-Z]{3})\b/);
+    if (codeMatch) {
+        currency = codeMatch[1];
+        remainder = remainder.replace(codeMatch[0], '');
+    } else {
+        const symbol = Object.keys(CURRENCY_SYMBOLS)
+            .sort((a, b) => b.length - a.length)
+            .find(candidate => remainder.includes(candidate));
+        if (symbol) {
+            currency = CURRENCY_SYMBOLS[symbol];
+            remainder = remainder.replace(symbol, '');
+        }
+    }
+
+    const amount = parseNumber(remainder, field.decimalSeparator);
+    if (amount === null) return null;
+    return { amount, currency: currency || field.currency || null };
+}
+
+/**
+ * Parses a quantity with an optional unit, e.g. '2,000 PCS'
+ * Units are upper-cased and mapped through unitAliases; units limits the accepted units
+ */
+function parseQuantity(text, field) {
+    const match = text.trim().match(/^([-\d.,\s]*\d)\s*([A-Za-z][A-Za-z.]*)?$/);
+    if (!match) return null;
+
+    const quantity = parseNumber(match[1], field.decimalSeparator);
+    if (quantity === null) return null;
+
+    let unit = match[2] ? match[2].replace(/\.$/, '').toUpperCase() : (field.defaultUnit || null);
+    for (const [canonical, aliases] of Object.entries(field.unitAliases || {})) {
+        if (unit && aliases.some(alias => alias.toUpperCase() === unit)) unit = canonical;
+    }
+    if (field.units && unit && !field.units.includes(unit)) return null;
+    return { quantity, unit };
+}
+
+/**
+ * Matches a value against an enum field's allowed values
+ * values may be a list, or a map of canonical value to accepted spellings
+ */
+function parseEnum(text, field) {
+    const normalized = text.trim().toLowerCase();
+    const values = Array.isArray(field.values)
+        ? Object.fromEntries(field.values.map(value => [value, []]))
+        : field.values || {};
+    for (const [canonical, aliases] of Object.entries(values)) {
+        if ([canonical, ...aliases].some(candidate => candidate.toLowerCase() === normalized)) {
+            return canonical;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses yes/no style values and checkbox markers
+ */
+function parseBoolean(text) {
+    const normalized = text.trim().toLowerCase();
+    if (BOOLEAN_VALUES.true.includes(normalized)) return true;
+    if (BOOLEAN_VALUES.false.includes(normalized)) return false;
+    return null;
+}
+
+/**
+ * Normalizes a raw extracted value according to its field type
+ * Returns { value, error }, where error is set when the raw text does not parse as the declared type
+ */
+function normalizeFieldValue(raw, field) {
+    const config = normalizeFieldConfig(field);
+    if (raw === null || raw === undefined || raw === '') {
+        return { value: null, error: null };
+    }
+
+    const text = String(raw).trim();
+    let value;
+    switch (config.type) {
+        case 'string':
+            return { value: text, error: null };
+        case 'date':
+            value = parseDate(text, config.dateOrder);
+            break;
+        case 'currency':
+            value = parseCurrency(text, config);
+            break;
+        case 'decimal':
+            value = parseNumber(text.replace(/[^\d.,()\-\s]/g, ''), config.decimalSeparator);
+            break;
+        case 'integer':
+            value = parseNumber(text, config.decimalSeparator);
+            if (value !== null && !Number.isInteger(value)) value = null;
+            break;
+        case 'quantity':
+            value = parseQuantity(text, config);
+            break;
+        case 'enum':
+            value = parseEnum(text, config);
+            break;
+        case 'boolean':
+            value = parseBoolean(text);
+            break;
+        default:
+            return { value: null, error: `Unknown field type '${config.type}'` };
+    }
+
+    if (value === null) {
+        return { value: null, error: `Could not parse '${text}' as ${config.type}` };
+    }
+    return { value, error: null };
+}
+
+export {
+    CURRENCY_SYMBOLS,
+    FIELD_TYPES,
+    normalizeFieldConfig,
+    normalizeFieldValue,
+    parseNumber,
+    parseDate
+};
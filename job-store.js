@@ -0,0 +1,104 @@
+// Async Textract job state storage backends
+import { GetCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Lifecycle states of an asynchronous Textract job
+ * PENDING: Textract is analysing, IN_PROGRESS: results are being collected and processed
+ */
+const JOB_STATUS = {
+    PENDING: 'PENDING',
+    IN_PROGRESS: 'IN_PROGRESS',
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED',
+    PARTIAL_SUCCESS: 'PARTIAL_SUCCESS'
+};
+
+/**
+ * Job store backed by the DynamoDB job state table (partition key: jobId)
+ * The table name is resolved on every call so JOB_STATE_TABLE can be set after import
+ */
+function createDynamoJobStore({ dynamodb, tableName } = {}) {
+    const resolveTableName = () => tableName || process.env.JOB_STATE_TABLE;
+
+    return {
+        async createJob(job) {
+            const now = new Date().toISOString();
+            const item = { ...job, createdAt: now, updatedAt: now };
+            await dynamodb.send(new PutCommand({
+                TableName: resolveTableName(),
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(jobId)'
+            }));
+            return item;
+        },
+
+        async getJob(jobId) {
+            const data = await dynamodb.send(new GetCommand({
+                TableName: resolveTableName(),
+                Key: { jobId }
+            }));
+            return data.Item || null;
+        },
+
+        async updateJob(jobId, changes) {
+            const updates = { ...changes, updatedAt: new Date().toISOString() };
+            const names = {};
+            const values = {};
+            const setters = Object.keys(updates).map((attribute, index) => {
+                names[`#a${index}`] = attribute;
+                values[`:v${index}`] = updates[attribute];
+                return `#a${index} = :v${index}`;
+            });
+            const data = await dynamodb.send(new UpdateCommand({
+                TableName: resolveTableName(),
+                Key: { jobId },
+                UpdateExpression: `SET ${setters.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ConditionExpression: 'attribute_exists(jobId)',
+                ReturnValues: 'ALL_NEW'
+            }));
+            return data.Attributes;
+        }
+    };
+}
+
+/**
+ * Job store holding job state in memory
+ * Used for local runs and tests where no job state table is available
+ */
+function createMemoryJobStore() {
+    const jobs = new Map();
+
+    return {
+        async createJob(job) {
+            if (jobs.has(job.jobId)) {
+                throw new Error(`Job already exists: ${job.jobId}`);
+            }
+            const now = new Date().toISOString();
+            const item = { ...job, createdAt: now, updatedAt: now };
+            jobs.set(job.jobId, item);
+            return structuredClone(item);
+        },
+
+        async getJob(jobId) {
+            const job = jobs.get(jobId);
+            return job ? structuredClone(job) : null;
+        },
+
+        async updateJob(jobId, changes) {
+            if (!jobs.has(jobId)) {
+                throw new Error(`Job not found: ${jobId}`);
+            }
+            const item = { ...jobs.get(jobId), ...changes, updatedAt: new Date().toISOString() };
+            jobs.set(jobId, item);
+            return structuredClone(item);
+        }
+    };
+}
+
+export {
+    JOB_STATUS,
+    createDynamoJobStore,
+    createMemoryJobStore
+};
@@ -0,0 +1,295 @@
+// Result sinks: S3 JSON/CSV sidecars, HMAC-signed webhooks and EventBridge events
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { createHmac } from 'crypto';
+
+const SINK_TYPES = ['s3', 'webhook', 'eventbridge'];
+
+// PutEvents limits an entry to 256 KB; the rest of the entry and a margin stay below it
+const MAX_EVENT_DETAIL_BYTES = 240 * 1024;
+
+/**
+ * Runs an operation, retrying with exponential backoff while isRetryable(error) holds
+ * Returns { value, attempts }; the final error is thrown with its attempts count attached
+ */
+async function withRetry(operation, options = {}) {
+    const maxAttempts = options.maxAttempts ?? 3;
+    const isRetryable = options.isRetryable || (() => true);
+    let delayMs = options.initialDelayMs ?? 200;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { value: await operation(attempt), attempts: attempt };
+        } catch (error) {
+            if (attempt >= maxAttempts || !isRetryable(error)) {
+                error.attempts = attempt;
+                throw error;
+            }
+            console.log(`Attempt ${attempt} failed (${error.message}), retrying in ${delayMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            delayMs *= 2;
+        }
+    }
+}
+
+/**
+ * Quotes a value for CSV when it contains a separator, quote or line break
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders rows (objects) as CSV, with columns defaulting to every key in row order
+ */
+function toCsv(rows, columns) {
+    const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [header, ...rows.map(row => header.map(column => row[column]))]
+        .map(values => values.map(csvValue).join(','))
+        .join('\n') + '\n';
+}
+
+/**
+ * Flattens results to CSV rows: one row per line item, repeating the document's fields
+ * Results without line items produce a single row of fields
+ */
+function resultsToCsvRows(results, documentId) {
+    return results.flatMap(result => {
+        const base = {
+            documentId,
+            company: result.company,
+            documentType: result.documentType ?? null,
+            pageStart: result.pageRange?.start ?? result.pageNumber,
+            pageEnd: result.pageRange?.end ?? result.pageNumber,
+            ...result.extractedFields
+        };
+        const items = (result.items || []).map(({ source, confidence, normalized, errors, ...columns }) => columns);
+        return items.length > 0 ? items.map(item => ({ ...base, ...item })) : [base];
+    });
+}
+
+/**
+ * Builds the payload shared by sinks: the document, its source object and its results
+ */
+function buildPayload(results, target) {
+    return {
+        documentId: target.documentId,
+        source: { bucket: target.bucket, key: target.key },
+        company: results[0]?.company || null,
+        publishedAt: new Date().toISOString(),
+        results: results.map(result => ({
+            resultKey: target.getResultKey(result),
+            documentType: result.documentType ?? null,
+            pageNumber: result.pageNumber,
+            pages: result.pages || [result.pageNumber],
+            extractedFields: result.extractedFields,
+            fieldDetails: result.fieldDetails || {},
+            items: result.items || [],
+            reviewStatus: result.reviewStatus,
+            validation: result.validation || null,
+            configVersion: result.configVersion ?? null
+        }))
+    };
+}
+
+/**
+ * Builds the detail of a result's event: the document, its extracted fields and a validation summary
+ * Field details and line items are left out, and so are the fields when the detail would still exceed
+ * MAX_EVENT_DETAIL_BYTES; consumers read the full result from resultsLocation (when set) or the target tables
+ */
+function buildEventDetail(document, result, target) {
+    const detail = {
+        ...document,
+        resultsLocation: target.resultsLocation || null,
+        result: {
+            resultKey: result.resultKey,
+            documentType: result.documentType,
+            pageNumber: result.pageNumber,
+            pages: result.pages,
+            extractedFields: result.extractedFields,
+            itemCount: result.items.length,
+            reviewStatus: result.reviewStatus,
+            validation: result.validation && {
+                valid: result.validation.valid,
+                blocking: result.validation.blocking,
+                errors: result.validation.errors?.length || 0,
+                warnings: result.validation.warnings?.length || 0
+            },
+            configVersion: result.configVersion
+        }
+    };
+    const body = JSON.stringify(detail);
+    if (Buffer.byteLength(body) <= MAX_EVENT_DETAIL_BYTES) {
+        return body;
+    }
+    const { extractedFields, ...summary } = detail.result;
+    return JSON.stringify({ ...detail, result: { ...summary, fieldsOmitted: true } });
+}
+
+/**
+ * Sink writing a JSON or CSV sidecar per document and company to an S3 prefix
+ *
+ * Config: { type: 's3', bucket, prefix, format: 'json' | 'csv' }
+ * bucket defaults to the source document's bucket; the object key is <prefix><documentId>-<company>.<format>
+ */
+function createS3Sink(config, context) {
+    const format = config.format || 'json';
+    return {
+        name: config.name || `s3:${config.prefix || ''}${format}`,
+        type: 's3',
+
+        async publish(results, target) {
+            const payload = buildPayload(results, target);
+            const company = String(payload.company || 'unknown').replace(/[^a-zA-Z0-9]+/g, '-');
+            const bucket = config.bucket || target.bucket;
+            const key = `${config.prefix || 'results/'}${target.documentId}-${company}.${format}`;
+            const body = format === 'csv'
+                ? toCsv(resultsToCsvRows(results, target.documentId))
+                : JSON.stringify(payload, null, 2);
+
+            const { attempts } = await withRetry(() => context.s3.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: format === 'csv' ? 'text/csv' : 'application/json'
+            })), config.retry);
+            return { delivered: results.length, attempts, location: `s3://${bucket}/${key}` };
+        }
+    };
+}
+
+/**
+ * Sink POSTing the payload to an HTTP endpoint, signed with HMAC-SHA256
+ * The signature covers '<timestamp>.<body>' and is sent as X-Signature: sha256=<hex>, with X-Signature-Timestamp
+ *
+ * Config: { type: 'webhook', url, secretEnv, headers, timeoutMs }
+ * secretEnv names an environment variable holding the secret; the secret itself is never stored with the company,
+ * whose record the config API returns
+ * Network errors, 429 and 5xx responses are retried; other 4xx responses fail at once
+ */
+function createWebhookSink(config, context) {
+    return {
+        name: config.name || `webhook:${config.url}`,
+        type: 'webhook',
+
+        async publish(results, target) {
+            if (config.secret !== undefined) {
+                throw new Error(`Webhook ${config.url} has a plain-text secret; name an environment variable with secretEnv instead`);
+            }
+            const secret = config.secretEnv && process.env[config.secretEnv];
+            if (!secret) {
+                throw new Error(`Webhook ${config.url} has no signing secret${config.secretEnv ? ` in ${config.secretEnv}` : ''}`);
+            }
+            const body = JSON.stringify(buildPayload(results, target));
+
+            const { value: response, attempts } = await withRetry(async () => {
+                const timestamp = String(Math.floor(Date.now() / 1000));
+                const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+                const response = await context.fetch(config.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...config.headers,
+                        'X-Signature': `sha256=${signature}`,
+                        'X-Signature-Timestamp': timestamp
+                    },
+                    body,
+                    signal: AbortSignal.timeout(config.timeoutMs ?? 10000)
+                });
+                if (!response.ok) {
+                    const error = new Error(`Webhook responded ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response;
+            }, {
+                ...config.retry,
+                isRetryable: error => !error.status || error.status === 429 || error.status >= 500
+            });
+            return { delivered: results.length, attempts, status: response.status };
+        }
+    };
+}
+
+/**
+ * Sink putting one EventBridge event per result, with the detail built by buildEventDetail
+ * Entries rejected by PutEvents are retried; entries still failing are reported
+ *
+ * Config: { type: 'eventbridge', eventBusName, source, detailType }
+ */
+function createEventBridgeSink(config, context) {
+    return {
+        name: config.name || `eventbridge:${config.eventBusName || 'default'}`,
+        type: 'eventbridge',
+
+        async publish(results, target) {
+            const { results: resultPayloads, ...document } = buildPayload(results, target);
+            const entries = resultPayloads.map(result => ({
+                Source: config.source || 'amt.textract',
+                DetailType: config.detailType || 'DocumentExtracted',
+                Detail: buildEventDetail(document, result, target),
+                ...(config.eventBusName && { EventBusName: config.eventBusName })
+            }));
+
+            let delivered = 0;
+            let attempts = 0;
+            try {
+                // PutEvents accepts up to 10 entries per call
+                for (let index = 0; index < entries.length; index += 10) {
+                    let pending = entries.slice(index, index + 10);
+                    const outcome = await withRetry(async () => {
+                        const response = await context.eventbridge.send(new PutEventsCommand({ Entries: pending }));
+                        const rejected = pending.filter((_, position) => response.Entries?.[position]?.ErrorCode);
+                        delivered += pending.length - rejected.length;
+                        if (rejected.length > 0) {
+                            const errorCode = response.Entries.find(entry => entry.ErrorCode).ErrorCode;
+                            pending = rejected;
+                            throw new Error(`${rejected.length} event(s) rejected: ${errorCode}`);
+                        }
+                    }, config.retry);
+                    attempts = Math.max(attempts, outcome.attempts);
+                }
+            } catch (error) {
+                // Report the events that did get through
+                error.delivered = delivered;
+                throw error;
+            }
+            return { delivered, attempts };
+        }
+    };
+}
+
+const SINK_FACTORIES = {
+    s3: createS3Sink,
+    webhook: createWebhookSink,
+    eventbridge: createEventBridgeSink
+};
+
+/**
+ * Creates a sink from a company's sink configuration
+ * Every sink exposes { name, type, publish(results, target) }, where target is
+ * { documentId, bucket, key, getResultKey, resultsLocation }; publish throws once its retries are exhausted,
+ * with error.delivered set when some results got through
+ */
+function createSink(config, context) {
+    const factory = SINK_FACTORIES[config.type];
+    if (!factory) {
+        throw new Error(`Unknown sink type '${config.type}'`);
+    }
+    return factory(config, context);
+}
+
+export {
+    SINK_TYPES,
+    MAX_EVENT_DETAIL_BYTES,
+    withRetry,
+    toCsv,
+    resultsToCsvRows,
+    buildEventDetail,
+    createS3Sink,
+    createWebhookSink,
+    createEventBridgeSink,
+    createSink
+};
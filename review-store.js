@@ -0,0 +1,127 @@
+// Human-review queue storage backends
+import { GetCommand, PutCommand, QueryCommand, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * States of a result in the review queue
+ * Only AUTO_APPROVED and APPROVED results are published to target tables
+ */
+const REVIEW_STATUS = {
+    AUTO_APPROVED: 'AUTO_APPROVED',
+    PENDING_REVIEW: 'PENDING_REVIEW',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED'
+};
+
+/**
+ * Review store backed by the DynamoDB review queue table
+ * Partition key: reviewId; a 'status-index' GSI on status (sort key createdAt) serves queue listings
+ */
+function createDynamoReviewStore({ dynamodb, tableName } = {}) {
+    const resolveTableName = () => tableName || process.env.REVIEW_QUEUE_TABLE;
+
+    return {
+        async putReview(review) {
+            const now = new Date().toISOString();
+            const item = { ...review, createdAt: review.createdAt || now, updatedAt: now };
+            await dynamodb.send(new PutCommand({ TableName: resolveTableName(), Item: item }));
+            return item;
+        },
+
+        async getReview(reviewId) {
+            const data = await dynamodb.send(new GetCommand({
+                TableName: resolveTableName(),
+                Key: { reviewId }
+            }));
+            return data.Item || null;
+        },
+
+        async listReviews({ status } = {}) {
+            const items = [];
+            let lastKey;
+            do {
+                const command = status
+                    ? new QueryCommand({
+                        TableName: resolveTableName(),
+                        IndexName: 'status-index',
+                        KeyConditionExpression: '#status = :status',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: { ':status': status },
+                        ExclusiveStartKey: lastKey
+                    })
+                    : new ScanCommand({ TableName: resolveTableName(), ExclusiveStartKey: lastKey });
+                const data = await dynamodb.send(command);
+                items.push(...(data.Items || []));
+                lastKey = data.LastEvaluatedKey;
+            } while (lastKey);
+            return items;
+        },
+
+        async updateReview(reviewId, changes, expectedStatus) {
+            const updates = { ...changes, updatedAt: new Date().toISOString() };
+            const names = { '#status': 'status' };
+            const values = {};
+            const setters = Object.keys(updates).map((attribute, index) => {
+                names[`#a${index}`] = attribute;
+                values[`:v${index}`] = updates[attribute];
+                return `#a${index} = :v${index}`;
+            });
+            if (expectedStatus) values[':expected'] = expectedStatus;
+            const data = await dynamodb.send(new UpdateCommand({
+                TableName: resolveTableName(),
+                Key: { reviewId },
+                UpdateExpression: `SET ${setters.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ConditionExpression: expectedStatus
+                    ? 'attribute_exists(reviewId) AND #status = :expected'
+                    : 'attribute_exists(reviewId) AND attribute_exists(#status)',
+                ReturnValues: 'ALL_NEW'
+            }));
+            return data.Attributes;
+        }
+    };
+}
+
+/**
+ * Review store holding the queue in memory
+ * Used for local runs and tests where no review queue table is available
+ */
+function createMemoryReviewStore() {
+    const reviews = new Map();
+
+    return {
+        async putReview(review) {
+            const now = new Date().toISOString();
+            const item = { ...review, createdAt: review.createdAt || now, updatedAt: now };
+            reviews.set(review.reviewId, item);
+            return structuredClone(item);
+        },
+
+        async getReview(reviewId) {
+            const review = reviews.get(reviewId);
+            return review ? structuredClone(review) : null;
+        },
+
+        async listReviews({ status } = {}) {
+            return [...reviews.values()]
+                .filter(review => !status || review.status === status)
+                .map(review => structuredClone(review));
+        },
+
+        async updateReview(reviewId, changes, expectedStatus) {
+            const review = reviews.get(reviewId);
+            if (!review || (expectedStatus && review.status !== expectedStatus)) {
+                throw new Error(`Review ${reviewId} not found or not in status ${expectedStatus}`);
+            }
+            const item = { ...review, ...changes, updatedAt: new Date().toISOString() };
+            reviews.set(reviewId, item);
+            return structuredClone(item);
+        }
+    };
+}
+
+export {
+    REVIEW_STATUS,
+    createDynamoReviewStore,
+    createMemoryReviewStore
+};
@@ -0,0 +1,279 @@
+// Draft company templates from a labeled sample document
+import { extractKeyValueEntries, extractTables, extractFieldDetails, normalizeKey } from './textract-utils.js';
+import { identifyCompany } from './company-identification.js';
+import { getBlockPages } from './document-zones.js';
+import { COMPANY_SCHEMA_VERSION, validateCompanyRecord } from './company-config.js';
+import { CURRENCY_SYMBOLS } from './field-types.js';
+
+// Strategies are listed in this order, most robust to layout changes first
+const STRATEGY_ORDER = ['keyValue', 'label', 'tableColumn', 'anchor', 'zone'];
+
+// Space left around a value's words when drawing its zone: a page fraction across, a share of the text height down,
+// so the zone tolerates small shifts without reaching into the lines above and below
+const ZONE_PADDING = { horizontal: 0.01, vertical: 0.25 };
+
+const sameText = (a, b) => String(a ?? '').replace(/\s+/g, ' ').trim().toLowerCase() === String(b ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const stripSeparator = text => text.replace(/[\s:=#–—-]+$/, '').trim();
+const round = value => Math.round(value * 10000) / 10000;
+
+// A currency amount: a common ISO code or a symbol parseCurrency recognizes, before or after the number.
+// Codes are listed rather than any three letters so references like 'INV 1234' stay strings
+const CURRENCY_CODES = [...new Set([...Object.values(CURRENCY_SYMBOLS), 'CHF', 'CNY', 'HKD', 'NZD', 'SEK', 'NOK', 'DKK', 'ZAR'])];
+const CURRENCY_MARKER = `(?:${[...CURRENCY_CODES, ...Object.keys(CURRENCY_SYMBOLS)].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`;
+const CURRENCY_AMOUNT = new RegExp(`^(?:${CURRENCY_MARKER}\\s?-?[\\d,]+(\\.\\d+)?|-?[\\d,]+(\\.\\d+)?\\s?${CURRENCY_MARKER})$`, 'i');
+
+/**
+ * Guesses a field type from a sample value: dates, currency amounts and decimals; anything else stays a string
+ */
+function inferFieldType(value) {
+    const text = String(value).trim();
+    if (/^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(text)) return 'date';
+    if (CURRENCY_AMOUNT.test(text)) return 'currency';
+    if (/^-?[\d,]*\d\.\d+$/.test(text)) return 'decimal';
+    return 'string';
+}
+
+/**
+ * Returns a LINE's WORD children
+ */
+function getLineWords(line, blockMap) {
+    return (line.Relationships || [])
+        .filter(relationship => relationship.Type === 'CHILD')
+        .flatMap(relationship => relationship.Ids.map(id => blockMap.get(id)))
+        .filter(block => block?.BlockType === 'WORD');
+}
+
+/**
+ * Finds the words of a line that spell the value, for drawing a zone around just the value
+ * Falls back to the whole line when the words cannot be lined up
+ */
+function findValueBox(line, value, blockMap) {
+    const words = getLineWords(line, blockMap);
+    for (let start = 0; start < words.length; start++) {
+        for (let end = start; end < words.length; end++) {
+            const run = words.slice(start, end + 1);
+            if (sameText(run.map(word => word.Text).join(' '), value) && run.every(word => word.Geometry?.BoundingBox)) {
+                const boxes = run.map(word => word.Geometry.BoundingBox);
+                const left = Math.min(...boxes.map(box => box.Left));
+                const top = Math.min(...boxes.map(box => box.Top));
+                return {
+                    Left: left,
+                    Top: top,
+                    Width: Math.max(...boxes.map(box => box.Left + box.Width)) - left,
+                    Height: Math.max(...boxes.map(box => box.Top + box.Height)) - top
+                };
+            }
+        }
+    }
+    return line.Geometry?.BoundingBox || null;
+}
+
+/**
+ * Finds the text labelling a value that fills its own line: the nearest line to its left on the same row,
+ * otherwise the line just above it
+ * Returns { text, direction } or null
+ */
+function findValueAnchor(valueLine, lines) {
+    const box = valueLine.Geometry?.BoundingBox;
+    if (!box) return null;
+    const page = valueLine.Page || 1;
+    const others = lines.filter(line => line !== valueLine && (line.Page || 1) === page && line.Geometry?.BoundingBox);
+    const center = box.Top + box.Height / 2;
+
+    const left = others
+        .filter(line => {
+            const other = line.Geometry.BoundingBox;
+            return Math.abs(other.Top + other.Height / 2 - center) <= Math.max(other.Height, box.Height) * 0.6
+                && other.Left + other.Width <= box.Left + 0.01;
+        })
+        .sort((a, b) => (b.Geometry.BoundingBox.Left + b.Geometry.BoundingBox.Width) - (a.Geometry.BoundingBox.Left + a.Geometry.BoundingBox.Width))[0];
+    if (left && stripSeparator(left.Text)) return { text: stripSeparator(left.Text), direction: 'right' };
+
+    const above = others
+        .filter(line => {
+            const other = line.Geometry.BoundingBox;
+            const gap = box.Top - (other.Top + other.Height);
+            return gap >= -0.005 && gap <= 0.05 && other.Left < box.Left + box.Width && other.Left + other.Width > box.Left;
+        })
+        .sort((a, b) => b.Geometry.BoundingBox.Top - a.Geometry.BoundingBox.Top)[0];
+    if (above && stripSeparator(above.Text)) return { text: stripSeparator(above.Text), direction: 'below' };
+    return null;
+}
+
+/**
+ * Picks a zone anchor: the first words of the top line on the value's page, other than the value itself
+ * Returns { text, left, top } or null when the page has no usable line
+ */
+function findPageAnchor(valueLine, lines) {
+    const page = valueLine.Page || 1;
+    const top = lines
+        .filter(line => line !== valueLine && (line.Page || 1) === page && line.Geometry?.BoundingBox && /\p{L}{3}/u.test(line.Text))
+        .sort((a, b) => a.Geometry.BoundingBox.Top - b.Geometry.BoundingBox.Top)[0];
+    if (!top) return null;
+    const box = top.Geometry.BoundingBox;
+    return { text: top.Text.trim().split(/\s+/).slice(0, 3).join(' '), left: round(box.Left), top: round(box.Top) };
+}
+
+/**
+ * Finds every way a field's sample value can be located and returns the matching strategies, best first,
+ * plus the zone drawn around the value when it was found on a line
+ * Returns { strategies, aliases, zone, found }
+ */
+function locateField(name, expected, document) {
+    const strategies = [];
+    const aliases = [];
+    let zone = null;
+
+    // Form key-value pairs: the key text becomes an alias when it differs from the field name
+    for (const [key, entry] of Object.entries(document.keyValueEntries)) {
+        if (!sameText(entry.value, expected)) continue;
+        if (normalizeKey(key) !== normalizeKey(name)) aliases.push(stripSeparator(key) || key);
+        if (!strategies.some(strategy => strategy.type === 'keyValue')) strategies.push({ type: 'keyValue' });
+    }
+
+    // Table cells, by column key (or header) and row
+    document.tables.forEach((table, tableIndex) => {
+        table.rows.forEach((cells, rowIndex) => {
+            cells.forEach((cell, columnIndex) => {
+                if (!sameText(cell, expected) || strategies.some(strategy => strategy.type === 'tableColumn')) return;
+                const filled = table.rows.filter(row => (row[columnIndex] || '').trim());
+                const row = filled[0] === cells ? 'first' : filled.at(-1) === cells ? 'last' : rowIndex + 1;
+                strategies.push({
+                    type: 'tableColumn',
+                    column: table.columnKeys[columnIndex] || table.headers[columnIndex],
+                    row,
+                    ...(document.tables.length > 1 && { table: tableIndex })
+                });
+            });
+        });
+    });
+
+    // Lines: 'Label: value' on one line, a value beside or below its label, and the zone around it
+    const valueLine = document.lines.find(line => ` ${line.Text.toLowerCase()} `.includes(` ${String(expected).toLowerCase()} `))
+        || document.lines.find(line => line.Text.toLowerCase().includes(String(expected).toLowerCase()));
+    if (valueLine) {
+        const index = valueLine.Text.toLowerCase().indexOf(String(expected).toLowerCase());
+        const prefix = valueLine.Text.slice(0, index);
+        const label = stripSeparator(prefix);
+        if (label && /[:=#–—-]\s*$/.test(prefix)) {
+            strategies.push({ type: 'label', ...(normalizeKey(label) !== normalizeKey(name) && { label }) });
+        } else if (label) {
+            strategies.push({ type: 'anchor', anchor: label, direction: 'right' });
+        } else if (sameText(valueLine.Text, expected)) {
+            const anchor = findValueAnchor(valueLine, document.lines);
+            if (anchor) strategies.push({ type: 'anchor', anchor: anchor.text, direction: anchor.direction });
+        }
+
+        const box = findValueBox(valueLine, expected, document.blockMap);
+        if (box) {
+            const padX = ZONE_PADDING.horizontal;
+            const padY = box.Height * ZONE_PADDING.vertical;
+            const left = Math.max(0, box.Left - padX);
+            const top = Math.max(0, box.Top - padY);
+            const anchor = findPageAnchor(valueLine, document.lines);
+            zone = {
+                name,
+                page: document.pages.indexOf(valueLine.Page || 1) + 1,
+                box: {
+                    left: round(left),
+                    top: round(top),
+                    width: round(Math.min(1, box.Left + box.Width + padX) - left),
+                    height: round(Math.min(1, box.Top + box.Height + padY) - top)
+                },
+                ...(anchor && { anchor })
+            };
+            strategies.push({ type: 'zone', zone: name });
+        }
+    }
+
+    strategies.sort((a, b) => STRATEGY_ORDER.indexOf(a.type) - STRATEGY_ORDER.indexOf(b.type));
+    return { strategies, aliases: [...new Set(aliases)], zone, found: strategies.length > 0 };
+}
+
+/**
+ * Drafts a company record from a sample document and the values expected for each field
+ * Each value is located through form key-value pairs, 'Label: value' lines, table cells and geometry;
+ * the field gets every matching strategy, best first, with key texts as aliases and a zone as the last resort
+ * The draft is then extracted from the same sample to check each field comes back as labeled
+ *
+ * labels: { fieldName: value } or { fieldName: { value, type } }; types default to a guess from the value
+ * Options:
+ *   company      - the company name (required)
+ *   targetTables - target tables for the draft
+ * Returns { record, report: [{ field, expected, type, strategies, extracted, verified }], identified, validation }
+ */
+function bootstrapCompanyTemplate(blocks, labels, options = {}) {
+    if (!options.company) {
+        throw new Error('A company name is needed to draft a template');
+    }
+    if (typeof labels !== 'object' || labels === null || Object.keys(labels).length === 0) {
+        throw new Error('Labels must map each field name to its value in the sample');
+    }
+    console.log(`Drafting template for ${options.company} from ${Object.keys(labels).length} labeled field(s)`);
+
+    const document = {
+        blockMap: new Map(blocks.map(block => [block.Id, block])),
+        lines: blocks.filter(block => block.BlockType === 'LINE' && block.Text),
+        keyValueEntries: extractKeyValueEntries(blocks),
+        tables: extractTables(blocks),
+        pages: getBlockPages(blocks)
+    };
+
+    const fields = [];
+    const zones = [];
+    const located = [];
+    for (const [name, label] of Object.entries(labels)) {
+        const expected = String(typeof label === 'object' && label !== null ? label.value : label);
+        const type = label?.type || inferFieldType(expected);
+        const { strategies, aliases, zone, found } = locateField(name, expected, document);
+        if (!found) console.warn(`Value for '${name}' not found in the sample: ${expected}`);
+
+        fields.push({
+            name,
+            ...(type !== 'string' && { type }),
+            ...(aliases.length > 0 && { aliases }),
+            ...(strategies.length > 0 && { strategies })
+        });
+        if (zone) zones.push(zone);
+        located.push({ field: name, expected, type, strategies: strategies.map(strategy => strategy.type) });
+    }
+
+    const record = {
+        company: options.company,
+        schemaVersion: COMPANY_SCHEMA_VERSION,
+        fields,
+        ...(zones.length > 0 && { zones }),
+        ...(options.targetTables && { targetTables: options.targetTables })
+    };
+
+    // The sample should identify as this company; suggest its top line as an identifier when it does not
+    const identification = identifyCompany(blocks, [record]);
+    if (identification.status !== 'matched' && document.lines.length > 0) {
+        const topLine = [...document.lines].sort((a, b) =>
+            (a.Page || 1) - (b.Page || 1) || (a.Geometry?.BoundingBox?.Top ?? 0) - (b.Geometry?.BoundingBox?.Top ?? 0)
+        )[0];
+        record.identifiers = [escapeRegExp(topLine.Text.trim())];
+        console.warn(`${options.company} is not named in the sample; using '${topLine.Text.trim()}' as an identifier`);
+    }
+
+    const details = extractFieldDetails(blocks, fields, { zones });
+    const report = located.map(entry => ({
+        ...entry,
+        extracted: details[entry.field]?.raw ?? null,
+        strategy: details[entry.field]?.strategy ?? null,
+        verified: sameText(details[entry.field]?.raw, entry.expected)
+    }));
+
+    return {
+        record,
+        report,
+        identified: identifyCompany(blocks, [record]).status === 'matched',
+        validation: validateCompanyRecord(record)
+    };
+}
+
+export {
+    inferFieldType,
+    bootstrapCompanyTemplate
+};
@@ -0,0 +1,167 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+    globToRegExp,
+    findDocuments,
+    mapWithConcurrency,
+    isThrottlingError,
+    getDocumentStatus,
+    processBatch,
+    summarizeBatch,
+    writeBatchSummary,
+    writeDocumentResult
+} from '../batch-processing.js';
+import { createTempFiles } from './helpers/files.js';
+
+const acmeResult = { company: 'ACME Supplies', documentType: 'invoice', pageNumber: 1, extractedFields: { Total: '£5.00', PO: null } };
+const harbourResult = { company: 'Harbour Logistics', pages: [1, 2], extractedFields: { 'Delivery No': 'DN-1' } };
+
+const throttled = () => Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+
+describe('globToRegExp', () => {
+    it('matches any depth, single segments, classes and alternatives', () => {
+        assert.ok(globToRegExp('**/*.pdf').test('a/b/scan.PDF'));
+        assert.ok(globToRegExp('**/*.pdf').test('scan.pdf'));
+        assert.ok(!globToRegExp('*.pdf').test('a/scan.pdf'));
+        assert.ok(globToRegExp('scan-?.{png,jpg}').test('scan-1.jpg'));
+        assert.ok(globToRegExp('[!x]*.tif').test('a.tif'));
+        assert.ok(!globToRegExp('[!x]*.tif').test('x.tif'));
+    });
+});
+
+describe('findDocuments', () => {
+    let files;
+    before(() => {
+        files = createTempFiles({
+            'a.pdf': 'pdf',
+            'a.pdf.textract.json': {},
+            'b.png.textract.json': {},
+            'companies.json': [],
+            'notes.txt': 'ignored',
+            'sub/c.jpg': 'jpg',
+            'sub/c.jpg.result.json': {},
+            'results/old.pdf': 'pdf',
+            'batch-summary.json': {}
+        });
+    });
+    after(() => files.remove());
+
+    const relative = found => found.files.map(file => path.relative(found.baseDir, file).split(path.sep).join('/'));
+
+    it('walks directories for documents and saved responses only', () => {
+        const found = findDocuments(files.dir, { exclude: [files.path('results')] });
+        assert.equal(found.baseDir, files.dir);
+        assert.deepEqual(relative(found), ['a.pdf', 'b.png.textract.json', 'sub/c.jpg']);
+    });
+
+    it('selects what a glob matches, relative to its static prefix', () => {
+        assert.deepEqual(relative(findDocuments(`${files.dir}/**/*.{pdf,jpg}`)), ['a.pdf', 'results/old.pdf', 'sub/c.jpg']);
+        assert.deepEqual(relative(findDocuments(`${files.dir}/*.json`)), ['a.pdf.textract.json', 'b.png.textract.json', 'companies.json']);
+    });
+
+    it('takes a single file as it is and reports missing input', () => {
+        assert.deepEqual(findDocuments(files.path('companies.json')), { baseDir: files.dir, files: [files.path('companies.json')] });
+        assert.throws(() => findDocuments(files.path('missing')), /Input not found/);
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    it('keeps results in order with a bounded number in flight', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+            peak = Math.max(peak, ++inFlight);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            inFlight--;
+            return index;
+        });
+        assert.deepEqual(results, [0, 1, 2, 3]);
+        assert.equal(peak, 2);
+    });
+});
+
+describe('isThrottlingError', () => {
+    it('recognizes throttling by name or SDK retry hint', () => {
+        assert.ok(isThrottlingError(throttled()));
+        assert.ok(isThrottlingError({ name: 'ProvisionedThroughputExceededException' }));
+        assert.ok(isThrottlingError({ name: 'Error', $retryable: { throttling: true } }));
+        assert.ok(!isThrottlingError(new Error('Access denied')));
+    });
+});
+
+describe('getDocumentStatus', () => {
+    it('is partial when a field is missing, the company unknown or validation blocks', () => {
+        assert.equal(getDocumentStatus([harbourResult]), 'success');
+        assert.equal(getDocumentStatus([acmeResult]), 'partial');
+        assert.equal(getDocumentStatus([{ ...harbourResult, company: null }]), 'partial');
+        assert.equal(getDocumentStatus([{ ...harbourResult, validation: { blocking: true } }]), 'partial');
+        assert.equal(getDocumentStatus([]), 'partial');
+    });
+});
+
+describe('processBatch', () => {
+    it('retries throttled documents and goes on past failures', async () => {
+        const calls = {};
+        const outcomes = [];
+        const { documents, summary } = await processBatch(['a.pdf', 'b.pdf', 'c.pdf'], async file => {
+            calls[file] = (calls[file] || 0) + 1;
+            if (file === 'a.pdf' && calls[file] === 1) throw throttled();
+            if (file === 'b.pdf') throw Object.assign(new Error('Unsupported document'), { pages: 1, pagesConsumed: 1 });
+            return { results: [harbourResult], pages: 2, pagesConsumed: 2 };
+        }, { concurrency: 2, initialDelayMs: 0, onDocument: outcome => outcomes.push(outcome.file) });
+
+        assert.deepEqual(documents.map(document => [document.file, document.status, document.attempts]), [
+            ['a.pdf', 'success', 2],
+            ['b.pdf', 'failed', 1],
+            ['c.pdf', 'success', 1]
+        ]);
+        assert.deepEqual(outcomes.sort(), ['a.pdf', 'b.pdf', 'c.pdf']);
+        assert.equal(summary.pagesConsumed, 5);
+        assert.deepEqual(summary.failures, [{ file: 'b.pdf', reason: 'Unsupported document', attempts: 1 }]);
+    });
+
+    it('reports a document as failed when handling its outcome throws, and finishes the batch', async () => {
+        const { documents, summary } = await processBatch(['a.pdf', 'b.pdf'], async () => ({ results: [harbourResult], pages: 1 }), {
+            onDocument: outcome => {
+                if (outcome.file === 'a.pdf') throw new Error('Disk full');
+            }
+        });
+        assert.deepEqual(documents.map(document => document.status), ['failed', 'success']);
+        assert.equal(documents[0].error, 'Could not handle the outcome: Disk full');
+        assert.equal(summary.failed, 1);
+    });
+});
+
+describe('summarizeBatch', () => {
+    it('counts documents, results, pages, document types and missing fields per company', () => {
+        const summary = summarizeBatch([
+            { file: 'a.pdf', status: 'partial', pagesConsumed: 1, results: [acmeResult, { ...acmeResult, pageNumber: 2, documentType: null }] },
+            { file: 'b.pdf', status: 'success', pagesConsumed: 2, results: [harbourResult] },
+            { file: 'c.pdf', status: 'failed', pagesConsumed: 0, error: 'boom', attempts: 3 }
+        ], { startedAt: '2024-01-05T00:00:00.000Z' });
+
+        assert.deepEqual([summary.documents, summary.succeeded, summary.partial, summary.failed, summary.pagesConsumed], [3, 1, 1, 1, 3]);
+        assert.deepEqual(summary.companies['ACME Supplies'], {
+            documents: 1, results: 2, pages: 2, documentTypes: { invoice: 1, unclassified: 1 }, missingFields: { PO: 2 }
+        });
+        assert.equal(summary.companies['Harbour Logistics'].pages, 2);
+        assert.deepEqual(summary.missingFields[0], { file: 'a.pdf', company: 'ACME Supplies', pages: [1], fields: ['PO'] });
+        assert.deepEqual(summary.failures, [{ file: 'c.pdf', reason: 'boom', attempts: 3 }]);
+    });
+});
+
+describe('writeDocumentResult and writeBatchSummary', () => {
+    it('mirror the input paths under the output directory', () => {
+        const files = createTempFiles();
+        try {
+            const output = files.path('out');
+            const written = writeDocumentResult(output, files.path('scans'), { file: files.path('scans/sub/a.pdf'), status: 'success' });
+            assert.equal(written, path.join(output, 'sub', 'a.pdf.result.json'));
+            assert.deepEqual(JSON.parse(files.read('out/sub/a.pdf.result.json')), { file: path.join('sub', 'a.pdf'), status: 'success' });
+            assert.equal(writeBatchSummary(output, { documents: 1 }), path.join(output, 'batch-summary.json'));
+        } finally {
+            files.remove();
+        }
+    });
+});
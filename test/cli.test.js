@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES, formatResults, getExitCode, run } from '../cli.js';
+import { buildTextractResponse } from './helpers/stubs.js';
+import { createTempFiles } from './helpers/files.js';
+
+const companies = [
+    { company: 'ACME Supplies', fields: ['Invoice No', { name: 'Total', type: 'currency' }], validation: [{ type: 'required', field: 'Total' }] },
+    { company: 'Harbour Logistics', fields: ['Delivery No'] }
+];
+
+/**
+ * Runs the CLI, capturing what it writes to stdout and stderr
+ * The console methods the CLI reroutes are restored afterwards
+ */
+async function runCli(args) {
+    const saved = { log: console.log, info: console.info, warn: console.warn, error: console.error, write: process.stdout.write };
+    let stdout = '';
+    let stderr = '';
+    console.error = (...values) => { stderr += `${values.join(' ')}\n`; };
+    process.stdout.write = chunk => { stdout += chunk; return true; };
+    try {
+        return { code: await run(args), stdout, stderr };
+    } finally {
+        Object.assign(console, { log: saved.log, info: saved.info, warn: saved.warn, error: saved.error });
+        process.stdout.write = saved.write;
+    }
+}
+
+describe('cli', () => {
+    let files;
+    before(() => {
+        files = createTempFiles({
+            'companies.json': companies,
+            'invalid.json': [{ company: 'Broken', fields: [{ name: 'Total', type: 'money' }] }],
+            'invoice.textract.json': buildTextractResponse([['ACME Supplies', 'Invoice', 'Invoice No: INV-001', 'Total: £120.00']]),
+            'incomplete.textract.json': buildTextractResponse([['ACME Supplies', 'Invoice', 'Invoice No: INV-002']]),
+            'scan.pdf': 'not a saved response'
+        });
+    });
+    after(() => files.remove());
+
+    it('replays a saved response and prints the results', async () => {
+        const { code, stdout } = await runCli(['replay', files.path('invoice.textract.json'), '--config', files.path('companies.json')]);
+        assert.equal(code, EXIT_CODES.SUCCESS);
+        const [result] = JSON.parse(stdout);
+        assert.equal(result.company, 'ACME Supplies');
+        assert.deepEqual(result.extractedFields, { 'Invoice No': 'INV-001', Total: '£120.00' });
+    });
+
+    it('writes csv to --output and exits 2 for partial results', async () => {
+        const { code } = await runCli([
+            'extract', files.path('incomplete.textract.json'),
+            '-c', files.path('companies.json'), '--format', 'csv', '-o', files.path('incomplete.csv')
+        ]);
+        assert.equal(code, EXIT_CODES.PARTIAL);
+        assert.match(files.read('incomplete.csv'), /^documentId,company,documentType,pageStart,pageEnd,Invoice No,Total\n,ACME Supplies,invoice,1,1,INV-002,\n$/);
+    });
+
+    it('only replays saved Textract output', async () => {
+        const { code, stderr } = await runCli(['replay', files.path('scan.pdf'), '-c', files.path('companies.json')]);
+        assert.equal(code, EXIT_CODES.ERROR);
+        assert.match(stderr, /replay needs saved Textract output/);
+    });
+
+    it('narrows identification to --company and refuses unknown companies', async () => {
+        const { code, stderr } = await runCli(['replay', files.path('invoice.textract.json'), '-c', files.path('companies.json'), '--company', 'Unknown Co']);
+        assert.equal(code, EXIT_CODES.ERROR);
+        assert.match(stderr, /Company not configured: Unknown Co/);
+    });
+
+    it('validates company configuration files', async () => {
+        assert.equal((await runCli(['config', 'validate', files.path('companies.json')])).code, EXIT_CODES.SUCCESS);
+        const { code, stderr } = await runCli(['config', 'validate', files.path('invalid.json')]);
+        assert.equal(code, EXIT_CODES.ERROR);
+        assert.match(stderr, /invalid Broken\n {4}fields\[0\] \(Total\) has unknown type 'money'/);
+    });
+
+    it('lists the companies of a configuration as a table', async () => {
+        const { code, stdout } = await runCli(['config', 'list', '-c', files.path('companies.json'), '--format', 'table']);
+        assert.equal(code, EXIT_CODES.SUCCESS);
+        assert.match(stdout, /^company\s+fields\s+targetTables\n-+\s+-+\s+-+\nACME Supplies\s+2\n/);
+    });
+
+    it('reports usage errors', async () => {
+        assert.equal((await runCli(['--help'])).code, EXIT_CODES.SUCCESS);
+        assert.match((await runCli(['frobnicate'])).stderr, /Unknown command 'frobnicate'/);
+        assert.match((await runCli(['extract', 'x.json', '--mode', 'ocr'])).stderr, /--mode must be one of document, expense/);
+        assert.match((await runCli(['batch', files.dir, '--concurrency', '0'])).stderr, /--concurrency must be a positive integer, got 0/);
+    });
+});
+
+describe('formatResults', () => {
+    const result = {
+        company: 'ACME Supplies',
+        documentType: 'invoice',
+        pageNumber: 1,
+        extractedFields: { Total: '£5.00' },
+        fieldDetails: { Total: { raw: '£5.00', value: { amount: 5, currency: 'GBP' }, confidence: 97.5, strategy: 'keyValue', source: 'form' } },
+        items: [{ description: 'Widget', amount: 5, confidence: 90 }],
+        validation: { valid: false, errors: [{ message: 'Total must be at least 10' }] }
+    };
+
+    it('renders fields, items and validation failures as tables', () => {
+        assert.equal(formatResults([result], 'table'), [
+            'ACME Supplies (invoice) - pages 1-1',
+            '',
+            'field  value                          confidence  strategy  method',
+            '-----  -----------------------------  ----------  --------  ------',
+            'Total  {"amount":5,"currency":"GBP"}  97.5        keyValue  form',
+            '',
+            'description  amount',
+            '-----------  ------',
+            'Widget       5',
+            '',
+            'Validation: Total must be at least 10',
+            ''
+        ].join('\n'));
+    });
+
+    it('refuses unknown formats', () => {
+        assert.throws(() => formatResults([result], 'xml'), /Unknown format 'xml'/);
+    });
+});
+
+describe('getExitCode', () => {
+    it('fails runs without results', () => {
+        assert.equal(getExitCode([]), EXIT_CODES.ERROR);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COMPANY_SCHEMA_VERSION,
+    normalizeCompanyRecord,
+    validateCompanyRecord,
+    validateCompanyRecords,
+    diffCompanyRecords
+} from '../company-config.js';
+
+const record = {
+    company: 'ACME Supplies',
+    aliases: ['ACME'],
+    identifiers: ['VAT GB\\d{9}', { pattern: 'Reg No 0\\d+', label: 'registration' }],
+    fields: ['Invoice No', { name: 'Total', type: 'currency' }, { name: 'PO', strategies: [{ type: 'derived', template: 'PO-{Invoice No}' }] }],
+    targetTables: ['acme-invoices'],
+    reviewThreshold: 80,
+    validation: [{ type: 'required', field: 'Total' }, { type: 'compare', field: 'Total', operator: '>', value: 0 }],
+    sinks: [{ type: 'webhook', url: 'https://example.com/hook', secretEnv: 'ACME_HOOK_SECRET' }, { type: 's3', format: 'csv' }]
+};
+
+const errorsOf = changes => validateCompanyRecord({ ...record, ...changes }).errors;
+
+describe('validateCompanyRecord', () => {
+    it('accepts a complete record', () => {
+        assert.deepEqual(validateCompanyRecord(record), { valid: true, errors: [] });
+    });
+
+    it('needs an object with a company and fields', () => {
+        assert.deepEqual(validateCompanyRecord([]), { valid: false, errors: ['record must be an object'] });
+        assert.deepEqual(validateCompanyRecord({ company: ' ' }).errors, ['company must be a non-empty name', 'fields is required']);
+    });
+
+    it('rejects unknown attributes and unsupported versions', () => {
+        assert.match(errorsOf({ colour: 'red' })[0], /^unknown attribute 'colour'/);
+        assert.match(errorsOf({ schemaVersion: 2 })[0], /^schemaVersion 2 is not supported/);
+        assert.deepEqual(errorsOf({ configVersion: 0 }), ['configVersion must be a positive integer']);
+    });
+
+    it('checks fields', () => {
+        assert.deepEqual(errorsOf({ fields: ['Total', { name: 'Total' }] }), ["fields[1] repeats the field 'Total'"]);
+        assert.match(errorsOf({ fields: [{ name: 'Total', type: 'money' }] })[0], /^fields\[0\] \(Total\) has unknown type 'money'/);
+        assert.deepEqual(errorsOf({ fields: [{ name: 'Terms', type: 'enum' }] }), ['fields[0] (Terms) is an enum without values']);
+        assert.deepEqual(errorsOf({ fields: [{ name: 'PO', strategies: [{ type: 'derived', template: '{Order}' }] }] }),
+            ["fields[0] (PO) derives from unknown field 'Order'"]);
+    });
+
+    it('checks tables, thresholds, identifiers and processing mode', () => {
+        assert.deepEqual(errorsOf({ targetTables: ['ok-table', 'x'] }), ["targetTables[1] 'x' is not a valid DynamoDB table name"]);
+        assert.deepEqual(errorsOf({ reviewThreshold: 120 }), ['reviewThreshold must be a number from 0 to 100']);
+        assert.match(errorsOf({ identifiers: ['('] })[0], /^identifiers\[0\] is not a valid regular expression/);
+        assert.match(errorsOf({ processingMode: 'ocr' })[0], /^processingMode must be one of/);
+    });
+
+    it('checks validation rules', () => {
+        const errors = errorsOf({
+            validation: [
+                { type: 'checksum' },
+                { type: 'range', field: 'Total' },
+                { type: 'compare', field: 'Total', operator: '~' },
+                { type: 'sum', column: 'amount', total: 'Total' },
+                { type: 'product', factors: 'quantity', equals: 'amount', severity: 'fatal' },
+                { type: 'pattern', field: 'Invoice No', pattern: '[' }
+            ]
+        });
+        assert.equal(errors.length, 9);
+        assert.match(errors[0], /^validation\[0\] has unknown type 'checksum'/);
+        assert.equal(errors[1], 'validation[1] (range) needs min or max');
+        assert.equal(errors[2], 'validation[2] (compare) needs other or value');
+        assert.match(errors[3], /^validation\[2\] \(compare\) has unknown operator '~'/);
+        assert.match(errors[4], /^validation\[3\] \(sum\) has unknown attribute 'total'/);
+        assert.equal(errors[5], 'validation[3] (sum) needs equals');
+        assert.equal(errors[6], 'validation[4] (product) factors must be a list of columns');
+        assert.equal(errors[7], 'validation[4] (product) severity must be one of error, warning');
+        assert.match(errors[8], /^validation\[5\] is not a valid regular expression/);
+    });
+
+    it('checks sinks and refuses stored webhook secrets', () => {
+        assert.deepEqual(errorsOf({ sinks: [{ type: 'webhook', url: 'https://example.com', secret: 'abc' }] }),
+            ['sinks[0] (webhook) must not store its secret; name an environment variable with secretEnv']);
+        assert.deepEqual(errorsOf({ sinks: [{ type: 'webhook' }, { type: 's3', format: 'xml' }] }),
+            ['sinks[0] (webhook) needs a url', 'sinks[1] (s3) format must be json or csv']);
+        assert.match(errorsOf({ sinks: [{ type: 'ftp' }] })[0], /^sinks\[0\] has unknown type 'ftp'/);
+    });
+
+    it('checks document types and the records they resolve to', () => {
+        assert.deepEqual(errorsOf({ documentTypes: { deliveryNote: { fields: ['Delivery No'], titles: ['Docket'] } } }), []);
+        assert.deepEqual(errorsOf({ documentTypes: [] }), ['documentTypes must be an object keyed by document type']);
+        const errors = errorsOf({
+            documentTypes: {
+                'delivery note': { titles: ['Docket'] },
+                remittance: {},
+                invoice: { colour: 'red', keywords: 'total', reviewThreshold: 150 }
+            }
+        });
+        assert.deepEqual(errors, [
+            "documentTypes.delivery note is not a valid document type name (letters, digits, '_' and '-')",
+            'documentTypes.remittance is not a built-in type (invoice, creditNote, deliveryNote, purchaseOrder) and needs titles or keywords to be detected',
+            "documentTypes.invoice has unknown attribute 'colour' (expected titles, keywords, fields, zones, lineItems, processingMode, targetTables, reviewThreshold, validation, sinks)",
+            'documentTypes.invoice keywords must be a list of phrases',
+            'documentTypes.invoice: reviewThreshold must be a number from 0 to 100'
+        ]);
+    });
+});
+
+describe('validateCompanyRecords', () => {
+    it('reports companies that appear more than once', () => {
+        const report = validateCompanyRecords([record, { company: 'Harbour Logistics', fields: [] }, record]);
+        assert.equal(report.valid, false);
+        assert.deepEqual(report.records.map(outcome => outcome.valid), [true, true, false]);
+        assert.deepEqual(report.records[2].errors, ["company 'ACME Supplies' appears more than once"]);
+    });
+});
+
+describe('normalizeCompanyRecord', () => {
+    it('fills in the schema version of older records', () => {
+        assert.equal(normalizeCompanyRecord({ company: 'A', fields: [] }).schemaVersion, COMPANY_SCHEMA_VERSION);
+        assert.equal(normalizeCompanyRecord({ company: 'A', fields: [], schemaVersion: 7 }).schemaVersion, 7);
+    });
+});
+
+describe('diffCompanyRecords', () => {
+    it('compares records attribute by attribute, ignoring system attributes and key order', () => {
+        const live = [
+            { ...record, schemaVersion: 1, configVersion: 4, updatedAt: '2024-01-05T00:00:00.000Z' },
+            { company: 'Harbour Logistics', fields: ['Delivery No'] },
+            { company: 'Old Co', fields: [] }
+        ];
+        const local = [
+            { ...record, sinks: [{ secretEnv: 'ACME_HOOK_SECRET', url: 'https://example.com/hook', type: 'webhook' }, { format: 'csv', type: 's3' }] },
+            { company: 'Harbour Logistics', fields: ['Delivery No', 'Carrier'] },
+            { company: 'New Co', fields: [] }
+        ];
+        assert.deepEqual(diffCompanyRecords(local, live), {
+            added: ['New Co'],
+            removed: ['Old Co'],
+            changed: [{ company: 'Harbour Logistics', changes: [{ attribute: 'fields', local: ['Delivery No', 'Carrier'], live: ['Delivery No'] }] }],
+            unchanged: ['ACME Supplies']
+        });
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryCompanyStore } from '../company-store.js';
+
+const acme = { company: 'ACME Supplies', fields: ['Invoice No'] };
+
+describe('createMemoryCompanyStore', () => {
+    it('lists and reads the records it starts with', async () => {
+        const store = createMemoryCompanyStore([acme]);
+        assert.deepEqual(await store.listCompanies(), [acme]);
+        assert.deepEqual(await store.getCompany('ACME Supplies'), acme);
+        assert.equal(await store.getCompany('Harbour Logistics'), null);
+    });
+
+    it('numbers each write as a new version and keeps the history', async () => {
+        const store = createMemoryCompanyStore();
+        const first = await store.putCompany(acme);
+        const second = await store.putCompany({ ...acme, fields: ['Invoice No', 'Total'] });
+        assert.equal(first.configVersion, 1);
+        assert.equal(second.configVersion, 2);
+
+        assert.deepEqual((await store.listVersions('ACME Supplies')).map(version => version.configVersion), [2, 1]);
+        assert.deepEqual((await store.listVersions('ACME Supplies', { limit: 1 })).map(version => version.configVersion), [2]);
+        assert.deepEqual((await store.getVersion('ACME Supplies', 1)).fields, ['Invoice No']);
+        assert.equal(await store.getVersion('ACME Supplies', 3), null);
+    });
+
+    it('continues the version numbers of a seeded record', async () => {
+        const store = createMemoryCompanyStore([{ ...acme, configVersion: 5 }]);
+        assert.equal((await store.putCompany(acme)).configVersion, 6);
+    });
+
+    it('deletes records but keeps their versions', async () => {
+        const store = createMemoryCompanyStore();
+        await store.putCompany(acme);
+        assert.equal((await store.deleteCompany('ACME Supplies')).company, 'ACME Supplies');
+        assert.equal(await store.getCompany('ACME Supplies'), null);
+        assert.equal(await store.deleteCompany('ACME Supplies'), null);
+        assert.equal((await store.listVersions('ACME Supplies')).length, 1);
+    });
+
+    it('does not share records with callers', async () => {
+        const record = { company: 'ACME Supplies', fields: ['Invoice No'] };
+        const store = createMemoryCompanyStore([record]);
+        record.fields.push('Total');
+        (await store.getCompany('ACME Supplies')).fields.push('VAT');
+        assert.deepEqual((await store.getCompany('ACME Supplies')).fields, ['Invoice No']);
+    });
+});
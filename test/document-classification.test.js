@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DOCUMENT_TYPES,
+    resolveDocumentTypes,
+    scoreDocumentTypes,
+    classifyDocument,
+    summarizeClassification,
+    resolveDocumentTypeRecord
+} from '../document-classification.js';
+
+const line = (Text, Top, Height = 0.02) => ({ BlockType: 'LINE', Page: 1, Text, Geometry: { BoundingBox: { Left: 0.1, Top, Width: 0.3, Height } } });
+
+describe('resolveDocumentTypes', () => {
+    it('adds a company\'s signals to the built-in types and keeps its own types', () => {
+        const types = resolveDocumentTypes({
+            documentTypes: {
+                invoice: { titles: ['Rechnung'], keywords: ['invoice no'] },
+                remittance: { titles: ['Remittance Advice'] }
+            }
+        });
+        assert.deepEqual(types.invoice.titles, [...DOCUMENT_TYPES.invoice.titles, 'Rechnung']);
+        assert.deepEqual(types.invoice.keywords, DOCUMENT_TYPES.invoice.keywords);
+        assert.deepEqual(types.remittance, { titles: ['Remittance Advice'], keywords: [] });
+        assert.deepEqual(resolveDocumentTypes(null), DOCUMENT_TYPES);
+    });
+});
+
+describe('scoreDocumentTypes', () => {
+    it('weighs a header title set in heading-size text above one in the body', () => {
+        const blocks = [
+            line('TAX INVOICE', 0.05, 0.04),
+            line('Ref: 1', 0.15),
+            line('Delivery note enclosed', 0.6),
+            line('Total', 0.7)
+        ];
+        const [invoice, deliveryNote] = scoreDocumentTypes(blocks, null);
+        assert.equal(invoice.type, 'invoice');
+        assert.equal(invoice.score, 3 * 2 * 1.5);
+        assert.deepEqual(invoice.evidence[0], { kind: 'title', match: 'tax invoice', line: 'TAX INVOICE', inHeader: true, largeText: true, weight: 9 });
+        assert.equal(deliveryNote.type, 'deliveryNote');
+        assert.equal(deliveryNote.score, 3);
+    });
+
+    it('ignores titles followed by a sentence', () => {
+        assert.deepEqual(scoreDocumentTypes('Invoice queries should be sent to accounts', null), []);
+    });
+});
+
+describe('classifyDocument', () => {
+    it('matches a document with a clear title and keywords', () => {
+        const text = 'Purchase Order\nPO Number: 4471\nOrder date: 2024-01-05\nPlease supply the following';
+        const classification = classifyDocument(text);
+        assert.equal(classification.status, 'matched');
+        assert.equal(classification.type, 'purchaseOrder');
+        assert.ok(classification.confidence > 0.85);
+    });
+
+    it('is ambiguous when two types score alike', () => {
+        const classification = classifyDocument('Invoice\nDelivery Note');
+        assert.equal(classification.status, 'ambiguous');
+        assert.equal(classification.type, null);
+        assert.deepEqual(classification.candidates.map(candidate => candidate.type).sort(), ['deliveryNote', 'invoice']);
+    });
+
+    it('finds nothing below the confidence floor', () => {
+        const classification = classifyDocument('Dear customer\nThank you\nSee the refund attached');
+        assert.equal(classification.status, 'none');
+        assert.equal(classification.type, null);
+        assert.ok(classification.confidence < 0.25);
+    });
+
+    it('recognizes company-specific types', () => {
+        const record = { documentTypes: { remittance: { titles: ['Remittance Advice'], keywords: ['payment reference'] } } };
+        assert.equal(classifyDocument('Remittance Advice\nPayment reference: 991', record).type, 'remittance');
+    });
+});
+
+describe('summarizeClassification', () => {
+    it('keeps the top candidates and their evidence', () => {
+        const summary = summarizeClassification(classifyDocument('Invoice\nInvoice number 12\nAmount due 40.00'), 1);
+        assert.deepEqual(summary, {
+            status: 'matched',
+            confidence: summary.confidence,
+            candidates: [{
+                type: 'invoice',
+                score: 8,
+                confidence: summary.confidence,
+                evidence: ['title:invoice (header)', 'keyword:invoice number (header)', 'keyword:amount due (header)']
+            }]
+        });
+    });
+});
+
+describe('resolveDocumentTypeRecord', () => {
+    const record = {
+        company: 'ACME Supplies',
+        fields: ['Invoice No'],
+        targetTables: ['invoices'],
+        documentTypes: { deliveryNote: { fields: ['Delivery No'], targetTables: ['deliveries'], titles: ['Docket'] } }
+    };
+
+    it('applies the type\'s overrides to the record', () => {
+        const resolved = resolveDocumentTypeRecord(record, 'deliveryNote');
+        assert.deepEqual(resolved.fields, ['Delivery No']);
+        assert.deepEqual(resolved.targetTables, ['deliveries']);
+        assert.equal(resolved.company, 'ACME Supplies');
+        assert.equal(resolved.titles, undefined);
+    });
+
+    it('falls back to the record for unconfigured or missing types', () => {
+        assert.equal(resolveDocumentTypeRecord(record, 'invoice'), record);
+        assert.equal(resolveDocumentTypeRecord(record, null), record);
+        assert.equal(resolveDocumentTypeRecord(null, 'invoice'), null);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOCUMENT_STATUS, createMemoryDocumentRegistry } from '../document-registry.js';
+
+describe('createMemoryDocumentRegistry', () => {
+    it('registers a document once and returns the original afterwards', async () => {
+        const registry = createMemoryDocumentRegistry();
+        const first = await registry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING, key: 'a.pdf' });
+        assert.equal(first.created, true);
+        assert.deepEqual(first.document.duplicates, []);
+
+        const second = await registry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING, key: 'copy.pdf' });
+        assert.equal(second.created, false);
+        assert.equal(second.document.key, 'a.pdf');
+        assert.equal(await registry.getDocument('def'), null);
+    });
+
+    it('updates documents and records their duplicates', async () => {
+        const registry = createMemoryDocumentRegistry();
+        await registry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING, key: 'a.pdf' });
+        await registry.updateDocument('abc', { status: DOCUMENT_STATUS.PROCESSED });
+        await registry.addDuplicate('abc', { key: 'copy.pdf' });
+
+        const document = await registry.getDocument('abc');
+        assert.equal(document.status, DOCUMENT_STATUS.PROCESSED);
+        assert.deepEqual(document.duplicates, [{ key: 'copy.pdf' }]);
+    });
+
+    it('records an upload as a duplicate only once', async () => {
+        const registry = createMemoryDocumentRegistry();
+        await registry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING, key: 'a.pdf' });
+        await registry.addDuplicate('abc', { bucket: 'uploads', key: 'copy.pdf', versionId: 'v1' });
+        await registry.addDuplicate('abc', { bucket: 'uploads', key: 'copy.pdf', versionId: 'v1', seenAt: 'later' });
+        await registry.addDuplicate('abc', { bucket: 'uploads', key: 'copy.pdf', versionId: 'v2' });
+
+        const document = await registry.getDocument('abc');
+        assert.deepEqual(document.duplicates.map(duplicate => duplicate.versionId), ['v1', 'v2']);
+    });
+
+    it('applies updates only while the expected attribute values hold', async () => {
+        const registry = createMemoryDocumentRegistry();
+        await registry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.FAILED, key: 'a.pdf' });
+        await registry.updateDocument('abc', { status: DOCUMENT_STATUS.PROCESSING }, { status: DOCUMENT_STATUS.FAILED, processingStartedAt: null });
+
+        await assert.rejects(
+            registry.updateDocument('abc', { status: DOCUMENT_STATUS.PROCESSING }, { status: DOCUMENT_STATUS.FAILED }),
+            error => error.name === 'ConditionalCheckFailedException'
+        );
+        assert.equal((await registry.getDocument('abc')).status, DOCUMENT_STATUS.PROCESSING);
+    });
+
+    it('refuses changes to unregistered documents', async () => {
+        const registry = createMemoryDocumentRegistry();
+        await assert.rejects(registry.updateDocument('abc', {}), /Document abc is not registered/);
+        await assert.rejects(registry.addDuplicate('abc', {}), /Document abc is not registered/);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageMarker, headerSimilarity, getSegmentBlocks, segmentDocument } from '../document-segmentation.js';
+
+const companies = [
+    { company: 'ACME Supplies', identifiers: ['VAT GB123456789'] },
+    { company: 'Harbour Logistics', identifiers: ['VAT GB987654321'] }
+];
+
+/**
+ * Builds PAGE and LINE blocks, one page per list of line texts
+ */
+function buildBlocks(pages) {
+    return pages.flatMap((lines, index) => [
+        { BlockType: 'PAGE', Page: index + 1 },
+        ...lines.map(Text => ({ BlockType: 'LINE', Page: index + 1, Text }))
+    ]);
+}
+
+const summarize = segments => segments.map(({ pages, company, boundary }) => ({ pages, company, boundary }));
+
+describe('parsePageMarker', () => {
+    it('reads page markers with and without a total', () => {
+        assert.deepEqual(parsePageMarker(['Invoice', 'Page 2 of 3']), { current: 2, total: 3 });
+        assert.deepEqual(parsePageMarker(['page 1/2']), { current: 1, total: 2 });
+        assert.deepEqual(parsePageMarker(['Pg. 4']), { current: 4, total: null });
+    });
+
+    it('ignores markers that cannot be page numbers', () => {
+        assert.equal(parsePageMarker(['Page 5 of 3']), null);
+        assert.equal(parsePageMarker(['See page 4 for terms']), null);
+    });
+});
+
+describe('headerSimilarity', () => {
+    it('is the share of words two headers have in common', () => {
+        assert.equal(headerSimilarity(new Set(['acme', 'invoice']), new Set(['acme', 'invoice'])), 1);
+        assert.equal(headerSimilarity(new Set(['acme', 'invoice']), new Set(['acme', 'delivery', 'note'])), 0.25);
+        assert.equal(headerSimilarity(new Set(), new Set()), 1);
+    });
+});
+
+describe('getSegmentBlocks', () => {
+    it('selects blocks on the given pages, counting pageless blocks as page 1', () => {
+        const blocks = [{ Id: 'a' }, { Id: 'b', Page: 2 }, { Id: 'c', Page: 3 }];
+        assert.deepEqual(getSegmentBlocks(blocks, [1, 3]).map(block => block.Id), ['a', 'c']);
+    });
+});
+
+describe('segmentDocument', () => {
+    it('splits when the company changes', () => {
+        const blocks = buildBlocks([
+            ['ACME Supplies', 'VAT GB123456789', 'Invoice'],
+            ['ACME Supplies', 'VAT GB123456789', 'Invoice continued'],
+            ['Harbour Logistics', 'VAT GB987654321', 'Delivery Note']
+        ]);
+        assert.deepEqual(summarize(segmentDocument(blocks, companies)), [
+            { pages: [1, 2], company: 'ACME Supplies', boundary: 'first-page' },
+            { pages: [3], company: 'Harbour Logistics', boundary: 'company-change' }
+        ]);
+    });
+
+    it('splits on page markers even within one company', () => {
+        const blocks = buildBlocks([
+            ['ACME Supplies', 'Invoice 1', 'Page 1 of 2'],
+            ['Terms and conditions apply here', 'Page 2 of 2'],
+            ['ACME Supplies', 'Invoice 2', 'Page 1 of 1']
+        ]);
+        const segments = segmentDocument(blocks, companies);
+        assert.deepEqual(summarize(segments), [
+            { pages: [1, 2], company: 'ACME Supplies', boundary: 'first-page' },
+            { pages: [3], company: 'ACME Supplies', boundary: 'page-marker' }
+        ]);
+        assert.deepEqual(segments[0].pageReasons, [{ page: 1, reason: 'first-page' }, { page: 2, reason: 'page-marker' }]);
+    });
+
+    it('splits when an unidentified header changes and keeps near-empty pages', () => {
+        const blocks = buildBlocks([
+            ['Northern Timber Merchants', 'Sales Invoice', 'Customer Copy'],
+            ['Continued'],
+            ['Riverside Print Works', 'Delivery Docket', 'Driver Signature']
+        ]);
+        assert.deepEqual(summarize(segmentDocument(blocks, companies)), [
+            { pages: [1, 2], company: null, boundary: 'first-page' },
+            { pages: [3], company: null, boundary: 'header-change' }
+        ]);
+    });
+
+    it('assigns a company named only after the first page', () => {
+        const blocks = buildBlocks([
+            ['Remittance', 'Page 1 of 2'],
+            ['ACME Supplies', 'VAT GB123456789', 'Page 2 of 2']
+        ]);
+        const [segment] = segmentDocument(blocks, companies);
+        assert.equal(segment.company, 'ACME Supplies');
+        assert.equal(segment.identification.page, 2);
+    });
+});
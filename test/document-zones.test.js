@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBlockPages, resolveZoneBox, findZoneValue, validateZones } from '../document-zones.js';
+
+let nextId = 0;
+const block = (BlockType, Text, Left, Top, { Page = 1, Width = 0.08, Height = 0.02, Confidence = 99 } = {}) => ({
+    Id: `b${++nextId}`, BlockType, Page, Text, Confidence, Geometry: { BoundingBox: { Left, Top, Width, Height } }
+});
+
+// A page with an 'Account' label at (0.10, 0.20) and the account number to its right
+const page = [
+    { Id: 'p1', BlockType: 'PAGE', Page: 1 },
+    block('LINE', 'Account 4471-22', 0.1, 0.2, { Width: 0.3 }),
+    block('WORD', 'Account', 0.1, 0.2),
+    block('WORD', '4471-22', 0.25, 0.2, { Confidence: 91 }),
+    block('WORD', 'Ship', 0.6, 0.5),
+    block('WORD', 'to', 0.7, 0.5),
+    block('WORD', 'Dock 4', 0.6, 0.53, { Width: 0.1 })
+];
+const shifted = page.map(original => original.Geometry
+    ? { ...original, Geometry: { BoundingBox: { ...original.Geometry.BoundingBox, Left: original.Geometry.BoundingBox.Left + 0.05, Top: original.Geometry.BoundingBox.Top + 0.05 } } }
+    : original);
+
+const accountZone = { name: 'Account', box: { left: 0.22, top: 0.18, width: 0.2, height: 0.06 } };
+const anchoredZone = { ...accountZone, anchor: { text: 'Account', left: 0.1, top: 0.2 } };
+
+describe('getBlockPages', () => {
+    it('lists the pages in order, counting pageless blocks as page 1', () => {
+        assert.deepEqual(getBlockPages([{ BlockType: 'LINE', Page: 3 }, { BlockType: 'PAGE', Page: 2 }, { BlockType: 'LINE' }]), [1, 2, 3]);
+    });
+});
+
+describe('resolveZoneBox', () => {
+    it('counts zone pages from the first page of the blocks', () => {
+        const segment = [{ BlockType: 'PAGE', Page: 4 }, { BlockType: 'PAGE', Page: 5 }];
+        assert.equal(resolveZoneBox(segment, { ...accountZone, page: 2 }).page, 5);
+        assert.equal(resolveZoneBox(segment, { ...accountZone, page: 'last' }).page, 5);
+        assert.equal(resolveZoneBox(segment, { ...accountZone, page: 3 }), null);
+    });
+
+    it('moves an anchored zone by as much as its anchor moved', () => {
+        const placed = resolveZoneBox(shifted, anchoredZone);
+        assert.ok(Math.abs(placed.shift.x - 0.05) < 1e-9 && Math.abs(placed.shift.y - 0.05) < 1e-9);
+        assert.ok(Math.abs(placed.box.left - 0.27) < 1e-9 && Math.abs(placed.box.top - 0.23) < 1e-9);
+    });
+
+    it('keeps the template position without the anchor, unless the anchor is required', () => {
+        const blocks = page.filter(candidate => candidate.Text !== 'Account');
+        assert.equal(resolveZoneBox(blocks, anchoredZone).shift, null);
+        assert.equal(resolveZoneBox(blocks, { ...anchoredZone, anchor: { ...anchoredZone.anchor, required: true } }), null);
+    });
+});
+
+describe('findZoneValue', () => {
+    it('reads the words inside the zone with their lowest confidence', () => {
+        assert.deepEqual(findZoneValue(page, accountZone), {
+            value: '4471-22', key: 'Account', method: 'zone', confidence: 91, page: 1, box: accountZone.box
+        });
+    });
+
+    it('follows the anchor on a shifted scan', () => {
+        assert.equal(findZoneValue(shifted, accountZone), null);
+        const found = findZoneValue(shifted, anchoredZone);
+        assert.deepEqual([found.value, found.method], ['4471-22', 'zone-anchored']);
+    });
+
+    it('joins rows top to bottom and applies the pattern', () => {
+        const zone = { name: 'Delivery', box: { left: 0.55, top: 0.48, width: 0.3, height: 0.1 } };
+        assert.equal(findZoneValue(page, zone).value, 'Ship to Dock 4');
+        assert.equal(findZoneValue(page, { ...zone, join: ' / ' }).value, 'Ship to / Dock 4');
+        assert.equal(findZoneValue(page, { ...zone, pattern: 'dock (\\d+)', flags: 'i' }).value, '4');
+        assert.equal(findZoneValue(page, { ...zone, pattern: 'gate (\\d+)' }), null);
+    });
+
+    it('can read LINE blocks and require a share of each block inside the zone', () => {
+        const zone = { name: 'Line', box: { left: 0.05, top: 0.15, width: 0.25, height: 0.1 }, blockType: 'LINE' };
+        assert.equal(findZoneValue(page, zone).value, 'Account 4471-22');
+        assert.equal(findZoneValue(page, { ...zone, minOverlap: 0.9 }), null);
+    });
+});
+
+describe('validateZones', () => {
+    it('accepts well-formed zones', () => {
+        assert.deepEqual(validateZones([accountZone, { ...anchoredZone, name: 'Anchored', page: 'last', blockType: 'LINE', minOverlap: 0.5 }]), []);
+    });
+
+    it('reports each problem with the zone it belongs to', () => {
+        assert.deepEqual(validateZones({}), ['zones must be a list']);
+        const problems = validateZones([
+            { box: accountZone.box },
+            accountZone,
+            accountZone,
+            { name: 'Wide', box: { left: 0.5, top: 0, width: 0.6, height: 0.1 } },
+            { name: 'Bad', box: { left: 0, top: 0 }, page: 0, blockType: 'CELL', minOverlap: 0, anchor: { text: 'Total' }, pattern: '(' }
+        ]);
+        assert.deepEqual(problems.slice(0, 7), [
+            'zones[0] needs a name',
+            "zones[2] repeats the zone 'Account'",
+            'zones[3] (Wide) box extends past the page',
+            'zones[4] (Bad) box needs left, top, width and height between 0 and 1',
+            "zones[4] (Bad) page must be a positive integer or 'last'",
+            'zones[4] (Bad) blockType must be WORD or LINE',
+            'zones[4] (Bad) minOverlap must be a fraction above 0'
+        ]);
+        assert.equal(problems[7], 'zones[4] (Bad) anchor needs its template left and top between 0 and 1');
+        assert.match(problems[8], /^zones\[4\] \(Bad\) is not a valid regular expression/);
+    });
+});
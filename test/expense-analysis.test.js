@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PROCESSING_MODES,
+    getProcessingMode,
+    mergeExpenseDocuments,
+    getExpensePages,
+    getExpenseKeyValueEntries,
+    getExpenseLineItemRows,
+    getExpenseText
+} from '../expense-analysis.js';
+import { extractExpenseLineItems } from '../textract-utils.js';
+
+const field = (type, value, { label, page = 1, confidence = 95 } = {}) => ({
+    Type: { Text: type, Confidence: 99 },
+    ...(label && { LabelDetection: { Text: label, Confidence: 98 } }),
+    ValueDetection: { Text: value, Confidence: confidence },
+    PageNumber: page
+});
+
+const expenseDocument = {
+    ExpenseIndex: 1,
+    SummaryFields: [
+        field('INVOICE_RECEIPT_ID', 'INV-001', { label: 'Invoice No:' }),
+        { ...field('NAME', 'ACME Supplies'), GroupProperties: [{ Types: ['VENDOR'] }] },
+        field('OTHER', 'Net 30', { label: 'Terms' }),
+        field('TOTAL', '', { label: 'Total' })
+    ],
+    LineItemGroups: [{
+        LineItems: [
+            {
+                LineItemExpenseFields: [
+                    field('EXPENSE_ROW', 'W-12 Widget 2 5.00 10.00'),
+                    field('PRODUCT_CODE', 'W-12', { label: 'Code' }),
+                    field('ITEM', 'Widget', { label: 'Description' }),
+                    field('QUANTITY', '2', { label: 'Qty', confidence: 80 }),
+                    field('UNIT_PRICE', '5.00', { label: 'Unit Price' }),
+                    field('PRICE', '10.00', { label: 'Amount', page: 2 }),
+                    field('OTHER', '1.00', { label: 'Discount' })
+                ]
+            },
+            { LineItemExpenseFields: [field('EXPENSE_ROW', 'Thank you')] }
+        ]
+    }]
+};
+
+describe('getProcessingMode', () => {
+    it('analyzes keys under EXPENSE_KEY_PREFIXES as expenses', () => {
+        process.env.EXPENSE_KEY_PREFIXES = 'receipts/, invoices/expense/';
+        assert.equal(getProcessingMode({ key: 'receipts/2024/a.jpg' }), PROCESSING_MODES.EXPENSE);
+        assert.equal(getProcessingMode({ key: 'invoices/a.pdf' }), PROCESSING_MODES.DOCUMENT);
+        delete process.env.EXPENSE_KEY_PREFIXES;
+        assert.equal(getProcessingMode({ key: 'receipts/a.jpg' }), PROCESSING_MODES.DOCUMENT);
+    });
+});
+
+describe('mergeExpenseDocuments', () => {
+    it('joins a document split across responses by its ExpenseIndex', () => {
+        const merged = mergeExpenseDocuments([
+            { ExpenseDocuments: [{ ExpenseIndex: 2, SummaryFields: [field('TOTAL', '9')] }, { ExpenseIndex: 1, SummaryFields: [field('TOTAL', '5')] }] },
+            { ExpenseDocuments: [{ ExpenseIndex: 1, LineItemGroups: [{ LineItems: [] }], Blocks: [{ BlockType: 'PAGE', Page: 2 }] }] },
+            {}
+        ]);
+        assert.deepEqual(merged.map(document => [document.ExpenseIndex, document.SummaryFields.length, document.LineItemGroups.length, document.Blocks.length]), [
+            [1, 1, 1, 1],
+            [2, 1, 0, 0]
+        ]);
+    });
+});
+
+describe('getExpensePages', () => {
+    it('collects the pages of fields, line items and blocks', () => {
+        assert.deepEqual(getExpensePages(expenseDocument), [1, 2]);
+        assert.deepEqual(getExpensePages({}), [1]);
+    });
+});
+
+describe('getExpenseKeyValueEntries', () => {
+    it('files each value under its label, its type and its group', () => {
+        const entries = getExpenseKeyValueEntries(expenseDocument);
+        assert.deepEqual(Object.keys(entries), ['Invoice No:', 'INVOICE_RECEIPT_ID', 'NAME', 'VENDOR NAME', 'Terms']);
+        assert.deepEqual(entries['Invoice No:'], { value: 'INV-001', confidence: 95 });
+    });
+});
+
+describe('getExpenseLineItemRows', () => {
+    it('skips whole-row text and empty items', () => {
+        const rows = getExpenseLineItemRows(expenseDocument);
+        assert.equal(rows.length, 1);
+        assert.deepEqual(rows[0][0], { type: 'PRODUCT_CODE', label: 'Code', value: 'W-12', confidence: 95 });
+    });
+});
+
+describe('getExpenseText', () => {
+    it('uses the document lines, or the summary labels and values without blocks', () => {
+        assert.equal(getExpenseText({ Blocks: [{ BlockType: 'LINE', Text: 'ACME Supplies' }, { BlockType: 'WORD', Text: 'ACME' }] }), 'ACME Supplies');
+        assert.equal(getExpenseText(expenseDocument).split('\n')[0], 'Invoice No: INV-001');
+    });
+});
+
+describe('extractExpenseLineItems', () => {
+    it('maps the standard line item types onto the canonical columns', () => {
+        assert.deepEqual(extractExpenseLineItems(expenseDocument), [{
+            productCode: 'W-12',
+            description: 'Widget',
+            quantity: '2',
+            unitPrice: '5.00',
+            amount: '10.00',
+            discount: '1.00',
+            source: 'expense',
+            confidence: 80
+        }]);
+    });
+
+    it('applies the required columns and column types of the schema', () => {
+        assert.deepEqual(extractExpenseLineItems(expenseDocument, { requiredColumns: ['itemNo'] }), []);
+        const [item] = extractExpenseLineItems(expenseDocument, { columnTypes: { quantity: 'integer' } });
+        assert.equal(item.normalized.quantity, 2);
+    });
+});
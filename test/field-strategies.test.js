@@ -0,0 +1,216 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_STRATEGIES,
+    resolveFieldStrategies,
+    findLabelledValue,
+    findRegexValue,
+    findAnchoredValue,
+    findTableColumnValue,
+    getQueryAlias,
+    findQueryAnswer,
+    constantValue,
+    derivedValue,
+    evaluateExpression,
+    validateFieldStrategies
+} from '../field-strategies.js';
+
+const line = (Text, box, Confidence = 99) => ({
+    BlockType: 'LINE',
+    Text,
+    Confidence,
+    ...(box && { Geometry: { BoundingBox: box } })
+});
+
+describe('resolveFieldStrategies', () => {
+    it('defaults to key-value then label lookup', () => {
+        assert.equal(resolveFieldStrategies({ name: 'Total' }), DEFAULT_STRATEGIES);
+        assert.equal(resolveFieldStrategies({ name: 'Total', strategies: [] }), DEFAULT_STRATEGIES);
+        const strategies = [{ type: 'regex', pattern: 'x' }];
+        assert.equal(resolveFieldStrategies({ name: 'Total', strategies }), strategies);
+    });
+});
+
+describe('findLabelledValue', () => {
+    const lines = [line('Invoice Date: 2024-01-05'), line('Ship To Acme-West Ltd'), line('PO Number # AB-123')];
+
+    it('reads the value after the label and its separator', () => {
+        assert.equal(findLabelledValue(lines, 'Invoice Date').value, '2024-01-05');
+        assert.equal(findLabelledValue(lines, 'po number:').value, 'AB-123');
+    });
+
+    it('needs a separator unless told otherwise', () => {
+        assert.equal(findLabelledValue(lines, 'Ship To'), null);
+        assert.equal(findLabelledValue(lines, 'Ship To', { separatorRequired: false }).value, 'Acme-West Ltd');
+    });
+
+    it('matches labels as whole words', () => {
+        assert.equal(findLabelledValue([line('Reinvoice Date: 2024-01-05')], 'Invoice Date'), null);
+    });
+});
+
+describe('findRegexValue', () => {
+    const lines = [line('Ref: INV-001', null, 95), line('Total due 12.50', null, 80)];
+
+    it('returns the first capture group with the line confidence', () => {
+        assert.deepEqual(findRegexValue(lines, { pattern: 'due\\s+([\\d.]+)' }),
+            { value: '12.50', key: 'due\\s+([\\d.]+)', method: 'regex', confidence: 80 });
+    });
+
+    it('supports named groups and whole-text scope', () => {
+        assert.equal(findRegexValue(lines, { pattern: '(?<ref>INV-\\d+)', group: 'ref' }).value, 'INV-001');
+        assert.equal(findRegexValue(lines, { pattern: 'INV-(\\d+)\\nTotal', scope: 'text' }).value, '001');
+    });
+
+    it('returns null without a match', () => {
+        assert.equal(findRegexValue(lines, { pattern: 'VAT (\\d+)' }), null);
+    });
+});
+
+describe('findAnchoredValue', () => {
+    it('reads the rest of the anchor line without geometry', () => {
+        assert.equal(findAnchoredValue([line('Account No: 4471')], { anchor: 'Account No' }).value, '4471');
+    });
+
+    it('reads the line to the right of the anchor on the same row', () => {
+        const lines = [
+            line('Account No', { Left: 0.1, Top: 0.2, Width: 0.1, Height: 0.02 }),
+            line('4471', { Left: 0.3, Top: 0.2, Width: 0.05, Height: 0.02 }),
+            line('Other', { Left: 0.3, Top: 0.5, Width: 0.05, Height: 0.02 })
+        ];
+        assert.equal(findAnchoredValue(lines, { anchor: 'Account No' }).value, '4471');
+    });
+
+    it('reads the lines below the anchor', () => {
+        const lines = [line('Deliver To'), line('Unit 4'), line('Harbour Road')];
+        assert.equal(findAnchoredValue(lines, { anchor: 'Deliver To', direction: 'below', lines: 2, join: ', ' }).value, 'Unit 4, Harbour Road');
+    });
+
+    it('applies the pattern to the candidate value', () => {
+        const lines = [line('Account No: A-4471 (main)')];
+        assert.equal(findAnchoredValue(lines, { anchor: 'Account No', pattern: 'A-(\\d+)' }).value, '4471');
+    });
+});
+
+describe('findTableColumnValue', () => {
+    const tables = [{
+        headers: ['Description', 'Qty', 'Amount'],
+        columnKeys: ['description', 'quantity', 'amount'],
+        rows: [['Widgets', '2', '10.00'], ['Freight', '', '5.00'], ['Total', '', '15.00']],
+        cellConfidence: [[90, 91, 92], [80, 81, 82], [70, 71, 72]]
+    }];
+
+    it('reads a column by header or canonical key', () => {
+        assert.deepEqual(findTableColumnValue(tables, { column: 'Amount' }),
+            { value: '10.00', key: 'Amount', method: 'table-column', confidence: 92 });
+        assert.equal(findTableColumnValue(tables, { column: 'quantity', row: 'last' }).value, '2');
+    });
+
+    it('picks rows by position or by a matching cell', () => {
+        assert.equal(findTableColumnValue(tables, { column: 'Amount', row: 2 }).value, '5.00');
+        assert.equal(findTableColumnValue(tables, { column: 'Amount', rowMatch: { column: 'Description', pattern: '^total' } }).value, '15.00');
+    });
+
+    it('returns null for unknown columns', () => {
+        assert.equal(findTableColumnValue(tables, { column: 'VAT' }), null);
+    });
+});
+
+describe('queries', () => {
+    it('derives the alias from the field name', () => {
+        assert.equal(getQueryAlias({ name: 'Order No.' }, {}), 'ORDER_NO');
+        assert.equal(getQueryAlias({ name: 'Order No.' }, { alias: 'PO' }), 'PO');
+    });
+
+    it('keeps the most confident answer', () => {
+        const query = { text: 'What is the PO number?', alias: 'PO' };
+        const blocks = [
+            { Id: 'q1', BlockType: 'QUERY', Query: { ...query, Alias: 'PO', Text: query.text }, Relationships: [{ Type: 'ANSWER', Ids: ['a1'] }] },
+            { Id: 'q2', BlockType: 'QUERY', Query: { ...query, Alias: 'PO', Text: query.text }, Relationships: [{ Type: 'ANSWER', Ids: ['a2'] }] },
+            { Id: 'a1', BlockType: 'QUERY_RESULT', Text: 'PO-1', Confidence: 60 },
+            { Id: 'a2', BlockType: 'QUERY_RESULT', Text: ' PO-2 ', Confidence: 90 }
+        ];
+        assert.deepEqual(findQueryAnswer(blocks, query), { value: 'PO-2', key: 'PO', method: 'query', confidence: 90 });
+        assert.equal(findQueryAnswer(blocks, { ...query, alias: 'OTHER' }), null);
+    });
+});
+
+describe('constant and derived values', () => {
+    it('returns constants as strings', () => {
+        assert.equal(constantValue({ value: 20 }).value, '20');
+        assert.equal(constantValue({}), null);
+    });
+
+    it('fills templates from referenced fields', () => {
+        const details = { 'Order No': { raw: '123', confidence: 88 } };
+        assert.deepEqual(derivedValue({ template: 'PO-{Order No}' }, details),
+            { value: 'PO-123', key: 'PO-{Order No}', method: 'derived', confidence: 88 });
+        assert.equal(derivedValue({ template: 'PO-{Missing}' }, details), null);
+    });
+
+    it('evaluates expressions over typed and raw values', () => {
+        const details = {
+            Net: { value: { amount: 100, currency: 'GBP' }, confidence: 95 },
+            VAT: { raw: '£20.005', confidence: 90 }
+        };
+        assert.deepEqual(derivedValue({ expression: '{Net} + {VAT}' }, details),
+            { value: '120.01', key: '{Net} + {VAT}', method: 'derived', confidence: 90 });
+        assert.equal(derivedValue({ expression: '{Net} / 0' }, details), null);
+    });
+
+    it('respects precedence, parentheses and unary minus', () => {
+        assert.equal(evaluateExpression('2 + 3 * 4', () => null), 14);
+        assert.equal(evaluateExpression('(2 + 3) * -{x}', () => 4), -20);
+        assert.equal(evaluateExpression('{x} * 2', () => null), null);
+        assert.throws(() => evaluateExpression('(1 + 2', () => 1), /Missing '\)'/);
+        assert.throws(() => evaluateExpression('1 2', () => 1), /Unexpected '2'/);
+    });
+});
+
+describe('validateFieldStrategies', () => {
+    it('accepts valid strategies', () => {
+        assert.deepEqual(validateFieldStrategies([
+            { type: 'keyValue' },
+            { type: 'regex', pattern: '(\\d+)' },
+            { type: 'anchor', anchor: 'Total', direction: 'below' },
+            { type: 'tableColumn', column: 'Amount' },
+            { type: 'query', text: 'What is the total?', pages: ['1', '2-*'] },
+            { type: 'derived', expression: '{Net} + {VAT}' }
+        ]), []);
+    });
+
+    it('reports each problem with its position', () => {
+        const problems = validateFieldStrategies([
+            { type: 'guess' },
+            { type: 'regex', pattern: '(' },
+            { type: 'anchor', anchor: 'Total', direction: 'left' },
+            { type: 'tableColumn' },
+            { type: 'query', text: 'x'.repeat(201) },
+            { type: 'constant' },
+            { type: 'derived', expression: '{a} +' }
+        ]);
+        assert.equal(problems.length, 7);
+        assert.match(problems[0], /^strategies\[0\] has unknown type 'guess'/);
+        assert.match(problems[1], /^strategies\[1\] is not a valid regular expression/);
+        assert.match(problems[2], /direction must be right or below/);
+        assert.match(problems[3], /needs a column/);
+        assert.match(problems[4], /at most 200 characters/);
+        assert.match(problems[5], /needs a value/);
+        assert.match(problems[6], /^strategies\[6\] \(derived\) Unexpected 'end'/);
+    });
+
+    it('compiles tableColumn row patterns with their flags', () => {
+        assert.deepEqual(validateFieldStrategies([{ type: 'tableColumn', column: 'Amount', rowMatch: { column: 'Description', pattern: '^total' } }]), []);
+        const problems = validateFieldStrategies([
+            { type: 'tableColumn', column: 'Amount', rowMatch: { column: 'Description', pattern: '(total' } },
+            { type: 'tableColumn', column: 'Amount', rowMatch: { column: 'Description', pattern: 'total', flags: 'q' } }
+        ]);
+        assert.equal(problems.length, 2);
+        assert.match(problems[0], /^strategies\[0\] \(tableColumn\) rowMatch is not a valid regular expression/);
+        assert.match(problems[1], /^strategies\[1\] \(tableColumn\) rowMatch is not a valid regular expression: Invalid flags/);
+    });
+
+    it('needs a list', () => {
+        assert.deepEqual(validateFieldStrategies({ type: 'regex' }), ['strategies must be a list']);
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFieldConfig, normalizeFieldValue, parseNumber, parseDate } from '../field-types.js';
+
+describe('parseNumber', () => {
+    it('reads thousands and decimal separators', () => {
+        assert.equal(parseNumber('1,250.50'), 1250.5);
+        assert.equal(parseNumber('1.250,50'), 1250.5);
+        assert.equal(parseNumber('1.250', ','), 1250);
+        assert.equal(parseNumber('12,5', ','), 12.5);
+    });
+
+    it('reads negative amounts in accounting forms', () => {
+        assert.equal(parseNumber('(42.00)'), -42);
+        assert.equal(parseNumber('42.00-'), -42);
+        assert.equal(parseNumber('42.00CR'), -42);
+    });
+
+    it('rejects text that is not a number', () => {
+        assert.equal(parseNumber('abc'), null);
+        assert.equal(parseNumber('1.2.3'), null);
+        assert.equal(parseNumber(''), null);
+    });
+});
+
+describe('parseDate', () => {
+    it('reads numeric dates in the given order', () => {
+        assert.equal(parseDate('05/01/2024'), '2024-01-05');
+        assert.equal(parseDate('05/01/2024', 'MDY'), '2024-05-01');
+        assert.equal(parseDate('24.01.05', 'YMD'), '2024-01-05');
+    });
+
+    it('always reads a leading four-digit year as YMD', () => {
+        assert.equal(parseDate('2024-01-05', 'MDY'), '2024-01-05');
+    });
+
+    it('reads month names', () => {
+        assert.equal(parseDate('5 Jan 2024'), '2024-01-05');
+        assert.equal(parseDate('January 5th, 2024'), '2024-01-05');
+    });
+
+    it('rejects dates that do not exist', () => {
+        assert.equal(parseDate('31/02/2024'), null);
+        assert.equal(parseDate('no date here'), null);
+    });
+});
+
+describe('normalizeFieldConfig', () => {
+    it('turns plain names into string fields', () => {
+        assert.deepEqual(normalizeFieldConfig('PO Number'), { name: 'PO Number', type: 'string' });
+        assert.deepEqual(normalizeFieldConfig({ name: 'Total' }), { name: 'Total', type: 'string' });
+    });
+});
+
+describe('normalizeFieldValue', () => {
+    it('treats empty values as missing, not as errors', () => {
+        assert.deepEqual(normalizeFieldValue('', { name: 'Date', type: 'date' }), { value: null, error: null });
+        assert.deepEqual(normalizeFieldValue(null, 'Date'), { value: null, error: null });
+    });
+
+    it('parses currency amounts with a code, a symbol or the field default', () => {
+        const field = { name: 'Total', type: 'currency' };
+        assert.deepEqual(normalizeFieldValue('USD 1,250.00', field).value, { amount: 1250, currency: 'USD' });
+        assert.deepEqual(normalizeFieldValue('£12.50', field).value, { amount: 12.5, currency: 'GBP' });
+        assert.deepEqual(normalizeFieldValue('12.50', { ...field, currency: 'EUR' }).value, { amount: 12.5, currency: 'EUR' });
+    });
+
+    it('parses quantities and maps unit aliases', () => {
+        const field = { name: 'Qty', type: 'quantity', unitAliases: { PCS: ['EA', 'PC'] } };
+        assert.deepEqual(normalizeFieldValue('2,000 ea', field).value, { quantity: 2000, unit: 'PCS' });
+        assert.match(normalizeFieldValue('3 KG', { ...field, units: ['PCS'] }).error, /as quantity/);
+    });
+
+    it('matches enum values and their spellings', () => {
+        const field = { name: 'Terms', type: 'enum', values: { NET30: ['net 30', '30 days'] } };
+        assert.equal(normalizeFieldValue('30 Days', field).value, 'NET30');
+        assert.match(normalizeFieldValue('COD', field).error, /as enum/);
+    });
+
+    it('parses integers, decimals and booleans', () => {
+        assert.equal(normalizeFieldValue('1,200', { name: 'Count', type: 'integer' }).value, 1200);
+        assert.match(normalizeFieldValue('1.5', { name: 'Count', type: 'integer' }).error, /as integer/);
+        assert.equal(normalizeFieldValue('Rate: 1.75', { name: 'Rate', type: 'decimal' }).value, 1.75);
+        assert.equal(normalizeFieldValue('[x]', { name: 'Signed', type: 'boolean' }).value, true);
+        assert.equal(normalizeFieldValue('No', { name: 'Signed', type: 'boolean' }).value, false);
+    });
+
+    it('reports unknown field types', () => {
+        assert.match(normalizeFieldValue('x', { name: 'X', type: 'colour' }).error, /Unknown field type 'colour'/);
+    });
+});
@@ -0,0 +1,27 @@
+// Temporary directories of fixture files for tests of the file-based commands
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Creates a temporary directory holding the given files, keyed by relative path
+ * Objects are written as JSON, strings as they are; call remove() when done
+ */
+function createTempFiles(files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amt-test-'));
+    for (const [file, content] of Object.entries(files)) {
+        const fullPath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return {
+        dir,
+        path: file => path.join(dir, file),
+        read: file => fs.readFileSync(path.join(dir, file), 'utf8'),
+        remove: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+export {
+    createTempFiles
+};
@@ -0,0 +1,123 @@
+// Stub AWS clients and Textract block builders for tests of the injected-context paths
+import { Readable } from 'stream';
+
+/**
+ * Builds a Textract response with a PAGE block per page and a LINE block per text line
+ * Lines are laid out top to bottom so the first lines of a page sit in its header region
+ *
+ * Options:
+ *   confidence - LINE confidence (default 99)
+ */
+function buildTextractResponse(pages, options = {}) {
+    let id = 0;
+    const blocks = pages.flatMap((lines, pageIndex) => [
+        { Id: `page-${pageIndex + 1}`, BlockType: 'PAGE', Page: pageIndex + 1 },
+        ...lines.map((Text, lineIndex) => ({
+            Id: `line-${++id}`,
+            BlockType: 'LINE',
+            Page: pageIndex + 1,
+            Text,
+            Confidence: options.confidence ?? 99,
+            Geometry: { BoundingBox: { Left: 0.1, Top: 0.02 + lineIndex * 0.04, Width: 0.5, Height: 0.02 } }
+        }))
+    ]);
+    return { DocumentMetadata: { Pages: pages.length }, JobStatus: 'SUCCEEDED', Blocks: blocks };
+}
+
+/**
+ * Stub client answering send(command) from handlers keyed by command class name
+ * A handler is a response object or a function (input, calls) => response; calls records every command sent
+ */
+function createStubClient(handlers = {}) {
+    const calls = [];
+    return {
+        calls,
+        async send(command) {
+            const name = command.constructor.name;
+            calls.push({ name, input: command.input });
+            const handler = handlers[name];
+            if (handler === undefined) {
+                throw new Error(`Unexpected ${name}`);
+            }
+            return typeof handler === 'function' ? handler(command.input, calls) : structuredClone(handler);
+        }
+    };
+}
+
+/**
+ * Stub S3 client keeping objects in memory
+ * Objects are { body, metadata, versionId }; Put stores strings, Get returns a streamable Body
+ */
+function createStubS3(objects = {}) {
+    const store = new Map(Object.entries(objects).map(([location, body]) => [location, { body }]));
+    const find = ({ Bucket, Key }) => {
+        const object = store.get(`${Bucket}/${Key}`);
+        if (!object) {
+            const error = new Error(`NoSuchKey: ${Bucket}/${Key}`);
+            error.name = 'NoSuchKey';
+            throw error;
+        }
+        return object;
+    };
+    const client = createStubClient({
+        HeadObjectCommand: input => {
+            const object = find(input);
+            return { ETag: '"etag-1"', VersionId: object.versionId, ContentLength: object.body.length, Metadata: object.metadata || {} };
+        },
+        GetObjectCommand: input => {
+            const { body } = find(input);
+            const stream = Readable.from([Buffer.from(body)]);
+            stream.transformToString = async () => body;
+            return { Body: stream };
+        },
+        PutObjectCommand: input => {
+            store.set(`${input.Bucket}/${input.Key}`, { body: input.Body });
+            return {};
+        }
+    });
+    return { ...client, objects: store };
+}
+
+/**
+ * Stub DynamoDB document client holding target table rows keyed by documentId and resultKey
+ * Conditional puts honour the 'older version' condition used by conditionalPutItems
+ *
+ * Options:
+ *   failTables - table names whose writes fail with a non-retryable error
+ */
+function createStubDynamoDb(options = {}) {
+    const tables = {};
+    const failTables = options.failTables || [];
+    const put = (tableName, item) => {
+        tables[tableName] = tables[tableName] || new Map();
+        tables[tableName].set(`${item.documentId}#${item.resultKey}`, item);
+    };
+    const client = createStubClient({
+        BatchWriteCommand: input => {
+            for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+                if (failTables.includes(tableName)) throw new Error(`Table ${tableName} is unavailable`);
+                requests.forEach(request => put(tableName, request.PutRequest.Item));
+            }
+            return { UnprocessedItems: {} };
+        },
+        PutCommand: input => {
+            if (failTables.includes(input.TableName)) throw new Error(`Table ${input.TableName} is unavailable`);
+            const existing = tables[input.TableName]?.get(`${input.Item.documentId}#${input.Item.resultKey}`);
+            if (input.ConditionExpression && existing && !(existing.version < input.Item.version)) {
+                const error = new Error('The conditional request failed');
+                error.name = 'ConditionalCheckFailedException';
+                throw error;
+            }
+            put(input.TableName, input.Item);
+            return {};
+        }
+    });
+    return { ...client, tables };
+}
+
+export {
+    buildTextractResponse,
+    createStubClient,
+    createStubS3,
+    createStubDynamoDb
+};
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_STATUS, createMemoryJobStore } from '../job-store.js';
+
+describe('createMemoryJobStore', () => {
+    it('creates, reads and updates jobs', async () => {
+        const store = createMemoryJobStore();
+        const created = await store.createJob({ jobId: 'job-1', status: JOB_STATUS.IN_PROGRESS, bucket: 'b', key: 'k.pdf' });
+        assert.equal(created.status, JOB_STATUS.IN_PROGRESS);
+        assert.equal(created.createdAt, created.updatedAt);
+
+        const updated = await store.updateJob('job-1', { status: JOB_STATUS.SUCCEEDED, pagesProcessed: 3 });
+        assert.equal(updated.status, JOB_STATUS.SUCCEEDED);
+        assert.equal(updated.key, 'k.pdf');
+        assert.deepEqual(await store.getJob('job-1'), updated);
+        assert.equal(await store.getJob('job-2'), null);
+    });
+
+    it('refuses duplicate jobs and updates to unknown ones', async () => {
+        const store = createMemoryJobStore();
+        await store.createJob({ jobId: 'job-1' });
+        await assert.rejects(store.createJob({ jobId: 'job-1' }), /Job already exists: job-1/);
+        await assert.rejects(store.updateJob('job-2', {}), /Job not found: job-2/);
+    });
+
+    it('returns copies callers cannot change the stored job through', async () => {
+        const store = createMemoryJobStore();
+        const job = await store.createJob({ jobId: 'job-1', pages: [1] });
+        job.pages.push(2);
+        (await store.getJob('job-1')).pages.push(3);
+        assert.deepEqual((await store.getJob('job-1')).pages, [1]);
+    });
+});
@@ -0,0 +1,181 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import {
+    MAX_EVENT_DETAIL_BYTES,
+    withRetry,
+    toCsv,
+    resultsToCsvRows,
+    createSink
+} from '../result-sinks.js';
+import { createStubClient, createStubS3 } from './helpers/stubs.js';
+
+const target = {
+    documentId: 'uploads-scans-doc-pdf',
+    bucket: 'uploads',
+    key: 'scans/doc.pdf',
+    getResultKey: result => `pages#${String(result.pageNumber).padStart(4, '0')}`,
+    resultsLocation: null
+};
+const result = {
+    company: 'ACME Supplies',
+    documentType: 'invoice',
+    pageNumber: 1,
+    extractedFields: { 'Invoice No': 'INV-001', Total: '£120.00' },
+    fieldDetails: { Total: { raw: '£120.00', value: { amount: 120, currency: 'GBP' }, confidence: 99 } },
+    items: [
+        { description: 'Widget', amount: 100, source: { page: 1 }, confidence: 98 },
+        { description: 'Bolt, large', amount: 20, source: { page: 1 }, confidence: 97 }
+    ],
+    reviewStatus: 'AUTO_APPROVED',
+    validation: { valid: true, blocking: false, rulesChecked: 1, errors: [], warnings: [{ message: 'Total is high' }] }
+};
+
+describe('withRetry', () => {
+    it('retries until the operation succeeds', async () => {
+        let calls = 0;
+        const outcome = await withRetry(async () => {
+            if (++calls < 3) throw new Error('busy');
+            return 'done';
+        }, { initialDelayMs: 0 });
+        assert.deepEqual(outcome, { value: 'done', attempts: 3 });
+    });
+
+    it('stops at errors that are not retryable and reports the attempts', async () => {
+        await assert.rejects(
+            withRetry(async () => { throw new Error('bad request'); }, { initialDelayMs: 0, isRetryable: () => false }),
+            error => error.attempts === 1
+        );
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes values holding separators, quotes or line breaks', () => {
+        assert.equal(toCsv([{ a: 'x,y', b: 'say "hi"' }, { a: null, c: 'line\nbreak' }]), 'a,b,c\n"x,y","say ""hi""",\n,,"line\nbreak"\n');
+    });
+});
+
+describe('resultsToCsvRows', () => {
+    it('writes a row per line item, repeating the document fields', () => {
+        const rows = resultsToCsvRows([result, { ...result, pageNumber: 2, items: [] }], 'doc-1');
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows[1], {
+            documentId: 'doc-1', company: 'ACME Supplies', documentType: 'invoice', pageStart: 1, pageEnd: 1,
+            'Invoice No': 'INV-001', Total: '£120.00', description: 'Bolt, large', amount: 20
+        });
+        assert.equal(rows[2].pageStart, 2);
+    });
+});
+
+describe('s3 sink', () => {
+    it('writes a JSON sidecar per document and company', async () => {
+        const s3 = createStubS3();
+        const sink = createSink({ type: 's3', bucket: 'exports', prefix: 'acme/' }, { s3 });
+        const outcome = await sink.publish([result], target);
+        assert.deepEqual(outcome, { delivered: 1, attempts: 1, location: 's3://exports/acme/uploads-scans-doc-pdf-ACME-Supplies.json' });
+        const payload = JSON.parse(s3.objects.get('exports/acme/uploads-scans-doc-pdf-ACME-Supplies.json').body);
+        assert.equal(payload.results[0].resultKey, 'pages#0001');
+        assert.deepEqual(payload.source, { bucket: 'uploads', key: 'scans/doc.pdf' });
+    });
+});
+
+describe('webhook sink', () => {
+    it('signs the body with the secret named by secretEnv', async () => {
+        process.env.TEST_HOOK_SECRET = 'shh';
+        const requests = [];
+        const fetch = async (url, request) => {
+            requests.push({ url, ...request });
+            return { ok: true, status: 202 };
+        };
+        const sink = createSink({ type: 'webhook', url: 'https://example.com/hook', secretEnv: 'TEST_HOOK_SECRET' }, { fetch });
+
+        assert.deepEqual(await sink.publish([result], target), { delivered: 1, attempts: 1, status: 202 });
+        const [{ headers, body }] = requests;
+        const expected = createHmac('sha256', 'shh').update(`${headers['X-Signature-Timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['X-Signature'], `sha256=${expected}`);
+        delete process.env.TEST_HOOK_SECRET;
+    });
+
+    it('retries server errors but not client errors', async () => {
+        process.env.TEST_HOOK_SECRET = 'shh';
+        const statuses = [503, 200];
+        const retried = createSink(
+            { type: 'webhook', url: 'https://example.com/hook', secretEnv: 'TEST_HOOK_SECRET', retry: { initialDelayMs: 0 } },
+            { fetch: async () => { const status = statuses.shift(); return { ok: status < 300, status }; } }
+        );
+        assert.equal((await retried.publish([result], target)).attempts, 2);
+
+        const rejected = createSink(
+            { type: 'webhook', url: 'https://example.com/hook', secretEnv: 'TEST_HOOK_SECRET', retry: { initialDelayMs: 0 } },
+            { fetch: async () => ({ ok: false, status: 400 }) }
+        );
+        await assert.rejects(rejected.publish([result], target), error => error.status === 400 && error.attempts === 1);
+        delete process.env.TEST_HOOK_SECRET;
+    });
+
+    it('refuses to send without a signing secret', async () => {
+        const sink = createSink({ type: 'webhook', url: 'https://example.com/hook', secretEnv: 'TEST_MISSING_SECRET' }, { fetch: async () => ({ ok: true }) });
+        await assert.rejects(sink.publish([result], target), /has no signing secret in TEST_MISSING_SECRET/);
+    });
+});
+
+describe('eventbridge sink', () => {
+    const publish = async (results, sinkTarget = target, config = {}) => {
+        const eventbridge = createStubClient({ PutEventsCommand: input => ({ Entries: input.Entries.map(() => ({ EventId: 'e' })) }) });
+        const outcome = await createSink({ type: 'eventbridge', ...config }, { eventbridge }).publish(results, sinkTarget);
+        return { outcome, entries: eventbridge.calls.flatMap(call => call.input.Entries) };
+    };
+
+    it('sends a summary of each result, pointing to the full results', async () => {
+        const resultsLocation = { bucket: 'uploads', key: 'textract-results/job-1/results.json' };
+        const { outcome, entries } = await publish([result], { ...target, resultsLocation }, { eventBusName: 'erp' });
+        assert.deepEqual(outcome, { delivered: 1, attempts: 1 });
+        assert.equal(entries[0].EventBusName, 'erp');
+        const detail = JSON.parse(entries[0].Detail);
+        assert.deepEqual(detail.resultsLocation, resultsLocation);
+        assert.deepEqual(detail.result, {
+            resultKey: 'pages#0001',
+            documentType: 'invoice',
+            pageNumber: 1,
+            pages: [1],
+            extractedFields: result.extractedFields,
+            itemCount: 2,
+            reviewStatus: 'AUTO_APPROVED',
+            validation: { valid: true, blocking: false, errors: 0, warnings: 1 },
+            configVersion: null
+        });
+    });
+
+    it('leaves the fields out of events that would exceed the size limit', async () => {
+        const large = { ...result, extractedFields: { Notes: 'x'.repeat(MAX_EVENT_DETAIL_BYTES) } };
+        const { entries } = await publish([large]);
+        const detail = JSON.parse(entries[0].Detail);
+        assert.equal(detail.result.extractedFields, undefined);
+        assert.equal(detail.result.fieldsOmitted, true);
+        assert.ok(Buffer.byteLength(entries[0].Detail) < MAX_EVENT_DETAIL_BYTES);
+    });
+
+    it('resends only rejected entries and reports what got through', async () => {
+        const eventbridge = createStubClient({
+            PutEventsCommand: input => ({ Entries: input.Entries.map((_, index) => (index === 0 ? { EventId: 'e' } : { ErrorCode: 'ThrottlingException' })) })
+        });
+        const sink = createSink({ type: 'eventbridge', retry: { maxAttempts: 2, initialDelayMs: 0 } }, { eventbridge });
+        await assert.rejects(
+            sink.publish([result, { ...result, pageNumber: 2 }, { ...result, pageNumber: 3 }], target),
+            error => /1 event\(s\) rejected: ThrottlingException/.test(error.message) && error.delivered === 2
+        );
+        assert.deepEqual(eventbridge.calls.map(call => call.input.Entries.length), [3, 2]);
+    });
+});
+
+describe('createSink', () => {
+    it('refuses unknown sink types', () => {
+        assert.throws(() => createSink({ type: 'ftp' }, {}), /Unknown sink type 'ftp'/);
+    });
+
+    it('names sinks after their destination', () => {
+        assert.equal(createSink({ type: 's3', format: 'csv', prefix: 'out/' }, {}).name, 's3:out/csv');
+        assert.equal(createSink({ type: 'eventbridge' }, {}).name, 'eventbridge:default');
+        assert.equal(createSink({ type: 'eventbridge', name: 'erp' }, {}).name, 'erp');
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REVIEW_STATUS, createMemoryReviewStore } from '../review-store.js';
+
+describe('createMemoryReviewStore', () => {
+    it('stores reviews and lists them by status', async () => {
+        const store = createMemoryReviewStore();
+        await store.putReview({ reviewId: 'r1', status: REVIEW_STATUS.PENDING_REVIEW });
+        await store.putReview({ reviewId: 'r2', status: REVIEW_STATUS.APPROVED });
+
+        assert.deepEqual((await store.listReviews()).map(review => review.reviewId), ['r1', 'r2']);
+        assert.deepEqual((await store.listReviews({ status: REVIEW_STATUS.PENDING_REVIEW })).map(review => review.reviewId), ['r1']);
+        assert.equal(await store.getReview('r3'), null);
+    });
+
+    it('keeps the creation time when a review is stored again', async () => {
+        const store = createMemoryReviewStore();
+        const review = await store.putReview({ reviewId: 'r1', status: REVIEW_STATUS.PENDING_REVIEW, createdAt: '2024-01-05T00:00:00.000Z' });
+        assert.equal(review.createdAt, '2024-01-05T00:00:00.000Z');
+        assert.notEqual(review.updatedAt, review.createdAt);
+    });
+
+    it('updates a review only from the expected status', async () => {
+        const store = createMemoryReviewStore();
+        await store.putReview({ reviewId: 'r1', status: REVIEW_STATUS.PENDING_REVIEW });
+
+        const approved = await store.updateReview('r1', { status: REVIEW_STATUS.APPROVED, reviewer: 'sam' }, REVIEW_STATUS.PENDING_REVIEW);
+        assert.equal(approved.status, REVIEW_STATUS.APPROVED);
+        await assert.rejects(store.updateReview('r1', { status: REVIEW_STATUS.REJECTED }, REVIEW_STATUS.PENDING_REVIEW),
+            /Review r1 not found or not in status PENDING_REVIEW/);
+        await assert.rejects(store.updateReview('r2', {}), /Review r2 not found/);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferFieldType, bootstrapCompanyTemplate } from '../template-bootstrap.js';
+import { buildTextractResponse } from './helpers/stubs.js';
+
+const sample = buildTextractResponse([['ACME Supplies', 'Invoice', 'Invoice No: INV-001', 'Total: £120.00', 'Account', '4471-22']]).Blocks;
+
+describe('inferFieldType', () => {
+    it('recognizes dates, decimals and currency amounts with a leading or trailing code or symbol', () => {
+        assert.equal(inferFieldType('05/01/2024'), 'date');
+        assert.equal(inferFieldType('2024-01-05'), 'date');
+        assert.equal(inferFieldType('12.50'), 'decimal');
+        assert.equal(inferFieldType('£120.00'), 'currency');
+        assert.equal(inferFieldType('USD 1,200.50'), 'currency');
+        assert.equal(inferFieldType('120 eur'), 'currency');
+    });
+
+    it('keeps references and plain numbers as strings', () => {
+        assert.equal(inferFieldType('INV 1234'), 'string');
+        assert.equal(inferFieldType('ABC 12.00'), 'string');
+        assert.equal(inferFieldType('4471'), 'string');
+    });
+});
+
+describe('bootstrapCompanyTemplate', () => {
+    it('drafts strategies and zones that extract the labeled values again', () => {
+        const { record, report, identified, validation } = bootstrapCompanyTemplate(sample, {
+            'Invoice No': 'INV-001',
+            Amount: { value: '£120.00', type: 'currency' },
+            Account: '4471-22'
+        }, { company: 'ACME Supplies', targetTables: ['acme-invoices'] });
+
+        assert.equal(identified, true);
+        assert.deepEqual(validation, { valid: true, errors: [] });
+        assert.deepEqual(record.targetTables, ['acme-invoices']);
+        assert.deepEqual(record.fields.map(field => [field.name, field.type, field.strategies.map(strategy => strategy.type)]), [
+            ['Invoice No', undefined, ['label', 'zone']],
+            ['Amount', 'currency', ['label', 'zone']],
+            ['Account', undefined, ['anchor', 'zone']]
+        ]);
+        assert.deepEqual(record.fields[1].strategies[0], { type: 'label', label: 'Total' });
+        assert.deepEqual(record.fields[2].strategies[0], { type: 'anchor', anchor: 'Account', direction: 'below' });
+        assert.deepEqual(record.zones.map(zone => [zone.name, zone.page, zone.anchor?.text]), [
+            ['Invoice No', 1, 'ACME Supplies'],
+            ['Amount', 1, 'ACME Supplies'],
+            ['Account', 1, 'ACME Supplies']
+        ]);
+        assert.ok(report.every(entry => entry.verified));
+    });
+
+    it('reports values missing from the sample and suggests an identifier', () => {
+        const { record, report, identified } = bootstrapCompanyTemplate(sample, { 'PO Number': 'PO-9' }, { company: 'Northwind' });
+        assert.deepEqual(report, [{ field: 'PO Number', expected: 'PO-9', type: 'string', strategies: [], extracted: null, strategy: null, verified: false }]);
+        assert.deepEqual(record.identifiers, ['ACME Supplies']);
+        assert.equal(identified, true);
+    });
+
+    it('needs a company and labels', () => {
+        assert.throws(() => bootstrapCompanyTemplate(sample, { Total: '1' }), /A company name is needed/);
+        assert.throws(() => bootstrapCompanyTemplate(sample, {}, { company: 'ACME Supplies' }), /Labels must map each field name/);
+    });
+});
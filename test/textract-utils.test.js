@@ -0,0 +1,334 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createTextractContext,
+    createTextractUtils,
+    createMemoryCompanyStore,
+    createMemoryJobStore,
+    createMemoryReviewStore,
+    createMemoryDocumentRegistry,
+    JOB_STATUS,
+    REVIEW_STATUS,
+    DOCUMENT_STATUS
+} from '../textract-utils.js';
+import { buildTextractResponse, createStubClient, createStubS3, createStubDynamoDb } from './helpers/stubs.js';
+
+const acme = {
+    company: 'ACME Supplies',
+    fields: ['Invoice No', { name: 'Total', type: 'currency' }],
+    targetTables: ['acme-invoices'],
+    validation: [{ type: 'required', field: 'Total' }]
+};
+const harbour = {
+    company: 'Harbour Logistics',
+    fields: ['Delivery No'],
+    targetTables: ['harbour-deliveries']
+};
+
+const acmeInvoice = ['ACME Supplies', 'Invoice', 'Invoice No: INV-001', 'Total: £120.00'];
+const harbourDelivery = ['Harbour Logistics', 'Delivery Note', 'Delivery No: DN-77'];
+const location = { bucket: 'uploads', key: 'scans/doc.pdf' };
+
+/**
+ * Builds processing functions over memory stores and stub clients
+ */
+function createUtils(overrides = {}) {
+    const utils = createTextractUtils({
+        textract: createStubClient(),
+        s3: createStubS3(),
+        dynamodb: createStubDynamoDb(),
+        eventbridge: createStubClient(),
+        companyStore: createMemoryCompanyStore([acme, harbour]),
+        jobStore: createMemoryJobStore(),
+        reviewStore: createMemoryReviewStore(),
+        documentRegistry: createMemoryDocumentRegistry(),
+        ...overrides
+    });
+    return utils;
+}
+
+describe('createTextractContext', () => {
+    it('uses the injected clients and stores', () => {
+        const textract = createStubClient();
+        const jobStore = createMemoryJobStore();
+        const context = createTextractContext({ textract, jobStore });
+        assert.equal(context.textract, textract);
+        assert.equal(context.jobStore, jobStore);
+        assert.equal(typeof context.s3.send, 'function');
+    });
+});
+
+describe('processSinglePageDocument', () => {
+    it('analyzes the document with the injected Textract client and extracts the company fields', async () => {
+        const textract = createStubClient({ AnalyzeDocumentCommand: buildTextractResponse([acmeInvoice]) });
+        const utils = createUtils({ textract });
+
+        const [result] = await utils.processSinglePageDocument(location);
+        assert.deepEqual(textract.calls.map(call => call.name), ['AnalyzeDocumentCommand']);
+        assert.deepEqual(textract.calls[0].input.Document, { S3Object: { Bucket: 'uploads', Name: 'scans/doc.pdf' } });
+        assert.equal(result.company, 'ACME Supplies');
+        assert.deepEqual(result.extractedFields, { 'Invoice No': 'INV-001', Total: '£120.00' });
+        assert.deepEqual(result.fieldDetails.Total.value, { amount: 120, currency: 'GBP' });
+        assert.equal(result.documentType, 'invoice');
+        assert.equal(result.reviewStatus, REVIEW_STATUS.AUTO_APPROVED);
+        assert.deepEqual(result.targetTables, ['acme-invoices']);
+    });
+
+    it('fails when no company is recognized', async () => {
+        const textract = createStubClient({ AnalyzeDocumentCommand: buildTextractResponse([['Unknown Trading Co', 'Invoice']]) });
+        await assert.rejects(createUtils({ textract }).processSinglePageDocument(location), /Company not recognized/);
+    });
+});
+
+describe('processMultiPageDocument', () => {
+    it('runs an async job through the injected clients and splits the pages by company', async () => {
+        const response = buildTextractResponse([acmeInvoice, harbourDelivery]);
+        const textract = createStubClient({ StartDocumentAnalysisCommand: { JobId: 'job-1' }, GetDocumentAnalysisCommand: response });
+        const s3 = createStubS3();
+        const jobStore = createMemoryJobStore();
+        const utils = createUtils({ textract, s3, jobStore });
+
+        const results = await utils.processMultiPageDocument(location, [acme, harbour]);
+        assert.deepEqual(results.map(result => [result.company, result.pages]), [['ACME Supplies', [1]], ['Harbour Logistics', [2]]]);
+        assert.equal(results[1].extractedFields['Delivery No'], 'DN-77');
+        assert.equal((await jobStore.getJob('job-1')).status, JOB_STATUS.SUCCEEDED);
+        assert.ok(s3.objects.has('uploads/textract-results/job-1/batch-0001.json'));
+    });
+});
+
+describe('extractFieldDetails', () => {
+    it('keeps empty matches and only derives fields no strategy matched', () => {
+        const { extractFieldDetails } = createUtils();
+        const blocks = buildTextractResponse([['Ref: none']]).Blocks;
+        const details = extractFieldDetails(blocks, [
+            { name: 'Site', strategies: [{ type: 'constant', value: 'HQ' }] },
+            { name: 'Ref', strategies: [{ type: 'regex', pattern: 'Ref: (\\d+)' }, { type: 'derived', template: 'R-{Site}' }] },
+            { name: 'Notes', strategies: [{ type: 'constant', value: '' }, { type: 'derived', template: 'N-{Site}' }] }
+        ]);
+        assert.deepEqual([details.Ref.raw, details.Ref.strategy], ['R-HQ', 'derived']);
+        assert.deepEqual([details.Notes.raw, details.Notes.value, details.Notes.strategy], ['', null, 'constant']);
+    });
+});
+
+describe('storeResultsInTables', () => {
+    const approved = { company: 'ACME Supplies', pageNumber: 1, extractedFields: { Total: '£1' }, reviewStatus: REVIEW_STATUS.AUTO_APPROVED, targetTables: ['acme-invoices'] };
+    const pending = { ...approved, pageNumber: 2, reviewStatus: REVIEW_STATUS.PENDING_REVIEW };
+
+    it('writes approved results and skips the others', async () => {
+        const dynamodb = createStubDynamoDb();
+        const report = await createUtils({ dynamodb }).storeResultsInTables([approved, pending], location, { version: 1 });
+        assert.equal(report.written, 1);
+        assert.deepEqual(report.skipped, [{ pageNumber: 2, reason: REVIEW_STATUS.PENDING_REVIEW }]);
+        assert.deepEqual([...dynamodb.tables['acme-invoices'].keys()], ['uploads-scans-doc-pdf#pages#0001-0001']);
+    });
+
+    it('leaves newer rows in place on conditional writes', async () => {
+        const dynamodb = createStubDynamoDb();
+        const utils = createUtils({ dynamodb });
+        await utils.storeResultsInTables([approved], location, { version: 2 });
+        const report = await utils.storeResultsInTables([approved], location, { version: 1, conditional: true });
+        assert.deepEqual({ written: report.written, stale: report.stale }, { written: 0, stale: 1 });
+        assert.equal(dynamodb.tables['acme-invoices'].get('uploads-scans-doc-pdf#pages#0001-0001').version, 2);
+    });
+
+    it('reports failed tables', async () => {
+        const report = await createUtils({ dynamodb: createStubDynamoDb({ failTables: ['acme-invoices'] }) })
+            .storeResultsInTables([approved], location);
+        assert.equal(report.failed, 1);
+        assert.deepEqual(report.tables['acme-invoices'].errors, ['Table acme-invoices is unavailable']);
+    });
+});
+
+describe('publishResults', () => {
+    it('writes the target tables and the company sinks', async () => {
+        const s3 = createStubS3();
+        const dynamodb = createStubDynamoDb();
+        const result = {
+            company: 'ACME Supplies', pageNumber: 1, extractedFields: { Total: '£1' }, reviewStatus: REVIEW_STATUS.AUTO_APPROVED,
+            targetTables: ['acme-invoices'], sinks: [{ type: 's3', prefix: 'exports/', format: 'csv' }]
+        };
+        const report = await createUtils({ s3, dynamodb }).publishResults([result], location);
+        assert.equal(report.written, 1);
+        assert.equal(report.sinkFailures, 0);
+        assert.deepEqual(report.sinks.map(sink => [sink.type, sink.delivered]), [['s3', 1]]);
+        assert.match(s3.objects.get('uploads/exports/uploads-scans-doc-pdf-ACME-Supplies.csv').body, /^documentId,company/);
+    });
+
+    it('reports a failing sink without stopping the others', async () => {
+        const eventbridge = createStubClient({ PutEventsCommand: () => { throw new Error('Bus unavailable'); } });
+        const result = {
+            company: 'ACME Supplies', pageNumber: 1, extractedFields: {}, reviewStatus: REVIEW_STATUS.AUTO_APPROVED, targetTables: [],
+            sinks: [{ type: 'eventbridge', retry: { maxAttempts: 1 } }, { type: 's3' }]
+        };
+        const report = await createUtils({ eventbridge }).publishResults([result], location);
+        assert.equal(report.sinkFailures, 1);
+        assert.deepEqual(report.sinks.map(sink => [sink.type, sink.delivered, sink.failed]), [['eventbridge', 0, 1], ['s3', 1, 0]]);
+    });
+});
+
+describe('review queue', () => {
+    const reviewRecord = { ...acme, reviewThreshold: 99.5 };
+
+    /**
+     * Processes a low-confidence ACME invoice and queues it for review
+     */
+    async function queueInvoice(utils, lines = acmeInvoice) {
+        const [result] = await utils.processSinglePageDocument(location, {
+            companyRecords: [reviewRecord],
+            replay: buildTextractResponse([lines], { confidence: 90 })
+        });
+        assert.equal(result.reviewStatus, REVIEW_STATUS.PENDING_REVIEW);
+        const { queued } = await utils.queueResultsForReview([result], location);
+        return queued[0];
+    }
+
+    it('publishes an approved review with the reviewer\'s corrections', async () => {
+        const dynamodb = createStubDynamoDb();
+        const utils = createUtils({ dynamodb, companyStore: createMemoryCompanyStore([reviewRecord]) });
+        const reviewId = await queueInvoice(utils);
+
+        const approved = await utils.approveReview(reviewId, { corrections: { fields: { Total: '£125.00' } }, reviewer: 'sam' });
+        assert.equal(approved.status, REVIEW_STATUS.APPROVED);
+        assert.equal(approved.storage.written, 1);
+        const [row] = dynamodb.tables['acme-invoices'].values();
+        assert.equal(row.extractedFields.Total, '£125.00');
+        assert.equal(row.reviewStatus, REVIEW_STATUS.APPROVED);
+        await assert.rejects(utils.approveReview(reviewId), /is already APPROVED/);
+    });
+
+    it('keeps a review pending while its corrections fail validation', async () => {
+        const utils = createUtils({ companyStore: createMemoryCompanyStore([reviewRecord]) });
+        const reviewId = await queueInvoice(utils, ['ACME Supplies', 'Invoice', 'Invoice No: INV-001']);
+
+        await assert.rejects(utils.approveReview(reviewId), error => error.name === 'ValidationError' && /Total is required/.test(error.message));
+        assert.equal((await utils.getReview(reviewId)).status, REVIEW_STATUS.PENDING_REVIEW);
+        assert.equal((await utils.rejectReview(reviewId, { reason: 'illegible' })).status, REVIEW_STATUS.REJECTED);
+    });
+
+    it('keeps a review pending until it is published, so approving can be retried', async () => {
+        const failTables = ['acme-invoices'];
+        const dynamodb = createStubDynamoDb({ failTables });
+        const utils = createUtils({ dynamodb, companyStore: createMemoryCompanyStore([reviewRecord]) });
+        const reviewId = await queueInvoice(utils);
+
+        await assert.rejects(utils.approveReview(reviewId), error => error.name === 'PublishError' && error.storage.failed === 1);
+        assert.equal((await utils.getReview(reviewId)).status, REVIEW_STATUS.PENDING_REVIEW);
+
+        failTables.length = 0;
+        const approved = await utils.approveReview(reviewId);
+        assert.equal(approved.status, REVIEW_STATUS.APPROVED);
+        assert.equal(dynamodb.tables['acme-invoices'].size, 1);
+    });
+});
+
+describe('completeTextractJob', () => {
+    it('collects, processes and publishes a finished job', async () => {
+        const textract = createStubClient({ GetDocumentAnalysisCommand: buildTextractResponse([acmeInvoice, harbourDelivery]) });
+        const dynamodb = createStubDynamoDb();
+        const jobStore = createMemoryJobStore();
+        const documentRegistry = createMemoryDocumentRegistry();
+        const utils = createUtils({ textract, dynamodb, jobStore, documentRegistry });
+        await documentRegistry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING });
+        await jobStore.createJob({ jobId: 'job-1', status: JOB_STATUS.PENDING, mode: 'document', ...location, contentHash: 'abc', batchCount: 0 });
+
+        const job = await utils.completeTextractJob('job-1', { textractStatus: 'SUCCEEDED' });
+        assert.equal(job.status, JOB_STATUS.SUCCEEDED);
+        assert.equal(job.resultsCount, 2);
+        assert.equal(dynamodb.tables['acme-invoices'].size, 1);
+        assert.equal(dynamodb.tables['harbour-deliveries'].size, 1);
+        assert.equal((await documentRegistry.getDocument('abc')).status, DOCUMENT_STATUS.PROCESSED);
+
+        const again = await utils.completeTextractJob('job-1', { textractStatus: 'SUCCEEDED' });
+        assert.equal(again.updatedAt, job.updatedAt);
+    });
+
+    it('keeps the results out of the job record and points to them in S3', async () => {
+        const textract = createStubClient({ GetDocumentAnalysisCommand: buildTextractResponse([acmeInvoice, harbourDelivery]) });
+        const s3 = createStubS3();
+        const jobStore = createMemoryJobStore();
+        const companyStore = createMemoryCompanyStore([{ ...acme, reviewThreshold: 100 }, harbour]);
+        const utils = createUtils({ textract, s3, jobStore, companyStore });
+        await jobStore.createJob({ jobId: 'job-1', status: JOB_STATUS.PENDING, mode: 'document', ...location, batchCount: 0 });
+
+        const job = await utils.completeTextractJob('job-1');
+        assert.equal(job.results, undefined);
+        assert.deepEqual(job.resultsLocation, { bucket: 'uploads', key: 'textract-results/job-1/results.json' });
+        assert.deepEqual(job.review, { queued: ['uploads-scans-doc-pdf#1'], autoApproved: 1 });
+        assert.deepEqual(job.storage, {
+            written: 1,
+            stale: 0,
+            failed: 0,
+            skipped: 1,
+            tables: { 'harbour-deliveries': { written: 1, stale: 0, failed: 0 } },
+            sinks: [],
+            sinkFailures: 0
+        });
+
+        const stored = JSON.parse(s3.objects.get('uploads/textract-results/job-1/results.json').body);
+        assert.deepEqual(stored.map(result => result.company), ['ACME Supplies', 'Harbour Logistics']);
+        assert.equal(stored[0].fieldDetails.Total.raw, '£120.00');
+    });
+
+    it('fails the job and the document when Textract reports failure', async () => {
+        const jobStore = createMemoryJobStore();
+        const documentRegistry = createMemoryDocumentRegistry();
+        const utils = createUtils({ jobStore, documentRegistry });
+        await documentRegistry.registerDocument({ contentHash: 'abc', status: DOCUMENT_STATUS.PROCESSING });
+        await jobStore.createJob({ jobId: 'job-1', status: JOB_STATUS.PENDING, ...location, contentHash: 'abc', batchCount: 0 });
+
+        const job = await utils.completeTextractJob('job-1', { textractStatus: 'FAILED' });
+        assert.equal(job.status, JOB_STATUS.FAILED);
+        assert.equal((await documentRegistry.getDocument('abc')).status, DOCUMENT_STATUS.FAILED);
+    });
+});
+
+describe('checkDocumentIdempotency', () => {
+    it('processes new content once and links re-uploads to the original', async () => {
+        const s3 = createStubS3({ 'uploads/a.pdf': 'same bytes', 'uploads/b.pdf': 'same bytes' });
+        const utils = createUtils({ s3 });
+
+        const first = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        assert.equal(first.action, 'process');
+        assert.match(first.documentId, /^sha256-[0-9a-f]{64}$/);
+
+        const retry = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        assert.deepEqual([retry.action, retry.reason], ['skip', 'already being processed']);
+
+        const copy = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'b.pdf' });
+        assert.equal(copy.action, 'duplicate');
+        assert.deepEqual(copy.document.duplicates.map(duplicate => duplicate.key), ['b.pdf']);
+
+        const redelivered = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'b.pdf' });
+        assert.equal(redelivered.action, 'duplicate');
+        assert.equal(redelivered.document.duplicates.length, 1);
+    });
+
+    it('processes again after a failed run', async () => {
+        const s3 = createStubS3({ 'uploads/a.pdf': 'bytes' });
+        const utils = createUtils({ s3 });
+        const { fingerprint } = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        await utils.recordDocumentStatus({ contentHash: fingerprint.contentHash }, DOCUMENT_STATUS.FAILED, { error: 'boom' });
+
+        const retry = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        assert.deepEqual([retry.action, retry.reason, retry.document.attempts], ['process', 'previous run failed', 2]);
+    });
+
+    it('processes again once a run stayed PROCESSING past the timeout, claiming it only once', async () => {
+        const s3 = createStubS3({ 'uploads/a.pdf': 'bytes' });
+        const utils = createUtils({ s3 });
+        const { fingerprint } = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        const startedAt = new Date(Date.now() - 2 * 3600 * 1000).toISOString();
+        await utils.context.documentRegistry.updateDocument(fingerprint.contentHash, { processingStartedAt: startedAt });
+
+        const [claimed, concurrent] = await Promise.all([
+            utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' }),
+            utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' })
+        ]);
+        assert.deepEqual([claimed.action, claimed.reason, claimed.document.attempts], ['process', 'previous run timed out', 2]);
+        assert.deepEqual([concurrent.action, concurrent.reason], ['skip', 'already being processed']);
+        assert.ok(claimed.document.processingStartedAt > startedAt);
+
+        const again = await utils.checkDocumentIdempotency({ bucket: 'uploads', key: 'a.pdf' });
+        assert.equal(again.action, 'skip');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateResult } from '../validation.js';
+
+const result = {
+    extractedFields: { 'Invoice No': 'INV-001', 'Invoice Date': '2024-01-05', 'Due Date': '2024-02-04', Net: '£100.00', VAT: '£20.00', Total: '£120.00', Reference: '' },
+    fieldDetails: {
+        Net: { value: { amount: 100, currency: 'GBP' } },
+        Total: { value: { amount: 120, currency: 'GBP' } }
+    },
+    items: [
+        { quantity: '2', unitPrice: '10.00', amount: '20.00' },
+        { quantity: '4', unitPrice: '20.00', amount: '80.00', normalized: { amount: 80 } }
+    ]
+};
+
+const messages = report => [...report.errors, ...report.warnings].map(failure => failure.message);
+
+describe('validateResult', () => {
+    it('passes a result that meets every rule', () => {
+        const report = validateResult(result, [
+            { type: 'required', field: 'Invoice No' },
+            { type: 'pattern', field: 'Invoice No', pattern: '^INV-\\d+$' },
+            { type: 'range', field: 'Total', min: 0, max: 1000 },
+            { type: 'compare', field: 'Due Date', operator: '>', other: 'Invoice Date' },
+            { type: 'sum', column: 'amount', equals: 'Net' },
+            { type: 'product', factors: ['quantity', 'unitPrice'], equals: 'amount' }
+        ]);
+        assert.deepEqual(report, { valid: true, blocking: false, rulesChecked: 6, errors: [], warnings: [] });
+    });
+
+    it('reports missing, mismatched and out-of-range values', () => {
+        const report = validateResult(result, [
+            { type: 'required', field: 'Reference' },
+            { type: 'pattern', field: 'Invoice No', pattern: '^PO-' },
+            { type: 'range', field: 'Invoice Date', max: '2023-12-31' },
+            { type: 'compare', field: 'Total', value: 100 }
+        ]);
+        assert.equal(report.valid, false);
+        assert.deepEqual(messages(report), [
+            'Reference is required',
+            "Invoice No 'INV-001' does not match ^PO-",
+            'Invoice Date is outside -∞..2023-12-31',
+            'Total = 100 does not hold (120 vs 100)'
+        ]);
+    });
+
+    it('checks line-item totals and products within the tolerance', () => {
+        const items = [{ quantity: '3', unitPrice: '10.00', amount: '30.004' }];
+        assert.equal(validateResult({ ...result, items }, [{ type: 'product', factors: ['quantity', 'unitPrice'], equals: 'amount' }]).valid, true);
+
+        const report = validateResult({ ...result, items }, [
+            { type: 'sum', column: 'amount', equals: 'Total' },
+            { type: 'product', factors: ['quantity', 'unitPrice'], equals: 'amount', tolerance: 0 }
+        ]);
+        assert.deepEqual(messages(report), [
+            'Sum of line-item amount (30.004) does not equal Total (120)',
+            'Line item 1: quantity × unitPrice = 30, but amount is 30.004'
+        ]);
+    });
+
+    it('skips values that are not there to check', () => {
+        const report = validateResult({ extractedFields: {} }, [
+            { type: 'pattern', field: 'Invoice No', pattern: '^INV' },
+            { type: 'range', field: 'Total', min: 0 },
+            { type: 'compare', field: 'Total', other: 'Net' },
+            { type: 'sum', column: 'amount', equals: 'Total' }
+        ]);
+        assert.equal(report.valid, true);
+    });
+
+    it('fails rules missing what they compare against', () => {
+        const report = validateResult(result, [
+            { type: 'compare', field: 'Total' },
+            { type: 'sum', column: 'amount' },
+            { type: 'product', factors: ['quantity'] }
+        ]);
+        assert.deepEqual(messages(report), [
+            'Misconfigured compare rule for Total: needs other or value',
+            'Misconfigured sum rule for amount: needs equals',
+            'Misconfigured product rule: needs factors and equals'
+        ]);
+    });
+
+    it('keeps warnings from blocking and uses custom messages', () => {
+        const report = validateResult(result, [
+            { type: 'required', field: 'Reference', severity: 'warning', message: 'No customer reference' }
+        ]);
+        assert.equal(report.valid, true);
+        assert.equal(report.blocking, false);
+        assert.deepEqual(report.warnings, [{ rule: 'required', field: 'Reference', message: 'No customer reference' }]);
+    });
+
+    it('reports unknown rule types', () => {
+        assert.deepEqual(messages(validateResult(result, [{ type: 'checksum', field: 'Total' }])), ["Unknown validation rule type 'checksum'"]);
+    });
+});
@@ -1,24 +1,101 @@
 // AWS SDK v3 initialization
-import { TextractClient, AnalyzeDocumentCommand, StartDocumentAnalysisCommand, GetDocumentAnalysisCommand } from '@aws-sdk/client-textract';
+import {
+    TextractClient,
+    AnalyzeDocumentCommand,
+    StartDocumentAnalysisCommand,
+    GetDocumentAnalysisCommand,
+    AnalyzeExpenseCommand,
+    StartExpenseAnalysisCommand,
+    GetExpenseAnalysisCommand
+} from '@aws-sdk/client-textract';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, ScanCommand, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
-import { S3Client, HeadObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { DynamoDBDocumentClient, PutCommand, BatchWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { S3Client, HeadObjectCommand, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createDynamoCompanyStore, createMemoryCompanyStore, createFileCompanyStore } from './company-store.js';
+import { JOB_STATUS, createDynamoJobStore, createMemoryJobStore } from './job-store.js';
+import { normalizeFieldConfig, normalizeFieldValue } from './field-types.js';
+import { identifyCompany, summarizeCandidates } from './company-identification.js';
+import { classifyDocument, summarizeClassification, resolveDocumentTypeRecord } from './document-classification.js';
+import { REVIEW_STATUS, createDynamoReviewStore, createMemoryReviewStore } from './review-store.js';
+import { validateResult } from './validation.js';
+import { segmentDocument, getSegmentBlocks } from './document-segmentation.js';
+import { DOCUMENT_STATUS, createDynamoDocumentRegistry, createMemoryDocumentRegistry } from './document-registry.js';
+import { createSink } from './result-sinks.js';
+import { normalizeCompanyRecord, validateCompanyRecord, validateCompanyRecords, diffCompanyRecords } from './company-config.js';
+import {
+    resolveFieldStrategies,
+    findLabelledValue,
+    findRegexValue,
+    findAnchoredValue,
+    findTableColumnValue,
+    getQueryAlias,
+    findQueryAnswer,
+    constantValue,
+    derivedValue
+} from './field-strategies.js';
+import { findZoneValue } from './document-zones.js';
+import {
+    PROCESSING_MODES,
+    EXPENSE_LINE_ITEM_COLUMNS,
+    getProcessingMode,
+    mergeExpenseDocuments,
+    getExpensePages,
+    getExpenseKeyValueEntries,
+    getExpenseLineItemRows,
+    getExpenseText
+} from './expense-analysis.js';
 
-const textractClient = new TextractClient({});
-const s3Client = new S3Client({});
-const ddbClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(ddbClient);
+/**
+ * Builds the set of backends used by the processing functions
+ * Any client or store not supplied falls back to the default AWS implementation
+ *
+ * Overrides:
+ *   textract     - TextractClient, or any object with send(command) such as a fake Textract
+ *   s3           - S3Client, e.g. configured with an endpoint and forcePathStyle for a MinIO-style stand-in
+ *   dynamodb     - DynamoDBDocumentClient, e.g. pointed at DynamoDB Local
+ *   companyStore - company configuration store, see company-store.js (JSON/YAML files when COMPANY_CONFIG_PATH is set)
+ *   jobStore     - async job state store, see job-store.js (in-memory unless JOB_STATE_TABLE is set)
+ *   reviewStore  - human-review queue, see review-store.js (in-memory unless REVIEW_QUEUE_TABLE is set)
+ *   documentRegistry - processed-document registry, see document-registry.js (in-memory unless DOCUMENT_REGISTRY_TABLE is set)
+ *   eventbridge  - EventBridgeClient used by EventBridge result sinks
+ *   fetch        - fetch implementation used by webhook result sinks (default global fetch)
+ */
+function createTextractContext(overrides = {}) {
+    const textract = overrides.textract || new TextractClient({});
+    const s3 = overrides.s3 || new S3Client({});
+    const dynamodb = overrides.dynamodb || DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+        marshallOptions: { removeUndefinedValues: true }
+    });
+    const companyStore = overrides.companyStore
+        || (process.env.COMPANY_CONFIG_PATH ? createFileCompanyStore() : createDynamoCompanyStore({ dynamodb }));
+    const jobStore = overrides.jobStore
+        || (process.env.JOB_STATE_TABLE ? createDynamoJobStore({ dynamodb }) : createMemoryJobStore());
+    const reviewStore = overrides.reviewStore
+        || (process.env.REVIEW_QUEUE_TABLE ? createDynamoReviewStore({ dynamodb }) : createMemoryReviewStore());
+    const documentRegistry = overrides.documentRegistry
+        || (process.env.DOCUMENT_REGISTRY_TABLE ? createDynamoDocumentRegistry({ dynamodb }) : createMemoryDocumentRegistry());
+    const eventbridge = overrides.eventbridge || new EventBridgeClient({});
+    const fetch = overrides.fetch || globalThis.fetch;
+
+    return { textract, s3, dynamodb, companyStore, jobStore, reviewStore, documentRegistry, eventbridge, fetch };
+}
+
+const defaultContext = createTextractContext();
 
 /**
  * Determines the number of pages in a document
  * First checks S3 metadata, then falls back to Textract analysis
  */
-async function getPageCount(bucket, key) {
+async function getPageCount(bucket, key, context = defaultContext) {
     console.log(`Getting page count for s3://${bucket}/${key}`);
     try {
         // Try to get page count from S3 metadata first
         const headCommand = new HeadObjectCommand({ Bucket: bucket, Key: key });
-        const headData = await s3Client.send(headCommand);
+        const headData = await context.s3.send(headCommand);
         if (headData.Metadata?.['x-amz-meta-page-count']) {
             const pageCount = parseInt(headData.Metadata['x-amz-meta-page-count']);
             console.log(`Page count from S3 metadata: ${pageCount}`);
@@ -37,7 +114,7 @@ async function getPageCount(bucket, key) {
             FeatureTypes: ['LAYOUT']
         });
 
-        const data = await textractClient.send(analyzeCommand);
+        const data = await context.textract.send(analyzeCommand);
         const pageCount = data.Blocks.filter(block => block.BlockType === 'PAGE').length;
         console.log(`Page count from Textract analysis: ${pageCount}`);
         return pageCount;
@@ -49,21 +126,24 @@ async function getPageCount(bucket, key) {
 }
 
 /**
- * Retrieves all company configuration records from DynamoDB
+ * Retrieves all company configuration records from the company store
  * Contains field extraction rules for each company
+ * Records are checked against the company schema as they load; invalid ones are logged and left out
+ * rather than silently extracting nothing
  */
-async function getAllCompanyRecords() {
-    console.log('Fetching all company records from DynamoDB');
+async function getAllCompanyRecords(context = defaultContext) {
+    console.log('Fetching all company records');
     try {
-        const params = {
-            TableName: process.env.COMPANY_FIELDS_TABLE,
-            ProjectionExpression: 'company, fields, targetTables'
-        };
-        const command = new ScanCommand(params);
-        const data = await dynamodb.send(command);
-        const recordCount = data.Items?.length || 0;
-        console.log(`Retrieved ${recordCount} company records`);
-        return data.Items || [];
+        const records = await context.companyStore.listCompanies();
+        const valid = records.filter(record => {
+            const { valid, errors } = validateCompanyRecord(record);
+            if (!valid) {
+                console.error(`❌ Skipping invalid company configuration ${record.company ?? '(unnamed)'}: ${errors.join('; ')}`);
+            }
+            return valid;
+        }).map(normalizeCompanyRecord);
+        console.log(`Retrieved ${valid.length} company records${valid.length < records.length ? ` (${records.length - valid.length} invalid)` : ''}`);
+        return valid;
     } catch (error) {
         console.error('Failed to fetch company records:', error);
         throw error;
@@ -71,55 +151,609 @@ async function getAllCompanyRecords() {
 }
 
 /**
- * Starts asynchronous Textract document analysis for multi-page documents
- * Returns job ID for tracking the analysis progress
+ * Retrieves one company configuration record, or null when the company is not configured
  */
-async function startAsyncTextractJob(s3Location) {
-    console.log(`Starting async Textract job for s3://${s3Location.bucket}/${s3Location.key}`);
-    const command = new StartDocumentAnalysisCommand({
-        DocumentLocation: {
-            S3Object: {
-                Bucket: s3Location.bucket,
-                Name: s3Location.key
-            }
-        },
-        FeatureTypes: ['FORMS', 'TABLES']
+async function getCompanyRecord(company, context = defaultContext) {
+    return context.companyStore.getCompany(company);
+}
+
+/**
+ * Throws a ValidationError listing every invalid record
+ */
+function assertValidCompanyRecords(records) {
+    const validation = validateCompanyRecords(records);
+    if (!validation.valid) {
+        const problems = validation.records
+            .filter(outcome => !outcome.valid)
+            .map(outcome => `${outcome.company || 'record'}: ${outcome.errors.join('; ')}`);
+        const error = new Error(`Invalid company configuration: ${problems.join(' | ')}`);
+        error.name = 'ValidationError';
+        error.validation = validation;
+        throw error;
+    }
+}
+
+/**
+ * Validates and writes a company configuration record as a new, immutable config version
+ * Returns the stored record with its configVersion
+ */
+async function putCompanyRecord(record, context = defaultContext) {
+    assertValidCompanyRecords([record]);
+    const stored = await context.companyStore.putCompany(normalizeCompanyRecord(record));
+    console.log(`Saved company configuration: ${record.company} (version ${stored.configVersion})`);
+    return stored;
+}
+
+/**
+ * Deletes a company configuration record; its stored versions are kept
+ * Returns the deleted record, or null when the company was not configured
+ */
+async function deleteCompanyRecord(company, context = defaultContext) {
+    console.log(`Deleting company configuration: ${company}`);
+    return context.companyStore.deleteCompany(company);
+}
+
+/**
+ * Writes a set of company records after validating all of them; nothing is written if any is invalid
+ * Each written record becomes a new config version
+ * Returns { written, diff } where diff compares the records with the store before the import
+ *
+ * Options:
+ *   dryRun - validate and diff only
+ */
+async function importCompanyRecords(records, options = {}, context = defaultContext) {
+    if (!Array.isArray(records)) {
+        throw new Error('Company import expects a list of records');
+    }
+    assertValidCompanyRecords(records);
+    const diff = diffCompanyRecords(records, await context.companyStore.listCompanies());
+    if (options.dryRun) {
+        return { written: 0, diff };
+    }
+
+    // Unchanged records are skipped so an import only touches what differs
+    const changed = new Set([...diff.added, ...diff.changed.map(change => change.company)]);
+    for (const record of records.filter(record => changed.has(record.company))) {
+        await context.companyStore.putCompany(normalizeCompanyRecord(record));
+    }
+    console.log(`Imported ${changed.size} company record(s), ${diff.unchanged.length} unchanged`);
+    return { written: changed.size, diff };
+}
+
+/**
+ * Returns every company record sorted by company, ready to write as a JSON export
+ * Reads the store directly, so records failing the schema are exported too and can be fixed
+ */
+async function exportCompanyRecords(context = defaultContext) {
+    const records = await context.companyStore.listCompanies();
+    return records.sort((a, b) => a.company.localeCompare(b.company));
+}
+
+/**
+ * Compares local company records with the configured store
+ */
+async function diffCompanyConfig(records, context = defaultContext) {
+    return diffCompanyRecords(records, await context.companyStore.listCompanies());
+}
+
+/**
+ * Lists a company's config versions, newest first
+ */
+async function listCompanyVersions(company, context = defaultContext) {
+    return context.companyStore.listVersions(company);
+}
+
+/**
+ * Retrieves one config version of a company, or null when it does not exist
+ */
+async function getCompanyVersion(company, configVersion, context = defaultContext) {
+    return context.companyStore.getVersion(company, configVersion);
+}
+
+/**
+ * Fingerprints an S3 object by the sha256 of its content, plus its ETag and version
+ * The hash identifies the document regardless of bucket, key or upload
+ */
+async function fingerprintDocument(s3Location, context = defaultContext) {
+    const head = await context.s3.send(new HeadObjectCommand({
+        Bucket: s3Location.bucket,
+        Key: s3Location.key,
+        ...(s3Location.versionId && { VersionId: s3Location.versionId })
+    }));
+    const object = await context.s3.send(new GetObjectCommand({
+        Bucket: s3Location.bucket,
+        Key: s3Location.key,
+        ...(head.VersionId && { VersionId: head.VersionId })
+    }));
+
+    const hash = createHash('sha256');
+    for await (const chunk of object.Body) {
+        hash.update(chunk);
+    }
+    const fingerprint = {
+        contentHash: hash.digest('hex'),
+        etag: head.ETag ? head.ETag.replace(/"/g, '') : null,
+        versionId: head.VersionId || s3Location.versionId || null,
+        size: head.ContentLength ?? null
+    };
+    console.log(`Fingerprint for s3://${s3Location.bucket}/${s3Location.key}: sha256 ${fingerprint.contentHash}`);
+    return fingerprint;
+}
+
+/**
+ * Returns how long a document may stay PROCESSING before another run can claim it, in milliseconds
+ * A run that timed out or ran out of memory never records its outcome, so its entry would otherwise block the document
+ */
+function getProcessingTimeout() {
+    return Number(process.env.DOCUMENT_PROCESSING_TIMEOUT_SECONDS || 3600) * 1000;
+}
+
+/**
+ * Whether a registry entry is PROCESSING for longer than the processing timeout
+ */
+function isStaleProcessing(document, now = Date.now()) {
+    if (document.status !== DOCUMENT_STATUS.PROCESSING) return false;
+    const startedAt = Date.parse(document.processingStartedAt || document.firstSeenAt);
+    return Number.isNaN(startedAt) || now - startedAt > getProcessingTimeout();
+}
+
+/**
+ * Decides whether a document needs processing, using the document registry
+ * Returns { action, reason, documentId, fingerprint, document }, where action is:
+ *   process   - new content, a forced run, or a retry after a failed or timed-out run
+ *   skip      - this object was already processed (or is being processed), e.g. a retried S3 event
+ *   duplicate - the same content was uploaded under another key; linked to the original document
+ * Retries claim the entry conditionally, so of two concurrent retries only one processes the document
+ */
+async function checkDocumentIdempotency(s3Location, options = {}, context = defaultContext) {
+    const fingerprint = await fingerprintDocument(s3Location, context);
+    const documentId = getDocumentId({ ...s3Location, contentHash: fingerprint.contentHash });
+    const upload = {
+        bucket: s3Location.bucket,
+        key: s3Location.key,
+        etag: fingerprint.etag,
+        versionId: fingerprint.versionId
+    };
+
+    const { created, document } = await context.documentRegistry.registerDocument({
+        contentHash: fingerprint.contentHash,
+        documentId,
+        ...upload,
+        size: fingerprint.size,
+        status: DOCUMENT_STATUS.PROCESSING,
+        processingStartedAt: new Date().toISOString()
+    });
+    if (created) {
+        return { action: 'process', reason: 'new document', documentId, fingerprint, document };
+    }
+
+    const sameObject = document.bucket === s3Location.bucket && document.key === s3Location.key;
+    let original = document;
+    if (!sameObject) {
+        original = await context.documentRegistry.addDuplicate(fingerprint.contentHash, { ...upload, seenAt: new Date().toISOString() });
+        console.log(`s3://${s3Location.bucket}/${s3Location.key} duplicates s3://${document.bucket}/${document.key}`);
+    }
+
+    const stale = isStaleProcessing(document);
+    if (options.force || document.status === DOCUMENT_STATUS.FAILED || stale) {
+        const reason = options.force ? 'forced' : stale ? 'previous run timed out' : 'previous run failed';
+        try {
+            const updated = await context.documentRegistry.updateDocument(fingerprint.contentHash, {
+                status: DOCUMENT_STATUS.PROCESSING,
+                processingStartedAt: new Date().toISOString(),
+                attempts: (document.attempts || 1) + 1
+            }, options.force ? {} : { status: document.status, processingStartedAt: document.processingStartedAt ?? null });
+            console.log(`Reprocessing ${documentId}: ${reason}`);
+            return { action: 'process', reason, documentId, fingerprint, document: updated };
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+            console.log(`Skipping ${documentId}: another run claimed it first`);
+            return { action: 'skip', reason: 'already being processed', documentId, fingerprint, document };
+        }
+    }
+    if (!sameObject) {
+        return { action: 'duplicate', reason: `same content as s3://${document.bucket}/${document.key}`, documentId, fingerprint, document: original };
+    }
+    const reason = document.status === DOCUMENT_STATUS.PROCESSING ? 'already being processed' : 'already processed';
+    console.log(`Skipping ${documentId}: ${reason}`);
+    return { action: 'skip', reason, documentId, fingerprint, document };
+}
+
+/**
+ * Records the outcome of processing in the document registry
+ * Recording PROCESSING (e.g. once an async job started) restarts the processing timeout
+ * A no-op for locations without a content hash, e.g. local runs that skipped fingerprinting
+ */
+async function recordDocumentStatus(s3Location, status, details = {}, context = defaultContext) {
+    if (!s3Location?.contentHash) return null;
+    const timestamp = status === DOCUMENT_STATUS.FAILED ? 'failedAt'
+        : status === DOCUMENT_STATUS.PROCESSING ? 'processingStartedAt'
+            : 'updatedAt';
+    return context.documentRegistry.updateDocument(s3Location.contentHash, {
+        status,
+        ...details,
+        [timestamp]: new Date().toISOString()
     });
-    const response = await textractClient.send(command);
+}
+
+/**
+ * Returns the SNS notification channel for async Textract jobs, if configured
+ * Textract publishes job completion to TEXTRACT_SNS_TOPIC_ARN using TEXTRACT_SNS_ROLE_ARN
+ */
+function getNotificationChannel() {
+    const { TEXTRACT_SNS_TOPIC_ARN, TEXTRACT_SNS_ROLE_ARN } = process.env;
+    if (!TEXTRACT_SNS_TOPIC_ARN || !TEXTRACT_SNS_ROLE_ARN) return null;
+    return { SNSTopicArn: TEXTRACT_SNS_TOPIC_ARN, RoleArn: TEXTRACT_SNS_ROLE_ARN };
+}
+
+/**
+ * Starts asynchronous Textract document analysis for multi-page documents
+ * Expense-mode documents start an expense analysis instead (no queries)
+ * Records the job as PENDING, with its mode, in the job store and returns its ID
+ *
+ * Options:
+ *   mode           - 'document' or 'expense'; chosen from EXPENSE_KEY_PREFIXES by default
+ *   queriesConfig  - Textract QueriesConfig to ask (null for none); built from the company records by default
+ *   companyRecords - preloaded company configurations the queries are built from
+ */
+async function startAsyncTextractJob(s3Location, options = {}, context = defaultContext) {
+    const mode = options.mode || getProcessingMode(s3Location);
+    console.log(`Starting async Textract ${mode} job for s3://${s3Location.bucket}/${s3Location.key}`);
+    const notificationChannel = getNotificationChannel();
+    const documentLocation = {
+        S3Object: {
+            Bucket: s3Location.bucket,
+            Name: s3Location.key
+        }
+    };
+    const command = mode === PROCESSING_MODES.EXPENSE
+        ? new StartExpenseAnalysisCommand({
+            DocumentLocation: documentLocation,
+            ...(notificationChannel && { NotificationChannel: notificationChannel })
+        })
+        : new StartDocumentAnalysisCommand({
+            DocumentLocation: documentLocation,
+            ...getAnalysisFeatures(await resolveQueriesConfig(options, MAX_QUERIES.async, context)),
+            ...(notificationChannel && { NotificationChannel: notificationChannel })
+        });
+    const response = await context.textract.send(command);
     console.log(`Async Textract job started with ID: ${response.JobId}`);
+
+    await context.jobStore.createJob({
+        jobId: response.JobId,
+        status: JOB_STATUS.PENDING,
+        mode,
+        bucket: s3Location.bucket,
+        key: s3Location.key,
+        contentHash: s3Location.contentHash || null,
+        notified: Boolean(notificationChannel),
+        nextToken: null,
+        batchCount: 0
+    });
     return response.JobId;
 }
 
+/**
+ * Builds the Get*Analysis command matching a job's processing mode
+ */
+function getAnalysisResultsCommand(mode, params) {
+    return mode === PROCESSING_MODES.EXPENSE
+        ? new GetExpenseAnalysisCommand(params)
+        : new GetDocumentAnalysisCommand(params);
+}
+
 /**
  * Retrieves results from an asynchronous Textract job
  * Handles pagination with nextToken for large documents
+ *
+ * Options:
+ *   mode - the job's processing mode; expense jobs are read with GetExpenseAnalysis
  */
-async function getAsyncResults(jobId, nextToken) {
+async function getAsyncResults(jobId, nextToken, options = {}, context = defaultContext) {
     console.log(`Getting async results for job: ${jobId}${nextToken ? ` with token: ${nextToken}` : ''}`);
-    const params = { JobId: jobId };
+    const params = { JobId: jobId, MaxResults: options.mode === PROCESSING_MODES.EXPENSE ? 20 : 1000 };
     if (nextToken) params.NextToken = nextToken;
-    const command = new GetDocumentAnalysisCommand(params);
-    const response = await textractClient.send(command);
-    console.log(`Job status: ${response.JobStatus}, Blocks received: ${response.Blocks?.length || 0}`);
+    const response = await context.textract.send(getAnalysisResultsCommand(options.mode, params));
+    if (response.ExpenseDocuments) {
+        console.log(`Job status: ${response.JobStatus}, Expense documents received: ${response.ExpenseDocuments.length}`);
+    } else {
+        console.log(`Job status: ${response.JobStatus}, Blocks received: ${response.Blocks?.length || 0}`);
+    }
     return response;
 }
 
 /**
- * Searches for company name matches within page text
- * Returns the first matching company record
+ * Polls an async Textract job until it leaves IN_PROGRESS
+ * Fallback for environments without an SNS notification channel
+ *
+ * Options:
+ *   mode - the job's processing mode; expense jobs are polled with GetExpenseAnalysis
  */
-function findMatchingCompanyInPage(pageText, companyRecords) {
-    console.log('Searching for company matches in page text');
-    const normalizedText = pageText.toLowerCase();
-    const matchedCompany = companyRecords.find(company => 
-        normalizedText.includes(company.company.toLowerCase())
-    );
-    if (matchedCompany) {
-        console.log(`Found matching company: ${matchedCompany.company}`);
+async function waitForJobCompletion(jobId, options = {}, context = defaultContext) {
+    const timeoutMs = options.timeoutMs ?? 10 * 60 * 1000;
+    const maxDelayMs = options.maxDelayMs ?? 15000;
+    const startedAt = Date.now();
+    let delayMs = options.initialDelayMs ?? 2000;
+
+    while (true) {
+        const response = await context.textract.send(getAnalysisResultsCommand(options.mode, { JobId: jobId, MaxResults: 1 }));
+        if (response.JobStatus !== 'IN_PROGRESS') {
+            console.log(`Textract job ${jobId} finished with status ${response.JobStatus}`);
+            return response;
+        }
+        if (Date.now() - startedAt + delayMs > timeoutMs) {
+            throw new Error(`Timed out waiting for Textract job ${jobId}`);
+        }
+        console.log(`Textract job ${jobId} still in progress, checking again in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        delayMs = Math.min(delayMs * 2, maxDelayMs);
+    }
+}
+
+/**
+ * Returns the S3 key under which a collected result batch is stored
+ * Batches are written next to the source document under TEXTRACT_RESULTS_PREFIX
+ */
+function getJobBatchKey(jobId, batchNumber) {
+    const prefix = process.env.TEXTRACT_RESULTS_PREFIX || 'textract-results/';
+    return `${prefix}${jobId}/batch-${String(batchNumber).padStart(4, '0')}.json`;
+}
+
+/**
+ * Returns the S3 key under which a job's processed results are stored, beside its batches
+ */
+function getJobResultsKey(jobId) {
+    const prefix = process.env.TEXTRACT_RESULTS_PREFIX || 'textract-results/';
+    return `${prefix}${jobId}/results.json`;
+}
+
+/**
+ * Reduces a publishResults report to the counts kept in a job record
+ * Job records are DynamoDB items, limited to 400KB, so per-row errors and skipped pages are left out
+ */
+function summarizeStorage(storage) {
+    return {
+        written: storage.written,
+        stale: storage.stale,
+        failed: storage.failed,
+        skipped: storage.skipped.length,
+        tables: Object.fromEntries(Object.entries(storage.tables).map(([tableName, { written, stale, failed }]) => [tableName, { written, stale, failed }])),
+        sinks: storage.sinks.map(({ name, type, company, delivered, failed }) => ({ name, type, company, delivered, failed })),
+        sinkFailures: storage.sinkFailures
+    };
+}
+
+/**
+ * Collects the paginated results of a finished Textract job into S3
+ * Persists the NextToken after every batch so an interrupted run resumes where it stopped
+ *
+ * Options:
+ *   shouldStop - called between batches, returning true saves progress and stops (e.g. Lambda time running out)
+ * Returns { complete, job }
+ */
+async function collectJobResults(jobId, options = {}, context = defaultContext) {
+    let job = await context.jobStore.getJob(jobId);
+    if (!job) {
+        throw new Error(`Unknown Textract job: ${jobId}`);
+    }
+    console.log(`Collecting results for job ${jobId}, resuming after batch ${job.batchCount}`);
+
+    let nextToken = job.nextToken;
+    let batchCount = job.batchCount || 0;
+    let textractStatus = job.textractStatus;
+    let warnings = job.warnings || [];
+
+    do {
+        if (batchCount > 0 && !nextToken) break;
+        if (options.shouldStop?.()) {
+            console.warn(`Stopping collection of job ${jobId} after batch ${batchCount}, progress saved`);
+            return { complete: false, job };
+        }
+
+        const response = await getAsyncResults(jobId, nextToken, { mode: job.mode }, context);
+        if (response.JobStatus === 'IN_PROGRESS') {
+            throw new Error(`Textract job ${jobId} has not finished yet`);
+        }
+        if (response.JobStatus === 'FAILED') {
+            throw new Error(`Textract job ${jobId} failed: ${response.StatusMessage || 'no status message'}`);
+        }
+
+        batchCount++;
+        await context.s3.send(new PutObjectCommand({
+            Bucket: job.bucket,
+            Key: getJobBatchKey(jobId, batchCount),
+            Body: JSON.stringify(response),
+            ContentType: 'application/json'
+        }));
+
+        nextToken = response.NextToken || null;
+        textractStatus = response.JobStatus;
+        warnings = [...warnings, ...(response.Warnings || []).map(warning => warning.ErrorCode)];
+        job = await context.jobStore.updateJob(jobId, { nextToken, batchCount, textractStatus, warnings });
+        console.log(`Stored batch ${batchCount} of job ${jobId}${nextToken ? ', more batches pending' : ''}`);
+    } while (nextToken);
+
+    return { complete: true, job };
+}
+
+/**
+ * Loads the result batches collected for a job back from S3
+ * The returned responses can be passed to processMultiPageDocument as a replay source
+ */
+async function loadJobBatches(job, context = defaultContext) {
+    const batches = [];
+    for (let batchNumber = 1; batchNumber <= job.batchCount; batchNumber++) {
+        const data = await context.s3.send(new GetObjectCommand({
+            Bucket: job.bucket,
+            Key: getJobBatchKey(job.jobId, batchNumber)
+        }));
+        batches.push(JSON.parse(await data.Body.transformToString()));
+    }
+    return batches;
+}
+
+/**
+ * Drives a finished Textract job to a final state
+ * Collects results (resumably), processes all pages, publishes approved results and records the outcome in the job store
+ * The full results are written to S3 (see getJobResultsKey); the job record keeps counts, review IDs and that location
+ *
+ * Options:
+ *   textractStatus - status reported by the completion notification
+ *   companyRecords - preloaded company configurations
+ *   shouldStop     - see collectJobResults
+ * Returns the job record, whose status stays IN_PROGRESS if collection was interrupted
+ */
+async function completeTextractJob(jobId, options = {}, context = defaultContext) {
+    const job = await context.jobStore.getJob(jobId);
+    if (!job) {
+        throw new Error(`Unknown Textract job: ${jobId}`);
+    }
+    if ([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.PARTIAL_SUCCESS].includes(job.status)) {
+        console.log(`Job ${jobId} already completed with status ${job.status}, skipping`);
+        return job;
+    }
+
+    if (options.textractStatus && !['SUCCEEDED', 'PARTIAL_SUCCESS'].includes(options.textractStatus)) {
+        console.error(`Textract reported job ${jobId} as ${options.textractStatus}`);
+        await recordDocumentStatus(
+            { contentHash: job.contentHash },
+            DOCUMENT_STATUS.FAILED,
+            { jobId, error: `Textract job ended with status ${options.textractStatus}` },
+            context
+        );
+        return context.jobStore.updateJob(jobId, {
+            status: JOB_STATUS.FAILED,
+            textractStatus: options.textractStatus,
+            error: `Textract job ended with status ${options.textractStatus}`
+        });
+    }
+
+    await context.jobStore.updateJob(jobId, { status: JOB_STATUS.IN_PROGRESS });
+    try {
+        const { complete, job: collectedJob } = await collectJobResults(jobId, options, context);
+        if (!complete) {
+            return collectedJob;
+        }
+
+        const s3Location = { bucket: collectedJob.bucket, key: collectedJob.key, contentHash: collectedJob.contentHash };
+        const companyRecords = options.companyRecords || await getAllCompanyRecords(context);
+        const batches = await loadJobBatches(collectedJob, context);
+        const results = await processMultiPageDocument(s3Location, companyRecords, { replay: batches, mode: job.mode }, context);
+
+        const review = await queueResultsForReview(results, s3Location, context);
+        const resultsLocation = { bucket: collectedJob.bucket, key: getJobResultsKey(jobId) };
+        await context.s3.send(new PutObjectCommand({
+            Bucket: resultsLocation.bucket,
+            Key: resultsLocation.key,
+            Body: JSON.stringify(results),
+            ContentType: 'application/json'
+        }));
+
+        // The job's start time versions its rows, so a late retry of an older job can't overwrite newer results
+        const storage = await publishResults(
+            results,
+            s3Location,
+            { conditional: true, version: Date.parse(collectedJob.createdAt) || Date.now(), resultsLocation },
+            context
+        );
+        const publishFailed = storage.failed > 0 || storage.sinkFailures > 0;
+        const partial = collectedJob.textractStatus === 'PARTIAL_SUCCESS' || collectedJob.warnings?.length > 0 || publishFailed;
+        console.log(`Job ${jobId} processed: ${results.length} result(s)${partial ? ' with warnings' : ''}`);
+        await recordDocumentStatus(
+            s3Location,
+            publishFailed ? DOCUMENT_STATUS.FAILED : DOCUMENT_STATUS.PROCESSED,
+            { jobId, resultsCount: results.length },
+            context
+        );
+        return context.jobStore.updateJob(jobId, {
+            status: partial ? JOB_STATUS.PARTIAL_SUCCESS : JOB_STATUS.SUCCEEDED,
+            resultsCount: results.length,
+            resultsLocation,
+            review,
+            storage: summarizeStorage(storage)
+        });
+    } catch (error) {
+        console.error(`Error completing job ${jobId}:`, error);
+        await context.jobStore.updateJob(jobId, { status: JOB_STATUS.FAILED, error: error.message });
+        await recordDocumentStatus(
+            { contentHash: job.contentHash },
+            DOCUMENT_STATUS.FAILED,
+            { jobId, error: error.message },
+            context
+        );
+        throw error;
+    }
+}
+
+/**
+ * Loads recorded Textract responses for offline replay
+ * Accepts a saved JSON file, a directory of paginated JSON files, an array of paths or parsed responses
+ */
+function loadTextractResponses(source) {
+    if (!source) {
+        throw new Error('Replay source is required');
+    }
+
+    if (Array.isArray(source)) {
+        return source.flatMap(entry => loadTextractResponses(entry));
+    }
+
+    if (typeof source === 'object') {
+        if (!Array.isArray(source.Blocks) && !Array.isArray(source.ExpenseDocuments)) {
+            throw new Error('Recorded Textract response has no Blocks or ExpenseDocuments array');
+        }
+        return [source];
+    }
+
+    const sourcePath = path.resolve(source);
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Replay source not found: ${source}`);
+    }
+
+    if (fs.statSync(sourcePath).isDirectory()) {
+        // Paginated GetDocumentAnalysis output, one file per NextToken batch, replayed in name order
+        const files = fs.readdirSync(sourcePath)
+            .filter(file => file.toLowerCase().endsWith('.json'))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        console.log(`Replaying ${files.length} recorded response file(s) from ${sourcePath}`);
+        return files.flatMap(file => loadTextractResponses(path.join(sourcePath, file)));
+    }
+
+    console.log(`Replaying recorded Textract response: ${sourcePath}`);
+    const parsed = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+    return loadTextractResponses(parsed);
+}
+
+/**
+ * Combines paginated Textract responses into a single response
+ * Blocks are concatenated in order, metadata is taken from the first response;
+ * expense responses also get their ExpenseDocuments merged (see mergeExpenseDocuments)
+ */
+function mergeTextractResponses(responses) {
+    const isExpense = responses.some(response => Array.isArray(response.ExpenseDocuments));
+    return {
+        ...responses[0],
+        Blocks: responses.flatMap(response => response.Blocks || []),
+        ...(isExpense && { ExpenseDocuments: mergeExpenseDocuments(responses) }),
+        NextToken: undefined
+    };
+}
+
+/**
+ * Searches for company matches within a page (text or the page's LINE blocks)
+ * Returns the best-scoring company record, or undefined when there is no clear winner
+ */
+function findMatchingCompanyInPage(page, companyRecords, options = {}) {
+    console.log('Searching for company matches in page');
+    const identification = identifyCompany(page, companyRecords, options);
+    if (identification.status === 'matched') {
+        console.log(`Found matching company: ${identification.record.company} (confidence ${identification.confidence})`);
+    } else if (identification.status === 'ambiguous') {
+        console.warn('Ambiguous company match in this page:', summarizeCandidates(identification.candidates));
     } else {
         console.log('No company match found in this page');
     }
-    return matchedCompany;
+    return identification.record || undefined;
 }
 
 /**
@@ -128,54 +762,39 @@ function findMatchingCompanyInPage(pageText, companyRecords) {
  */
 function extractTextFromPage(blocks, pageId) {
     console.log(`Extracting text from page ID: ${pageId}`);
-    const pageBlocks = blocks.filter(block => 
-        block.BlockType === 'LINE' && 
-        block.Relationships?.some(rel => 
-            rel.Type === 'CHILD' && rel.Ids.includes(pageId)
-        )
-    );
+    const pageBlocks = getPageBlocks(blocks, pageId).filter(block => block.BlockType === 'LINE');
     const extractedText = pageBlocks.map(block => block.Text).join('\n');
     console.log(`Extracted ${pageBlocks.length} text lines from page`);
     return extractedText;
 }
 
+/**
+ * Selects the blocks belonging to a specific page
+ * Blocks carry their page number, so the PAGE block's number selects the rest
+ */
+function getPageBlocks(blocks, pageId) {
+    const pageBlock = blocks.find(block => block.Id === pageId);
+    return getSegmentBlocks(blocks, [pageBlock?.Page || 1]);
+}
+
 /**
  * Extracts specific fields from a page using key-value pairs and pattern matching
  * Returns extracted field values for the given page
  */
 function extractFieldsFromPage(blocks, pageId, fieldsToExtract) {
-    console.log(`Extracting fields from page ${pageId}:`, fieldsToExtract);
-    const pageBlocks = blocks.filter(block => 
-        block.Page === pageId || 
-        block.Relationships?.some(rel => rel.Ids.includes(pageId))
-    );
-    
-    const keyValuePairs = extractKeyValuePairs(pageBlocks);
-    const results = {};
-    
-    for (const field of fieldsToExtract) {
-        results[field] = keyValuePairs[field] || extractFieldByPattern(pageBlocks, field);
-        console.log(`Field '${field}': ${results[field] || 'not found'}`);
-    }
-    
-    return results;
+    console.log(`Extracting fields from page ${pageId}`);
+    return extractFields(getPageBlocks(blocks, pageId), fieldsToExtract);
 }
 
 /**
  * Retrieves target database tables for a specific company
  * Used to determine where to store extracted data
  */
-async function getTargetTablesForCompany(company) {
+async function getTargetTablesForCompany(company, context = defaultContext) {
     console.log(`Getting target tables for company: ${company}`);
     try {
-        const params = {
-            TableName: process.env.COMPANY_FIELDS_TABLE,
-            Key: { company },
-            ProjectionExpression: 'targetTables'
-        };
-        const command = new GetCommand(params);
-        const data = await dynamodb.send(command);
-        const targetTables = data.Item?.targetTables || [];
+        const record = await context.companyStore.getCompany(company);
+        const targetTables = record?.targetTables || [];
         console.log(`Target tables for ${company}:`, targetTables);
         return targetTables;
     } catch (error) {
@@ -184,12 +803,67 @@ async function getTargetTablesForCompany(company) {
     }
 }
 
+// Textract's limits on queries per request
+const MAX_QUERIES = { sync: 15, async: 30 };
+
+/**
+ * Collects the Textract queries declared by query strategies across the company records
+ * The company is only known after analysis, so every company's queries are asked; identical queries are asked once
+ * Returns a QueriesConfig, or null when no company declares a query
+ *
+ * Options:
+ *   maxQueries - queries allowed in one request; the rest are dropped with a warning
+ */
+function buildQueriesConfig(companyRecords, options = {}) {
+    const queries = new Map();
+    for (const record of companyRecords) {
+        for (const field of (record.fields || []).map(normalizeFieldConfig)) {
+            for (const strategy of resolveFieldStrategies(field).filter(candidate => candidate.type === 'query')) {
+                const alias = getQueryAlias(field, strategy);
+                const query = { Text: strategy.text, Alias: alias, ...(strategy.pages && { Pages: strategy.pages.map(String) }) };
+                queries.set(`${alias}\u0000${strategy.text}`, query);
+            }
+        }
+    }
+    if (queries.size === 0) return null;
+
+    let list = [...queries.values()];
+    if (options.maxQueries && list.length > options.maxQueries) {
+        console.warn(`❌ ${list.length} Textract queries configured, only the first ${options.maxQueries} are asked: dropping ${list.slice(options.maxQueries).map(query => query.Alias).join(', ')}`);
+        list = list.slice(0, options.maxQueries);
+    }
+    return { Queries: list };
+}
+
+/**
+ * Returns the queries to ask: options.queriesConfig when given, otherwise built from the company records
+ */
+async function resolveQueriesConfig(options, maxQueries, context) {
+    if (options.queriesConfig !== undefined) return options.queriesConfig;
+    const companyRecords = options.companyRecords || await getAllCompanyRecords(context);
+    return buildQueriesConfig(companyRecords, { maxQueries });
+}
+
+/**
+ * Builds the FeatureTypes (and QueriesConfig, when there are queries) for an analysis request
+ */
+function getAnalysisFeatures(queriesConfig) {
+    return queriesConfig
+        ? { FeatureTypes: ['FORMS', 'TABLES', 'QUERIES'], QueriesConfig: queriesConfig }
+        : { FeatureTypes: ['FORMS', 'TABLES'] };
+}
+
 /**
  * Performs synchronous Textract analysis on a document
- * Used for single-page documents to extract forms and tables
+ * Used for single-page documents to extract forms and tables, plus the companies' Textract queries
+ *
+ * Options:
+ *   queriesConfig  - Textract QueriesConfig to ask (null for none); built from the company records by default
+ *   companyRecords - preloaded company configurations the queries are built from
  */
-async function analyzeDocument(s3Location) {
+async function analyzeDocument(s3Location, options = {}, context = defaultContext) {
     console.log(`Analyzing document: s3://${s3Location.bucket}/${s3Location.key}`);
+    const queriesConfig = await resolveQueriesConfig(options, MAX_QUERIES.sync, context);
     const command = new AnalyzeDocumentCommand({
         Document: {
             S3Object: {
@@ -197,11 +871,11 @@ async function analyzeDocument(s3Location) {
                 Name: s3Location.key
             }
         },
-        FeatureTypes: ['FORMS', 'TABLES']
+        ...getAnalysisFeatures(queriesConfig)
     });
 
     try {
-        const data = await textractClient.send(command);
+        const data = await context.textract.send(command);
         console.log(`Document analysis completed. Blocks found: ${data.Blocks?.length || 0}`);
         return data;
     } catch (error) {
@@ -210,6 +884,31 @@ async function analyzeDocument(s3Location) {
     }
 }
 
+/**
+ * Performs synchronous Textract expense analysis on an invoice or receipt
+ * Returns the AnalyzeExpense response: ExpenseDocuments with SummaryFields, LineItemGroups and Blocks
+ */
+async function analyzeExpense(s3Location, context = defaultContext) {
+    console.log(`Analyzing expense: s3://${s3Location.bucket}/${s3Location.key}`);
+    const command = new AnalyzeExpenseCommand({
+        Document: {
+            S3Object: {
+                Bucket: s3Location.bucket,
+                Name: s3Location.key
+            }
+        }
+    });
+
+    try {
+        const data = await context.textract.send(command);
+        console.log(`Expense analysis completed. Expense documents found: ${data.ExpenseDocuments?.length || 0}`);
+        return data;
+    } catch (error) {
+        console.error('Error in analyzeExpense:', error);
+        throw error;
+    }
+}
+
 /**
  * Extracts all text content from Textract blocks
  * Filters for LINE blocks and joins them with newlines
@@ -221,10 +920,10 @@ function extractText(blocks) {
 }
 
 /**
- * Extracts key-value pairs from Textract form blocks
- * Maps keys to their corresponding values using block relationships
+ * Extracts key-value entries from Textract form blocks, keeping Textract's confidence
+ * Confidence is the lower of the KEY and VALUE block confidences (0-100)
  */
-function extractKeyValuePairs(blocks) {
+function extractKeyValueEntries(blocks) {
     console.log('Extracting key-value pairs from blocks');
     const keyMap = {};
     const valueMap = {};
@@ -246,7 +945,7 @@ function extractKeyValuePairs(blocks) {
     console.log(`Found ${Object.keys(keyMap).length} keys and ${Object.keys(valueMap).length} values`);
 
     // Match keys with their corresponding values
-    const keyValues = {};
+    const entries = {};
     for (const keyBlockId in keyMap) {
         const keyBlock = keyMap[keyBlockId];
         const keyText = getTextForBlock(keyBlock, blockMap);
@@ -257,7 +956,11 @@ function extractKeyValuePairs(blocks) {
                     for (const valueId of rel.Ids) {
                         const valueBlock = valueMap[valueId];
                         const valueText = getTextForBlock(valueBlock, blockMap);
-                        keyValues[keyText] = valueText;
+                        const confidences = [keyBlock.Confidence, valueBlock?.Confidence].filter(value => value !== undefined);
+                        entries[keyText] = {
+                            value: valueText,
+                            confidence: confidences.length ? Math.min(...confidences) : null
+                        };
                         console.log(`Mapped key-value: '${keyText}' -> '${valueText}'`);
                     }
                 }
@@ -265,7 +968,16 @@ function extractKeyValuePairs(blocks) {
         }
     }
 
-    return keyValues;
+    return entries;
+}
+
+/**
+ * Extracts key-value pairs from Textract form blocks
+ * Maps keys to their corresponding values using block relationships
+ */
+function extractKeyValuePairs(blocks) {
+    const entries = extractKeyValueEntries(blocks);
+    return Object.fromEntries(Object.entries(entries).map(([key, entry]) => [key, entry.value]));
 }
 
 /**
@@ -273,7 +985,7 @@ function extractKeyValuePairs(blocks) {
  * Handles both WORD blocks and SELECTION_ELEMENT blocks (checkboxes)
  */
 function getTextForBlock(block, blockMap) {
-    if (!block.Relationships) return '';
+    if (!block?.Relationships) return '';
     const texts = [];
 
     for (const rel of block.Relationships) {
@@ -295,100 +1007,885 @@ function getTextForBlock(block, blockMap) {
 
 /**
  * Extracts field values using pattern matching when key-value pairs fail
- * Searches for field names followed by common separators (: - =)
+ * Finds the field name as whole words followed by a separator (: = # or a dash) and returns the rest of the line
+ * in its original case; separators inside the value, as in 2024-01-05, are kept
  */
 function extractFieldByPattern(blocks, fieldName) {
     console.log(`Attempting pattern extraction for field: ${fieldName}`);
-    const text = extractText(blocks).toLowerCase();
-    const lines = text.split('\n');
-
-    for (const line of lines) {
-        if (line.includes(fieldName.toLowerCase())) {
-            const parts = line.split(/:|-|=/);
-            if (parts.length > 1) {
-                const extractedValue = parts.slice(1).join(':').trim();
-                console.log(`Pattern match found for '${fieldName}': ${extractedValue}`);
-                return extractedValue;
-            }
-        }
+    const match = findLabelledValue(blocks.filter(block => block.BlockType === 'LINE' && block.Text), fieldName);
+    if (match) {
+        console.log(`Pattern match found for '${fieldName}': ${match.value}`);
+        return match.value;
     }
     console.log(`No pattern match found for field: ${fieldName}`);
     return null;
 }
 
 /**
- * Identifies the company from document text and returns associated field extraction rules
- * Searches document text for company name matches
+ * Logs the detected document type, and whether the company configures it or its default applies
+ */
+function logClassification(classification, record) {
+    if (!classification.type) {
+        console.log(`Document type not detected (${classification.status})`);
+        return;
+    }
+    const configured = Boolean(record?.documentTypes?.[classification.type]);
+    console.log(`Document type: ${classification.type} (confidence ${classification.confidence})${record ? `, using the ${configured ? classification.type : 'default'} configuration` : ''}`);
+}
+
+/**
+ * Identifies the company from a document and returns associated field extraction rules
+ * Accepts document text or Textract blocks; blocks enable header-region weighting
+ * The document type is classified too, and the company's configuration for that type (or its default) is used
+ * Returns identification status ('matched', 'ambiguous' or 'none'), confidence and ranked candidates,
+ * plus documentType and its classification summary
  */
-async function identifyCompanyAndFields(documentText) {
-    console.log('Identifying company from document text');
-    const companyRecords = await getAllCompanyRecords();
-    const lowerText = documentText.toLowerCase();
+async function identifyCompanyAndFields(document, companyRecords, context = defaultContext) {
+    console.log('Identifying company from document');
+    companyRecords = companyRecords || await getAllCompanyRecords(context);
+    const identification = identifyCompany(document, companyRecords);
+    const candidates = summarizeCandidates(identification.candidates);
+    const classification = classifyDocument(document, identification.record);
+    const record = resolveDocumentTypeRecord(identification.record, classification.type);
 
-    for (const record of companyRecords) {
-        if (lowerText.includes(record.company.toLowerCase())) {
-            console.log(`Company identified: ${record.company}`);
-            console.log(`Fields to extract:`, record.fields);
-            return {
-                company: record.company,
-                fieldsToExtract: record.fields
-            };
-        }
+    if (record) {
+        console.log(`Company identified: ${record.company} (confidence ${identification.confidence})`);
+        console.log(`Fields to extract:`, record.fields);
+    } else if (identification.status === 'ambiguous') {
+        console.warn('Company identification ambiguous:', candidates);
+    } else {
+        console.log('No company identified in document');
     }
+    logClassification(classification, record);
 
-    console.log('No company identified in document text');
     return {
-        company: null,
-        fieldsToExtract: []
+        company: record?.company || null,
+        record,
+        fieldsToExtract: record?.fields || [],
+        lineItemSchema: record?.lineItems,
+        status: identification.status,
+        confidence: identification.confidence,
+        candidates,
+        documentType: classification.type,
+        classification: summarizeClassification(classification)
     };
 }
 
+/**
+ * Normalizes a form key for comparison
+ * Ignores case, punctuation and spacing so 'Deliver to:' and 'DELIVER  TO' compare equal
+ */
+function normalizeKey(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ */
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Looks up a field's value in the key-value pairs using its name and aliases
+ * Tries exact keys, then normalized keys, then (if enabled) fuzzy matches above the threshold
+ *
+ * Field match policy (field.match):
+ *   normalize - compare normalized keys (default true)
+ *   fuzzy     - allow edit-distance matching (default false)
+ *   threshold - minimum similarity for fuzzy matches, 1 - distance / length (default 0.8)
+ * Returns { key, value, method, score } or null
+ */
+function findKeyValue(keyValuePairs, field) {
+    const config = normalizeFieldConfig(field);
+    const policy = { normalize: true, fuzzy: false, threshold: 0.8, ...config.match };
+    const candidates = [config.name, ...(config.aliases || [])];
+    const keys = Object.keys(keyValuePairs).filter(key => keyValuePairs[key]);
+
+    for (const candidate of candidates) {
+        if (keyValuePairs[candidate]) {
+            return { key: candidate, value: keyValuePairs[candidate], method: 'exact', score: 1 };
+        }
+    }
+
+    if (!policy.normalize && !policy.fuzzy) return null;
+    const normalizedCandidates = candidates.map(normalizeKey).filter(Boolean);
+
+    if (policy.normalize) {
+        const key = keys.find(key => normalizedCandidates.includes(normalizeKey(key)));
+        if (key) return { key, value: keyValuePairs[key], method: 'normalized', score: 1 };
+    }
+
+    if (policy.fuzzy) {
+        let best = null;
+        for (const key of keys) {
+            const normalizedKey = normalizeKey(key);
+            for (const candidate of normalizedCandidates) {
+                const length = Math.max(normalizedKey.length, candidate.length);
+                const score = 1 - levenshteinDistance(normalizedKey, candidate) / length;
+                if (score >= policy.threshold && (!best || score > best.score)) {
+                    best = { key, value: keyValuePairs[key], method: 'fuzzy', score: Number(score.toFixed(3)) };
+                }
+            }
+        }
+        return best;
+    }
+
+    return null;
+}
+
+/**
+ * Tags a strategy helper's match with the strategy type as its source
+ */
+function withSource(match, strategy) {
+    return match && { score: null, ...match, source: strategy.type };
+}
+
+/**
+ * Runs one extraction strategy for a field against the document's lines, form pairs and tables
+ * Returns { key, value, method, score, source, confidence } or null
+ */
+function runFieldStrategy(strategy, field, sources) {
+    switch (strategy.type) {
+        case 'keyValue': {
+            const match = findKeyValue(sources.keyValuePairs, {
+                ...field,
+                aliases: [...(field.aliases || []), ...(strategy.aliases || [])],
+                match: strategy.match ?? field.match
+            });
+            return match && { ...match, source: 'key-value', confidence: sources.keyValueEntries[match.key].confidence };
+        }
+        case 'label': {
+            const labels = strategy.label ? [].concat(strategy.label) : [field.name, ...(field.aliases || [])];
+            for (const label of labels) {
+                const match = findLabelledValue(sources.lines, label, strategy);
+                if (match) {
+                    // Pattern matches come from a LINE, so that line's confidence applies
+                    return { key: label, value: match.value, method: 'pattern', score: null, source: 'pattern', confidence: match.line.Confidence ?? null };
+                }
+            }
+            return null;
+        }
+        case 'regex':
+            return withSource(findRegexValue(sources.lines, strategy), strategy);
+        case 'anchor':
+            return withSource(findAnchoredValue(sources.lines, strategy), strategy);
+        case 'tableColumn':
+            return withSource(findTableColumnValue(sources.getTables(), strategy), strategy);
+        case 'zone': {
+            const zone = strategy.zone === undefined
+                ? { ...strategy, name: field.name }
+                : sources.zones.find(candidate => candidate.name === strategy.zone);
+            if (!zone) {
+                console.warn(`Zone '${strategy.zone}' for field '${field.name}' is not defined`);
+                return null;
+            }
+            return withSource(findZoneValue(sources.blocks, zone), strategy);
+        }
+        case 'query':
+            return withSource(findQueryAnswer(sources.blocks, { text: strategy.text, alias: getQueryAlias(field, strategy) }, sources.getBlockMap()), strategy);
+        case 'constant':
+            return withSource(constantValue(strategy), strategy);
+        case 'derived':
+            return withSource(derivedValue(strategy, sources.details), strategy);
+        default:
+            console.warn(`Unknown strategy '${strategy.type}' for field '${field.name}'`);
+            return null;
+    }
+}
+
+/**
+ * Extracts specified fields from document blocks with their typed values
+ * Each field tries its strategies in order (see field-strategies.js); fields without strategies use
+ * key-value pairs (name, aliases, fuzzy keys) and fall back to pattern matching
+ * Derived fields run after the others so they can reference them
+ * Returns { fieldName: { raw, value, type, valid, error, matchedKey, matchMethod, source, strategy, strategyIndex, confidence } }
+ *
+ * Options:
+ *   zones           - the company's named zones, read by 'zone' strategies (see document-zones.js)
+ *   keyValueEntries - extra { key: { value, confidence } } entries, e.g. AnalyzeExpense summary fields;
+ *                     form keys found in the blocks win over them
+ */
+function extractFieldDetails(blocks, fieldsToExtract, options = {}) {
+    const fields = fieldsToExtract.map(normalizeFieldConfig);
+    console.log('Extracting fields:', fields.map(field => field.name));
+    const keyValueEntries = { ...options.keyValueEntries, ...extractKeyValueEntries(blocks) };
+    const details = {};
+    let tables = null;
+    let blockMap = null;
+    const sources = {
+        blocks,
+        zones: options.zones || [],
+        keyValueEntries,
+        keyValuePairs: Object.fromEntries(Object.entries(keyValueEntries).map(([key, entry]) => [key, entry.value])),
+        lines: blocks.filter(block => block.BlockType === 'LINE' && block.Text),
+        // Tables are only parsed when a field reads from one
+        getTables: () => tables || (tables = extractTables(blocks)),
+        getBlockMap: () => blockMap || (blockMap = new Map(blocks.map(block => [block.Id, block]))),
+        details
+    };
+
+    const extract = (field, derivedPass) => {
+        const strategies = resolveFieldStrategies(field);
+        let match = null;
+        let strategyIndex = -1;
+        for (const [index, strategy] of strategies.entries()) {
+            if ((strategy.type === 'derived') !== derivedPass) continue;
+            match = runFieldStrategy(strategy, field, sources);
+            if (match) {
+                strategyIndex = index;
+                break;
+            }
+        }
+
+        // Keep what the strategy matched, even an empty string; null means no strategy matched
+        const raw = match?.value ?? null;
+        const { value, error } = normalizeFieldValue(raw, field);
+        details[field.name] = {
+            raw,
+            value,
+            type: field.type,
+            valid: !error,
+            error,
+            matchedKey: match?.key || null,
+            matchMethod: match?.method || null,
+            source: match?.source || null,
+            strategy: match ? strategies[strategyIndex].type : null,
+            strategyIndex: match ? strategyIndex : null,
+            confidence: match ? roundConfidence(match.confidence) : null,
+            ...(match?.method === 'fuzzy' && { matchScore: match.score })
+        };
+        if (error) {
+            console.warn(`Field '${field.name}' failed ${field.type} normalization: ${error}`);
+        } else {
+            console.log(`Field '${field.name}' extracted: ${raw ?? 'not found'}${match ? ` (${match.method} match on '${match.key}')` : ''}`);
+        }
+    };
+
+    for (const field of fields) {
+        extract(field, false);
+    }
+    // A derived strategy is only tried when the field's earlier strategies found nothing
+    for (const field of fields) {
+        const hasDerived = resolveFieldStrategies(field).some(strategy => strategy.type === 'derived');
+        if (hasDerived && details[field.name].raw === null) extract(field, true);
+    }
+    
+    return details;
+}
+
+/**
+ * Rounds a Textract confidence (0-100) to two decimals
+ */
+function roundConfidence(confidence) {
+    return confidence === null || confidence === undefined ? null : Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Flattens field details to raw extracted text keyed by field name
+ */
+function getFieldValues(fieldDetails) {
+    return Object.fromEntries(Object.entries(fieldDetails).map(([name, detail]) => [name, detail.raw]));
+}
+
 /**
  * Extracts specified fields from document blocks
  * Uses key-value pairs first, falls back to pattern matching
  */
 function extractFields(blocks, fieldsToExtract) {
-    console.log('Extracting fields:', fieldsToExtract);
-    const keyValuePairs = extractKeyValuePairs(blocks);
-    const results = {};
-    
-    for (const field of fieldsToExtract) {
-        results[field] = keyValuePairs[field] || extractFieldByPattern(blocks, field);
-        console.log(`Field '${field}' extracted: ${results[field] || 'not found'}`);
+    return getFieldValues(extractFieldDetails(blocks, fieldsToExtract));
+}
+
+/**
+ * Canonical line-item columns and the header texts that map onto them
+ * Header matching ignores case, punctuation and surrounding whitespace
+ */
+const DEFAULT_TABLE_COLUMNS = {
+    itemNo: ['item no', 'item number', 'item', 'no', 'line', 'line no', 'pos', 'position', '#'],
+    productCode: ['code', 'product code', 'item code', 'part no', 'part number', 'sku', 'article', 'article no'],
+    description: ['description', 'descriptions', 'item description', 'details', 'product', 'product description'],
+    quantity: ['quantity', 'qty', 'qty ordered', 'ordered', 'quantity ordered'],
+    unit: ['unit', 'uom', 'unit of measure'],
+    unitPrice: ['unit price', 'price', 'rate', 'unit cost', 'price per unit'],
+    amount: ['amount', 'total', 'line total', 'net amount', 'value', 'extended price', 'ext price']
+};
+
+/**
+ * Normalizes header text for column matching
+ * Lowercases and strips punctuation so 'Item No.' and 'ITEM NO' compare equal
+ */
+function normalizeHeaderText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9#%]+/g, ' ').trim();
+}
+
+/**
+ * Returns the text of a table cell, keeping line breaks between visually separate lines
+ * Words whose top edge moves below the previous word start a new line
+ */
+function getCellText(cell, blockMap) {
+    const words = (cell.Relationships || [])
+        .filter(rel => rel.Type === 'CHILD')
+        .flatMap(rel => rel.Ids.map(id => blockMap[id]))
+        .filter(child => child && (child.BlockType === 'WORD' || child.BlockType === 'SELECTION_ELEMENT'));
+
+    let text = '';
+    let previousBox = null;
+    for (const word of words) {
+        const wordText = word.BlockType === 'WORD' ? word.Text : (word.SelectionStatus === 'SELECTED' ? '[X]' : '[ ]');
+        const box = word.Geometry?.BoundingBox;
+        if (previousBox && box && box.Top > previousBox.Top + previousBox.Height * 0.5) {
+            text += '\n';
+        } else if (text) {
+            text += ' ';
+        }
+        text += wordText;
+        previousBox = box || previousBox;
     }
-    
+    return text;
+}
+
+/**
+ * Maps table header texts to canonical column keys
+ * Exact alias matches win, then the longest alias contained in the header; each key is used once
+ * Unmapped columns are keyed by their camel-cased header text, or null when the header is blank
+ */
+function mapTableColumns(headers, columnAliases = DEFAULT_TABLE_COLUMNS) {
+    const aliasEntries = Object.entries(columnAliases)
+        .flatMap(([key, aliases]) => [key, ...aliases].map(alias => ({ key, alias: normalizeHeaderText(alias) })));
+    const used = new Set();
+
+    const candidates = headers.map((header, columnIndex) => {
+        const normalized = normalizeHeaderText(header || '');
+        const matches = aliasEntries
+            .map(({ key, alias }) => {
+                if (!normalized || !alias) return null;
+                if (normalized === alias) return { key, score: 1000 + alias.length };
+                const padded = ` ${normalized} `;
+                if (padded.includes(` ${alias} `)) return { key, score: alias.length };
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+        return { columnIndex, normalized, matches };
+    });
+
+    // Assign strongest matches first so 'Unit Price' claims unitPrice before 'Price' does
+    const keys = new Array(headers.length).fill(null);
+    const assignments = candidates
+        .flatMap(candidate => candidate.matches.map(match => ({ ...match, columnIndex: candidate.columnIndex })))
+        .sort((a, b) => b.score - a.score);
+    for (const { key, columnIndex } of assignments) {
+        if (keys[columnIndex] || used.has(key)) continue;
+        keys[columnIndex] = key;
+        used.add(key);
+    }
+
+    return keys.map((key, columnIndex) => {
+        if (key) return key;
+        const { normalized } = candidates[columnIndex];
+        if (!normalized) return null;
+        return normalized.replace(/ (.)/g, (_, char) => char.toUpperCase()).replace(/ /g, '');
+    });
+}
+
+/**
+ * Extracts every table from TABLE, CELL and MERGED_CELL blocks
+ * Returns tables with header rows, body rows (arrays of cell text) and canonical column keys
+ *
+ * Options:
+ *   page           - only return tables from this page number
+ *   columnAliases  - canonical column map used for header mapping (default DEFAULT_TABLE_COLUMNS)
+ */
+function extractTables(blocks, options = {}) {
+    const blockMap = {};
+    for (const block of blocks) {
+        blockMap[block.Id] = block;
+    }
+
+    const tableBlocks = blocks.filter(block =>
+        block.BlockType === 'TABLE' && (options.page === undefined || (block.Page || 1) === options.page)
+    );
+    console.log(`Extracting ${tableBlocks.length} table(s)${options.page !== undefined ? ` from page ${options.page}` : ''}`);
+
+    return tableBlocks.map((tableBlock, tableIndex) => {
+        const related = (type) => (tableBlock.Relationships || [])
+            .filter(rel => rel.Type === type)
+            .flatMap(rel => rel.Ids)
+            .map(id => blockMap[id])
+            .filter(Boolean);
+        const cells = related('CHILD').filter(block => block.BlockType === 'CELL');
+        const mergedCells = related('MERGED_CELL');
+
+        const rowCount = Math.max(0, ...cells.map(cell => cell.RowIndex + (cell.RowSpan || 1) - 1));
+        const columnCount = Math.max(0, ...cells.map(cell => cell.ColumnIndex + (cell.ColumnSpan || 1) - 1));
+        const grid = Array.from({ length: rowCount }, () => new Array(columnCount).fill(''));
+        const confidence = Array.from({ length: rowCount }, () => new Array(columnCount).fill(null));
+        const headerRows = new Set();
+
+        for (const cell of cells) {
+            grid[cell.RowIndex - 1][cell.ColumnIndex - 1] = getCellText(cell, blockMap);
+            confidence[cell.RowIndex - 1][cell.ColumnIndex - 1] = cell.Confidence ?? null;
+            if (cell.EntityTypes?.includes('COLUMN_HEADER')) {
+                headerRows.add(cell.RowIndex - 1);
+            }
+        }
+
+        // A merged cell's text lives in its top-left position; header merges are repeated across their columns
+        for (const merged of mergedCells) {
+            const parts = (merged.Relationships || [])
+                .filter(rel => rel.Type === 'CHILD')
+                .flatMap(rel => rel.Ids)
+                .map(id => blockMap[id])
+                .filter(Boolean)
+                .sort((a, b) => a.RowIndex - b.RowIndex || a.ColumnIndex - b.ColumnIndex);
+            const text = parts.map(part => grid[part.RowIndex - 1][part.ColumnIndex - 1]).filter(Boolean).join(' ');
+            const isHeader = merged.EntityTypes?.includes('COLUMN_HEADER') || headerRows.has(merged.RowIndex - 1);
+            for (const part of parts) {
+                const repeat = isHeader && part.RowIndex === merged.RowIndex;
+                grid[part.RowIndex - 1][part.ColumnIndex - 1] = repeat ? text : '';
+            }
+            grid[merged.RowIndex - 1][merged.ColumnIndex - 1] = text;
+        }
+
+        // Without COLUMN_HEADER hints, treat the first row as a header when it maps onto known columns
+        if (headerRows.size === 0 && grid.length > 1) {
+            const firstRowKeys = mapTableColumns(grid[0], options.columnAliases).filter(key =>
+                key && Object.hasOwn(options.columnAliases || DEFAULT_TABLE_COLUMNS, key)
+            );
+            if (firstRowKeys.length >= 2) headerRows.add(0);
+        }
+
+        const headerIndexes = [...headerRows].sort((a, b) => a - b);
+        const headers = Array.from({ length: columnCount }, (_, column) =>
+            headerIndexes.map(row => grid[row][column]).filter(Boolean).join(' ').replace(/\s+/g, ' ').trim()
+        );
+        const bodyIndexes = grid.map((_, row) => row).filter(row => !headerRows.has(row));
+
+        return {
+            tableId: tableBlock.Id,
+            tableIndex,
+            page: tableBlock.Page || 1,
+            confidence: tableBlock.Confidence ?? null,
+            headers,
+            columnKeys: mapTableColumns(headers, options.columnAliases),
+            rows: bodyIndexes.map(row => grid[row]),
+            cellConfidence: bodyIndexes.map(row => confidence[row])
+        };
+    });
+}
+
+/**
+ * Resolves the header aliases for a company's line-item schema
+ * Company aliases are added to the defaults, so only non-standard headers need declaring
+ */
+function resolveLineItemColumns(lineItemSchema = {}) {
+    const columns = structuredClone(DEFAULT_TABLE_COLUMNS);
+    for (const [key, aliases] of Object.entries(lineItemSchema.columns || {})) {
+        columns[key] = [...new Set([...(columns[key] || []), ...aliases])];
+    }
+    return columns;
+}
+
+/**
+ * Adds typed values for a line item's columns under item.normalized
+ * Columns that fail to parse are listed under item.errors
+ */
+function normalizeLineItem(item, columnTypes) {
+    item.normalized = {};
+    for (const [key, typeConfig] of Object.entries(columnTypes)) {
+        const field = typeof typeConfig === 'string' ? { name: key, type: typeConfig } : { name: key, ...typeConfig };
+        const { value, error } = normalizeFieldValue(item[key], field);
+        item.normalized[key] = value;
+        if (error) {
+            item.errors = { ...item.errors, [key]: error };
+        }
+    }
+    return item;
+}
+
+/**
+ * Converts extracted tables into line items keyed by canonical column
+ * Only tables that map every required column (or two canonical columns when none are required) are used
+ *
+ * Line-item schema (company record `lineItems`):
+ *   columns         - { canonicalKey: ['Header alias', ...] }, added to DEFAULT_TABLE_COLUMNS
+ *   requiredColumns - columns a table must have, and each item must have a value for
+ *   continuation    - { anchorColumn, mergeColumns, separator, enabled }
+ *                     a row whose anchor column (default itemNo, else the first column) is empty
+ *                     continues the previous item, provided it only has values in mergeColumns;
+ *                     a headerless table at the top of the next page continues the previous table
+ *   columnTypes     - { canonicalKey: type or { type, ...options } }, adds typed values under item.normalized
+ */
+function extractLineItems(tables, lineItemSchema = {}) {
+    const columnAliases = resolveLineItemColumns(lineItemSchema);
+    const requiredColumns = lineItemSchema.requiredColumns || [];
+    const continuation = { enabled: true, separator: ' ', ...lineItemSchema.continuation };
+    const tableItems = [];
+    const items = [];
+    let previousTable = null;
+    let currentItem = null;
+
+    for (const sourceTable of tables) {
+        // A headerless table on the next page with the same column count continues the previous table
+        const continuesTable = previousTable && sourceTable.headers.every(header => !header)
+            && sourceTable.page === previousTable.page + 1
+            && sourceTable.headers.length === previousTable.columnKeys.length;
+        const table = continuesTable ? { ...sourceTable, columnKeys: previousTable.columnKeys } : sourceTable;
+
+        const canonicalColumns = table.columnKeys.filter(key => key && Object.hasOwn(columnAliases, key));
+        const hasRequired = requiredColumns.length > 0
+            ? requiredColumns.every(key => table.columnKeys.includes(key))
+            : canonicalColumns.length >= 2;
+        if (!hasRequired) continue;
+
+        const anchorKey = continuation.anchorColumn || 'itemNo';
+        const anchorColumn = table.columnKeys.includes(anchorKey) ? table.columnKeys.indexOf(anchorKey) : 0;
+        if (!continuesTable) currentItem = null;
+        previousTable = table;
+
+        table.rows.forEach((row, rowIndex) => {
+            if (row.every(text => !text)) return;
+            const values = {};
+            const confidences = [];
+            table.columnKeys.forEach((key, column) => {
+                if (key && row[column]) {
+                    values[key] = row[column].replace(/\s*\n\s*/g, ' ').trim();
+                    const cellConfidence = table.cellConfidence?.[rowIndex]?.[column];
+                    if (cellConfidence !== null && cellConfidence !== undefined) confidences.push(cellConfidence);
+                }
+            });
+            const rowConfidence = confidences.length ? Math.min(...confidences) : null;
+
+            const continuesItem = continuation.enabled && currentItem && !row[anchorColumn]
+                && (!continuation.mergeColumns || Object.keys(values).every(key => continuation.mergeColumns.includes(key)));
+            if (continuesItem) {
+                for (const [key, value] of Object.entries(values)) {
+                    currentItem[key] = currentItem[key] ? `${currentItem[key]}${continuation.separator}${value}` : value;
+                }
+                if (rowConfidence !== null) {
+                    currentItem.confidence = Math.min(currentItem.confidence ?? 100, roundConfidence(rowConfidence));
+                }
+                return;
+            }
+
+            currentItem = { ...values, source: 'table', confidence: roundConfidence(rowConfidence) };
+            tableItems.push(currentItem);
+        });
+    }
+
+    // Rows missing a required value (subtotals, notes) are not line items
+    for (const item of tableItems) {
+        const missing = requiredColumns.filter(key => !item[key]);
+        if (missing.length > 0) {
+            console.log(`Skipping table row without ${missing.join(', ')}:`, item);
+            continue;
+        }
+        if (lineItemSchema.columnTypes) {
+            normalizeLineItem(item, lineItemSchema.columnTypes);
+        }
+        items.push(item);
+    }
+
+    console.log(`Extracted ${items.length} line item(s)`);
+    return items;
+}
+
+/**
+ * Converts an expense document's line items into line items keyed by canonical column
+ * Textract's standard types (ITEM, QUANTITY, UNIT_PRICE, PRICE, PRODUCT_CODE) map to EXPENSE_LINE_ITEM_COLUMNS;
+ * other fields are mapped by their printed label, like table headers
+ * Takes the same line-item schema as extractLineItems; continuation does not apply, Textract already joins wrapped rows
+ */
+function extractExpenseLineItems(expenseDocument, lineItemSchema = {}) {
+    const columnAliases = resolveLineItemColumns(lineItemSchema);
+    const requiredColumns = lineItemSchema.requiredColumns || [];
+    const items = [];
+
+    for (const row of getExpenseLineItemRows(expenseDocument)) {
+        const item = {};
+        const confidences = [];
+        for (const field of row) {
+            const key = EXPENSE_LINE_ITEM_COLUMNS[field.type] || (field.label && mapTableColumns([field.label], columnAliases)[0]);
+            if (!key || item[key]) continue;
+            item[key] = field.value;
+            if (field.confidence !== null) confidences.push(field.confidence);
+        }
+
+        const missing = requiredColumns.filter(key => !item[key]);
+        if (missing.length > 0) {
+            console.log(`Skipping expense line item without ${missing.join(', ')}:`, item);
+            continue;
+        }
+        const lineItem = { ...item, source: 'expense', confidence: roundConfidence(confidences.length ? Math.min(...confidences) : null) };
+        if (lineItemSchema.columnTypes) {
+            normalizeLineItem(lineItem, lineItemSchema.columnTypes);
+        }
+        items.push(lineItem);
+    }
+
+    console.log(`Extracted ${items.length} expense line item(s)`);
+    return items;
+}
+
+/**
+ * Returns the confidence threshold (0-100) below which a company's results need human review
+ * The company's reviewThreshold wins over REVIEW_CONFIDENCE_THRESHOLD; null disables review
+ */
+function getReviewThreshold(record) {
+    if (record?.reviewThreshold !== undefined && record?.reviewThreshold !== null) {
+        return Number(record.reviewThreshold);
+    }
+    return process.env.REVIEW_CONFIDENCE_THRESHOLD ? Number(process.env.REVIEW_CONFIDENCE_THRESHOLD) : null;
+}
+
+/**
+ * Decides whether a result can be published directly or needs human review
+ * Sets reviewStatus, and lists the fields and line items whose confidence is under the threshold
+ */
+function assessReview(result, record) {
+    const threshold = getReviewThreshold(record);
+    const reasons = [];
+
+    if (result.status === 'AMBIGUOUS_COMPANY') {
+        reasons.push('Company identification is ambiguous');
+    }
+    if (result.validation?.blocking) {
+        reasons.push(`Validation failed: ${result.validation.errors.map(error => error.message).join('; ')}`);
+    }
+
+    const lowConfidenceFields = threshold === null ? [] : Object.entries(result.fieldDetails || {})
+        .filter(([, detail]) => detail.confidence !== null && detail.confidence < threshold)
+        .map(([name]) => name);
+    const lowConfidenceItems = threshold === null ? [] : (result.items || [])
+        .map((item, index) => ({ index, confidence: item.confidence }))
+        .filter(item => item.confidence !== null && item.confidence !== undefined && item.confidence < threshold)
+        .map(item => item.index);
+
+    if (lowConfidenceFields.length > 0) {
+        reasons.push(`Fields below confidence ${threshold}: ${lowConfidenceFields.join(', ')}`);
+    }
+    if (lowConfidenceItems.length > 0) {
+        reasons.push(`Line items below confidence ${threshold}: ${lowConfidenceItems.join(', ')}`);
+    }
+
+    result.reviewStatus = reasons.length > 0 ? REVIEW_STATUS.PENDING_REVIEW : REVIEW_STATUS.AUTO_APPROVED;
+    result.reviewReasons = reasons;
+    result.lowConfidenceFields = lowConfidenceFields;
+    result.lowConfidenceItems = lowConfidenceItems;
+    return result;
+}
+
+/**
+ * Runs the company's validation rules, then decides the review status
+ * The validation report is attached to the result as `validation`, and the config version used as `configVersion`
+ */
+function finalizeResult(result, record) {
+    result.configVersion = record?.configVersion ?? null;
+    result.validation = validateResult(result, record?.validation || []);
+    return assessReview(result, record);
+}
+
+/**
+ * Maps AnalyzeExpense documents into the same results as document analysis, one per expense document
+ * Summary fields are matched as key-value entries (so field names, aliases and strategies work unchanged)
+ * and line item groups become line items
+ *
+ * Options:
+ *   record         - the company configuration the expenses belong to; identified (and classified) from each expense document otherwise
+ *   identification - identification summary reported with options.record
+ *   documentType   - document type of options.record
+ *   classification - document-type classification summary reported with options.record
+ */
+function processExpenseDocuments(expenseDocuments, companyRecords, options = {}) {
+    console.log(`Processing ${expenseDocuments.length} expense document(s)`);
+    const results = [];
+
+    for (const expenseDocument of expenseDocuments) {
+        const pages = getExpensePages(expenseDocument);
+        const pageRange = { start: pages[0], end: pages.at(-1) };
+        const blocks = expenseDocument.Blocks || [];
+        const segment = { index: expenseDocument.ExpenseIndex, boundary: 'expense' };
+        const document = blocks.some(block => block.BlockType === 'LINE') ? blocks : getExpenseText(expenseDocument);
+        let record = options.record;
+        let identification = options.identification;
+        let documentType = options.documentType ?? null;
+        let classification = options.classification;
+
+        if (!record) {
+            const identified = identifyCompany(document, companyRecords);
+            identification = {
+                status: identified.status,
+                confidence: identified.confidence,
+                candidates: summarizeCandidates(identified.candidates)
+            };
+            const classified = classifyDocument(document, identified.record);
+            classification = summarizeClassification(classified);
+            if (identified.status === 'ambiguous') {
+                console.warn(`Ambiguous company match for expense document ${segment.index}:`, identification.candidates);
+                results.push(finalizeResult({
+                    company: null,
+                    pageNumber: pageRange.start,
+                    pageRange,
+                    pages,
+                    segment,
+                    status: 'AMBIGUOUS_COMPANY',
+                    identification,
+                    documentType: classified.type,
+                    classification,
+                    extractedFields: {},
+                    items: [],
+                    targetTables: []
+                }, null));
+                continue;
+            }
+            if (!identified.record) {
+                console.log(`No company match found for expense document ${segment.index}`);
+                continue;
+            }
+            logClassification(classified, identified.record);
+            record = resolveDocumentTypeRecord(identified.record, classified.type);
+            documentType = classified.type;
+        }
+
+        console.log(`Processing expense document ${segment.index} (pages ${pageRange.start}-${pageRange.end}) for company: ${record.company}`);
+        const fieldDetails = extractFieldDetails(blocks, record.fields || [], {
+            zones: record.zones,
+            keyValueEntries: getExpenseKeyValueEntries(expenseDocument)
+        });
+        results.push(finalizeResult({
+            company: record.company,
+            pageNumber: pageRange.start,
+            pageRange,
+            pages,
+            segment,
+            identification,
+            documentType,
+            classification,
+            extractedFields: getFieldValues(fieldDetails),
+            fieldDetails,
+            items: extractExpenseLineItems(expenseDocument, record.lineItems),
+            targetTables: record.targetTables || [],
+            sinks: record.sinks || []
+        }, record));
+    }
+
     return results;
 }
 
 /**
  * Processes a single-page document using synchronous Textract analysis
  * Identifies company, extracts fields, and prepares results for storage
+ * Expense-mode documents (EXPENSE_KEY_PREFIXES, or a recorded AnalyzeExpense response) go through AnalyzeExpense;
+ * a company configured with processingMode 'expense' is re-analyzed with AnalyzeExpense once identified
+ *
+ * Options:
+ *   replay         - recorded AnalyzeDocument or AnalyzeExpense response (or replay source) used instead of calling Textract
+ *   companyRecords - preloaded company configurations, skips the DynamoDB lookups
+ *   mode           - 'document' or 'expense'; chosen from EXPENSE_KEY_PREFIXES by default
  */
-async function processSinglePageDocument(s3Location) {
+async function processSinglePageDocument(s3Location, options = {}, context = defaultContext) {
     console.log('=== Processing single page document ===');
     
-    // Analyze document with Textract
-    const textractData = await analyzeDocument(s3Location);
+    // Company records are loaded first: their Textract queries are asked during analysis
+    const companyRecords = options.companyRecords || await getAllCompanyRecords(context);
+    const mode = options.mode || getProcessingMode(s3Location);
+
+    // Analyze document with Textract, or replay a recorded response
+    let textractData;
+    if (options.replay) {
+        textractData = mergeTextractResponses(loadTextractResponses(options.replay));
+    } else if (mode === PROCESSING_MODES.EXPENSE) {
+        textractData = mergeTextractResponses([await analyzeExpense(s3Location, context)]);
+    } else {
+        textractData = await analyzeDocument(s3Location, { companyRecords }, context);
+    }
+    if (textractData.ExpenseDocuments) {
+        const results = processExpenseDocuments(textractData.ExpenseDocuments, companyRecords);
+        if (results.length === 0) {
+            console.error('Company identification failed');
+            throw new Error('Company not recognized in expense document');
+        }
+        console.log('Expense processing completed successfully');
+        return results;
+    }
+
     const documentText = extractText(textractData.Blocks);
     console.log(`Document text length: ${documentText.length} characters`);
     
     // Identify company and get field extraction rules
-    const { company, fieldsToExtract } = await identifyCompanyAndFields(documentText);
+    const identification = await identifyCompanyAndFields(textractData.Blocks, companyRecords, context);
+    const { company, fieldsToExtract, lineItemSchema } = identification;
+    const identificationSummary = {
+        status: identification.status,
+        confidence: identification.confidence,
+        candidates: identification.candidates
+    };
+    const { documentType, classification } = identification;
+    if (identification.status === 'ambiguous') {
+        // Leave the decision to the caller rather than picking one of several equally likely companies
+        console.error('Company identification ambiguous');
+        return [finalizeResult({
+            company: null,
+            pageNumber: 1,
+            pageRange: { start: 1, end: 1 },
+            pages: [1],
+            status: 'AMBIGUOUS_COMPANY',
+            identification: identificationSummary,
+            documentType,
+            classification,
+            extractedFields: {},
+            items: [],
+            targetTables: []
+        }, null)];
+    }
     if (!company) {
         console.error('Company identification failed');
         throw new Error('Company not recognized in single page document');
     }
 
+    // Companies configured for expense processing are read from AnalyzeExpense instead
+    if (identification.record?.processingMode === PROCESSING_MODES.EXPENSE && !options.replay) {
+        console.log(`${company} uses expense processing, analyzing the document with AnalyzeExpense`);
+        const expenseData = await analyzeExpense(s3Location, context);
+        return processExpenseDocuments(mergeExpenseDocuments([expenseData]), companyRecords, {
+            record: identification.record,
+            identification: identificationSummary,
+            documentType,
+            classification
+        });
+    }
+
     // Extract specified fields
-    const extractionResults = extractFields(textractData.Blocks, fieldsToExtract);
+    const fieldDetails = extractFieldDetails(textractData.Blocks, fieldsToExtract, { zones: identification.record?.zones });
     console.log('Field extraction completed for single page');
     
     const result = [{
         company,
         pageNumber: 1,
-        extractedFields: extractionResults,
-        targetTables: await getTargetTablesForCompany(company)
+        pageRange: { start: 1, end: 1 },
+        pages: [1],
+        identification: identificationSummary,
+        documentType,
+        classification,
+        extractedFields: getFieldValues(fieldDetails),
+        fieldDetails,
+        items: extractLineItems(
+            extractTables(textractData.Blocks, { columnAliases: resolveLineItemColumns(lineItemSchema) }),
+            lineItemSchema
+        ),
+        targetTables: identification.record.targetTables || [],
+        sinks: identification.record?.sinks || []
     }];
+    finalizeResult(result[0], identification.record);
     
     console.log('Single page processing completed successfully');
     return result;
@@ -396,59 +1893,107 @@ async function processSinglePageDocument(s3Location) {
 
 /**
  * Processes a multi-page document using asynchronous Textract analysis
- * Handles pagination and processes each page individually
+ * Collects every result batch, splits the pages into logical documents, then processes each segment
+ *
+ * Expense-mode documents are analyzed with StartExpenseAnalysis, each expense document becoming a result;
+ * per-company processingMode cannot apply here, as the company is only known after analysis,
+ * so multi-page expenses need an EXPENSE_KEY_PREFIXES prefix
+ *
+ * Options:
+ *   replay       - recorded GetDocumentAnalysis or GetExpenseAnalysis response(s) replayed instead of starting a job
+ *   mode         - 'document' or 'expense'; chosen from EXPENSE_KEY_PREFIXES by default
+ *   segmentation - options for segmentDocument (see document-segmentation.js)
  */
-async function processMultiPageDocument(s3Location, companyRecords) {
+async function processMultiPageDocument(s3Location, companyRecords, options = {}, context = defaultContext) {
     console.log('=== Processing multi-page document ===');
     const results = [];
-    
-    // Start asynchronous Textract job
-    const jobId = await startAsyncTextractJob(s3Location);
-
-    let nextToken = null;
-    let currentPage = 1;
-    let finished = false;
-    
-    // Process results in batches (pagination)
-    while (!finished) {
-        const response = await getAsyncResults(jobId, nextToken);
-        
-        // Process each page in the current batch
-        const pageBlocks = response.Blocks.filter(block => block.BlockType === 'PAGE');
-        console.log(`Processing ${pageBlocks.length} pages in current batch`);
-        
-        for (const pageBlock of pageBlocks) {
-            console.log(`--- Processing page ${currentPage} ---`);
-            const pageText = extractTextFromPage(response.Blocks, pageBlock.Id);
-            
-            // Find matching company for this page
-            const matchedCompany = findMatchingCompanyInPage(pageText, companyRecords);
-            if (matchedCompany) {
-                console.log(`Processing page ${currentPage} for company: ${matchedCompany.company}`);
-                const fieldsToExtract = matchedCompany.fields;
-                const extractedFields = extractFieldsFromPage(response.Blocks, pageBlock.Id, fieldsToExtract);
-                
-                results.push({
-                    company: matchedCompany.company,
-                    pageNumber: currentPage,
-                    extractedFields,
-                    targetTables: matchedCompany.targetTables || []
-                });
-                console.log(`Page ${currentPage} processed successfully`);
-            } else {
-                console.log(`No company match found for page ${currentPage}`);
-            }
+    const mode = options.mode || getProcessingMode(s3Location);
 
-            currentPage++;
+    // Gather all result batches, either recorded or from a completed Textract job
+    let batches;
+    if (options.replay) {
+        batches = loadTextractResponses(options.replay);
+    } else {
+        const jobId = await startAsyncTextractJob(s3Location, { companyRecords, mode }, context);
+        try {
+            await waitForJobCompletion(jobId, { mode }, context);
+            await context.jobStore.updateJob(jobId, { status: JOB_STATUS.IN_PROGRESS });
+            const { job } = await collectJobResults(jobId, {}, context);
+            batches = await loadJobBatches(job, context);
+            await context.jobStore.updateJob(jobId, {
+                status: job.textractStatus === 'PARTIAL_SUCCESS' ? JOB_STATUS.PARTIAL_SUCCESS : JOB_STATUS.SUCCEEDED
+            });
+        } catch (error) {
+            await context.jobStore.updateJob(jobId, { status: JOB_STATUS.FAILED, error: error.message });
+            throw error;
         }
+    }
+
+    // A page's blocks can span batches, so segments are processed over the merged response
+    const { Blocks: blocks, ExpenseDocuments: expenseDocuments } = mergeTextractResponses(batches);
+    if (expenseDocuments) {
+        results.push(...processExpenseDocuments(expenseDocuments, companyRecords));
+        console.log(`Multi-page expense processing completed. Total results: ${results.length}`);
+        return results;
+    }
+    const pageCount = blocks.filter(block => block.BlockType === 'PAGE').length;
+    console.log(`Processing ${pageCount} pages from ${batches.length} batch(es)`);
 
-        // Check if processing is complete
-        if (!response.NextToken || response.JobStatus !== 'IN_PROGRESS') {
-            finished = true;
-            console.log('Multi-page processing completed');
+    // Group consecutive pages into logical documents, then extract across each whole segment
+    const segments = segmentDocument(blocks, companyRecords, options.segmentation);
+    for (const segment of segments) {
+        const pageRange = { start: segment.startPage, end: segment.endPage };
+        console.log(`--- Processing pages ${pageRange.start}-${pageRange.end} ---`);
+        const segmentSummary = { index: segment.index, boundary: segment.boundary, pageReasons: segment.pageReasons };
+        const segmentBlocks = getSegmentBlocks(blocks, segment.pages);
+        const classification = classifyDocument(segmentBlocks, segment.record);
+        logClassification(classification, segment.record);
+        const matchedCompany = resolveDocumentTypeRecord(segment.record, classification.type);
+
+        if (matchedCompany) {
+            if (matchedCompany.processingMode === PROCESSING_MODES.EXPENSE) {
+                console.warn(`${matchedCompany.company} uses expense processing, which needs an EXPENSE_KEY_PREFIXES prefix for multi-page documents; using document analysis`);
+            }
+            console.log(`Processing pages ${pageRange.start}-${pageRange.end} for company: ${matchedCompany.company} (confidence ${segment.confidence})`);
+            const fieldDetails = extractFieldDetails(segmentBlocks, matchedCompany.fields, { zones: matchedCompany.zones });
+            
+            results.push(finalizeResult({
+                company: matchedCompany.company,
+                pageNumber: segment.startPage,
+                pageRange,
+                pages: segment.pages,
+                segment: segmentSummary,
+                identification: segment.identification,
+                documentType: classification.type,
+                classification: summarizeClassification(classification),
+                extractedFields: getFieldValues(fieldDetails),
+                fieldDetails,
+                items: extractLineItems(
+                    extractTables(segmentBlocks, { columnAliases: resolveLineItemColumns(matchedCompany.lineItems) }),
+                    matchedCompany.lineItems
+                ),
+                targetTables: matchedCompany.targetTables || [],
+                sinks: matchedCompany.sinks || []
+            }, matchedCompany));
+            console.log(`Pages ${pageRange.start}-${pageRange.end} processed successfully`);
+        } else if (segment.status === 'ambiguous') {
+            console.warn(`Ambiguous company match for pages ${pageRange.start}-${pageRange.end}:`, segment.identification.candidates);
+            results.push(finalizeResult({
+                company: null,
+                pageNumber: segment.startPage,
+                pageRange,
+                pages: segment.pages,
+                segment: segmentSummary,
+                status: 'AMBIGUOUS_COMPANY',
+                identification: segment.identification,
+                documentType: classification.type,
+                classification: summarizeClassification(classification),
+                extractedFields: {},
+                items: [],
+                targetTables: []
+            }, null));
         } else {
-            nextToken = response.NextToken;
-            console.log('Continuing to next batch of pages');
+            console.log(`No company match found for pages ${pageRange.start}-${pageRange.end}`);
         }
     }
 
@@ -456,68 +2001,579 @@ async function processMultiPageDocument(s3Location, companyRecords) {
     return results;
 }
 
+/**
+ * Derives the document identifier used in target tables and the review queue
+ * Fingerprinted documents are identified by content hash, so re-uploads map to the same document;
+ * an explicit documentId (e.g. from a review record) wins
+ */
+function getDocumentId(s3Location) {
+    if (s3Location.documentId) {
+        return s3Location.documentId;
+    }
+    if (s3Location.contentHash) {
+        return `sha256-${s3Location.contentHash}`;
+    }
+    return `${s3Location.bucket}-${s3Location.key.replace(/[^a-zA-Z0-9]/g, '-')}`;
+}
+
+/**
+ * Returns why a result must not be published, or null when it may be
+ * Only approved results without blocking validation errors are published to any sink
+ */
+function getPublishBlocker(result) {
+    if (![REVIEW_STATUS.AUTO_APPROVED, REVIEW_STATUS.APPROVED].includes(result.reviewStatus)) {
+        return result.reviewStatus || 'not reviewed';
+    }
+    if (result.validation?.blocking) {
+        return 'validation failed';
+    }
+    return null;
+}
+
+/**
+ * Builds the sort key of a result within its document
+ * Segments are keyed by page range, zero-padded so results sort in page order
+ */
+function getResultKey(result) {
+    const pad = (page) => String(page).padStart(4, '0');
+    const start = result.pageRange?.start ?? result.pageNumber;
+    const end = result.pageRange?.end ?? result.pageNumber;
+    return `pages#${pad(start)}-${pad(end)}`;
+}
+
+/**
+ * Writes items with BatchWriteItem in chunks of 25, retrying unprocessed items with backoff
+ * Returns { written, failed, errors }; items still unprocessed after maxAttempts count as failed
+ */
+async function batchWriteItems(tableName, items, options = {}, context = defaultContext) {
+    const maxAttempts = options.maxAttempts ?? 5;
+    const report = { written: 0, failed: 0, errors: [] };
+
+    for (let index = 0; index < items.length; index += 25) {
+        let requests = items.slice(index, index + 25).map(item => ({ PutRequest: { Item: item } }));
+        let delayMs = options.initialDelayMs ?? 100;
+
+        for (let attempt = 1; requests.length > 0; attempt++) {
+            let unprocessed;
+            try {
+                const response = await context.dynamodb.send(new BatchWriteCommand({
+                    RequestItems: { [tableName]: requests }
+                }));
+                unprocessed = response.UnprocessedItems?.[tableName] || [];
+            } catch (error) {
+                // Throttling errors are retried like unprocessed items; anything else fails the chunk
+                if (!/Throttl|ProvisionedThroughputExceeded|RequestLimitExceeded/.test(error.name) || attempt >= maxAttempts) {
+                    report.failed += requests.length;
+                    report.errors.push(error.message);
+                    break;
+                }
+                unprocessed = requests;
+            }
+
+            report.written += requests.length - unprocessed.length;
+            requests = unprocessed;
+            if (requests.length === 0) break;
+            if (attempt >= maxAttempts) {
+                report.failed += requests.length;
+                report.errors.push(`${requests.length} item(s) still unprocessed after ${maxAttempts} attempts`);
+                break;
+            }
+            console.log(`${requests.length} unprocessed item(s) for ${tableName}, retrying in ${delayMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            delayMs *= 2;
+        }
+    }
+    return report;
+}
+
+/**
+ * Writes items one by one, only replacing rows that hold an older version
+ * Rows already holding this version or a newer one are reported as stale rather than failed
+ */
+async function conditionalPutItems(tableName, items, context = defaultContext) {
+    const report = { written: 0, stale: 0, failed: 0, errors: [] };
+
+    for (const item of items) {
+        try {
+            await context.dynamodb.send(new PutCommand({
+                TableName: tableName,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(documentId) OR #version < :version',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':version': item.version }
+            }));
+            report.written++;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.warn(`${tableName} already holds a newer version of ${item.documentId} ${item.resultKey}`);
+                report.stale++;
+            } else {
+                report.failed++;
+                report.errors.push(error.message);
+            }
+        }
+    }
+    return report;
+}
+
 /**
  * Stores extraction results in the appropriate DynamoDB tables
- * Each company can have multiple target tables for data storage
+ * Each company can have multiple target tables; only approved results that pass validation are published
+ * Target tables are keyed by documentId (partition) and resultKey (sort), one row per page range
+ *
+ * Options:
+ *   version     - version number written with every row (default Date.now()); higher versions win
+ *   conditional - write each row with PutItem, conditional on the stored version being older,
+ *                 instead of BatchWriteItem; use when rows for the document may already exist
+ *   maxAttempts - BatchWriteItem attempts for unprocessed items (default 5)
+ *
+ * Returns a report: { written, stale, failed, skipped: [{ pageNumber, reason }], tables: { name: { written, stale, failed, errors } } }
  */
-async function storeResultsInTables(results, s3Location) {
+async function storeResultsInTables(results, s3Location, options = {}, context = defaultContext) {
     console.log('=== Storing results in DynamoDB tables ===');
-    
+    const documentId = getDocumentId(s3Location);
+    const version = options.version ?? Date.now();
+    const processedAt = new Date().toISOString();
+    const itemsByTable = {};
+    const skipped = [];
+
     for (const result of results) {
         console.log(`Storing results for company: ${result.company}, page: ${result.pageNumber}`);
+
+        const blocker = getPublishBlocker(result);
+        if (blocker) {
+            console.warn(`Result for page ${result.pageNumber} is not published: ${blocker}`);
+            skipped.push({ pageNumber: result.pageNumber, reason: blocker });
+            continue;
+        }
         
         if (!result.targetTables || result.targetTables.length === 0) {
             console.warn(`No target tables specified for company ${result.company}`);
+            skipped.push({ pageNumber: result.pageNumber, reason: 'no target tables' });
             continue;
         }
 
-        // Store in each target table for this company
         for (const tableName of result.targetTables) {
+            itemsByTable[tableName] = itemsByTable[tableName] || [];
+            itemsByTable[tableName].push({
+                documentId,
+                resultKey: getResultKey(result),
+                company: result.company,
+                documentType: result.documentType ?? null,
+                pageNumber: result.pageNumber,
+                pages: result.pages || [result.pageNumber],
+                extractedFields: result.extractedFields,
+                fieldDetails: result.fieldDetails || {},
+                items: result.items || [],
+                reviewStatus: result.reviewStatus,
+                validation: result.validation || null,
+                configVersion: result.configVersion ?? null,
+                version,
+                processedAt
+            });
+        }
+    }
+
+    // Store each target table's rows together
+    const report = { written: 0, stale: 0, failed: 0, skipped, tables: {} };
+    for (const [tableName, items] of Object.entries(itemsByTable)) {
+        console.log(`Storing ${items.length} row(s) in table: ${tableName}`);
+        const tableReport = options.conditional
+            ? await conditionalPutItems(tableName, items, context)
+            : { stale: 0, ...await batchWriteItems(tableName, items, options, context) };
+        report.tables[tableName] = tableReport;
+        report.written += tableReport.written;
+        report.stale += tableReport.stale;
+        report.failed += tableReport.failed;
+        if (tableReport.failed > 0) {
+            console.error(`✗ ${tableReport.failed} row(s) failed for table ${tableName}:`, tableReport.errors);
+        } else {
+            console.log(`✓ Successfully stored ${tableReport.written} row(s) in table ${tableName}`);
+        }
+    }
+    
+    console.log(`Results storage completed: ${report.written} written, ${report.stale} stale, ${report.failed} failed`);
+    return report;
+}
+
+/**
+ * Result sink publishing to the companies' DynamoDB target tables via storeResultsInTables
+ * Options are those of storeResultsInTables
+ */
+function createDynamoDbSink(options = {}, context = defaultContext) {
+    return {
+        name: 'dynamodb',
+        type: 'dynamodb',
+        publish: (results, target) => storeResultsInTables(results, target, options, context)
+    };
+}
+
+/**
+ * Publishes results to the DynamoDB target tables and to each company's configured sinks
+ * Sinks (company record `sinks`, see result-sinks.js) receive the publishable results of their company;
+ * a failing sink is reported and does not stop the others
+ *
+ * Options are those of storeResultsInTables, plus:
+ *   resultsLocation - S3 location ({ bucket, key }) of the full results, which event sinks point to
+ *
+ * Returns the storeResultsInTables report plus sinks: [{ name, type, company, delivered, failed, attempts, errors }]
+ * and sinkFailures, the number of results some sink failed to deliver
+ */
+async function publishResults(results, s3Location, options = {}, context = defaultContext) {
+    const target = {
+        documentId: getDocumentId(s3Location),
+        bucket: s3Location.bucket,
+        key: s3Location.key,
+        getResultKey,
+        resultsLocation: options.resultsLocation || null
+    };
+    const storage = await createDynamoDbSink(options, context).publish(results, target);
+
+    const resultsByCompany = new Map();
+    for (const result of results.filter(result => !getPublishBlocker(result))) {
+        resultsByCompany.set(result.company, [...(resultsByCompany.get(result.company) || []), result]);
+    }
+
+    const sinks = [];
+    for (const [company, companyResults] of resultsByCompany) {
+        for (const config of companyResults[0].sinks || []) {
+            const report = { name: config.name || config.type, type: config.type, company, delivered: 0, failed: 0, attempts: 0, errors: [] };
             try {
-                const documentId = `${s3Location.bucket}-${s3Location.key.replace(/[^a-zA-Z0-9]/g, '-')}`;
-                const params = {
-                    TableName: tableName,
-                    Item: {
-                        documentId,
-                        company: result.company,
-                        pageNumber: result.pageNumber,
-                        extractedFields: result.extractedFields,
-                        processedAt: new Date().toISOString()
-                    }
-                };
-                
-                console.log(`Storing in table: ${tableName}`);
-                const command = new PutCommand(params);
-                await dynamodb.send(command);
-                console.log(`✓ Successfully stored results in table ${tableName} for page ${result.pageNumber}`);
+                const sink = createSink(config, context);
+                report.name = sink.name;
+                Object.assign(report, await sink.publish(companyResults, target));
+                console.log(`✓ Published ${report.delivered} result(s) for ${company} to ${report.name}`);
             } catch (error) {
-                console.error(`✗ Error storing results in table ${tableName}:`, error);
+                report.delivered = error.delivered || 0;
+                report.failed = companyResults.length - report.delivered;
+                report.attempts = error.attempts || 1;
+                report.errors.push(error.message);
+                console.error(`✗ Sink ${report.name} failed for ${company}:`, error.message);
             }
+            sinks.push(report);
         }
     }
-    
-    console.log('Results storage completed');
+
+    return { ...storage, sinks, sinkFailures: sinks.reduce((total, sink) => total + sink.failed, 0) };
+}
+
+/**
+ * Sends results that need human review to the review queue
+ * Returns a summary with the review IDs of queued results
+ */
+async function queueResultsForReview(results, s3Location, context = defaultContext) {
+    const documentId = getDocumentId(s3Location);
+    const queued = [];
+
+    for (const result of results) {
+        if (result.reviewStatus !== REVIEW_STATUS.PENDING_REVIEW) continue;
+        const reviewId = `${documentId}#${result.pageNumber}`;
+        await context.reviewStore.putReview({
+            reviewId,
+            documentId,
+            bucket: s3Location.bucket,
+            key: s3Location.key,
+            company: result.company,
+            pageNumber: result.pageNumber,
+            status: REVIEW_STATUS.PENDING_REVIEW,
+            reasons: result.reviewReasons,
+            result
+        });
+        result.reviewId = reviewId;
+        queued.push(reviewId);
+        console.log(`Queued page ${result.pageNumber} for review: ${result.reviewReasons.join('; ')}`);
+    }
+
+    const summary = {
+        queued,
+        autoApproved: results.filter(result => result.reviewStatus === REVIEW_STATUS.AUTO_APPROVED).length
+    };
+    console.log(`Review routing: ${summary.queued.length} queued, ${summary.autoApproved} auto-approved`);
+    return summary;
+}
+
+/**
+ * Applies reviewer corrections to a result
+ * Corrected fields are re-normalized by their type and marked with source 'review' and full confidence
+ *
+ * Corrections: { company, documentType, fields: { fieldName: 'corrected text' }, items: [replacement line items] }
+ */
+function applyReviewCorrections(result, corrections = {}) {
+    const corrected = structuredClone(result);
+
+    if (corrections.company) {
+        corrected.company = corrections.company;
+        delete corrected.status;
+    }
+    if (corrections.documentType !== undefined) {
+        corrected.documentType = corrections.documentType;
+    }
+    for (const [name, raw] of Object.entries(corrections.fields || {})) {
+        const detail = corrected.fieldDetails?.[name] || { type: 'string' };
+        const { value, error } = normalizeFieldValue(raw, { name, type: detail.type });
+        corrected.fieldDetails = {
+            ...corrected.fieldDetails,
+            [name]: { ...detail, raw, value, valid: !error, error, source: 'review', confidence: 100 }
+        };
+        corrected.extractedFields = { ...corrected.extractedFields, [name]: raw };
+    }
+    if (corrections.items) {
+        corrected.items = corrections.items.map(item => ({ ...item, source: 'review', confidence: 100 }));
+    }
+    return corrected;
+}
+
+/**
+ * Approves a queued result, optionally with corrections, and publishes it to its target tables and sinks
+ * The corrected result is re-validated; a ValidationError leaves the review pending
+ * The review is only marked APPROVED once publishing succeeded: a failed table write or sink delivery
+ * throws a PublishError (with the storage report) and leaves the review pending, so approving can be retried
+ * Returns the updated review record with the storage report
+ */
+async function approveReview(reviewId, { corrections, reviewer } = {}, context = defaultContext) {
+    const review = await context.reviewStore.getReview(reviewId);
+    if (!review) {
+        throw new Error(`Review not found: ${reviewId}`);
+    }
+    if (review.status !== REVIEW_STATUS.PENDING_REVIEW) {
+        throw new Error(`Review ${reviewId} is already ${review.status}`);
+    }
+
+    const result = applyReviewCorrections(review.result, corrections);
+    // The configuration for the result's document type, as on the processing path
+    const companyRecord = result.company ? await context.companyStore.getCompany(result.company) : null;
+    const record = companyRecord
+        ? resolveDocumentTypeRecord(normalizeCompanyRecord(companyRecord), result.documentType)
+        : null;
+    if (corrections?.company || corrections?.documentType !== undefined) {
+        result.targetTables = record?.targetTables || [];
+        result.sinks = record?.sinks || [];
+        result.configVersion = record?.configVersion ?? null;
+    }
+
+    // Corrections must satisfy the company's validation rules before anything is published
+    result.validation = validateResult(result, record?.validation || []);
+    if (result.validation.blocking) {
+        const error = new Error(`Review ${reviewId} still fails validation: ${result.validation.errors.map(failure => failure.message).join('; ')}`);
+        error.name = 'ValidationError';
+        error.validation = result.validation;
+        throw error;
+    }
+    result.reviewStatus = REVIEW_STATUS.APPROVED;
+
+    // Rows for this document may already exist, e.g. after a forced reprocess, so write conditionally
+    const storage = await publishResults(
+        [result],
+        { bucket: review.bucket, key: review.key, documentId: review.documentId },
+        { conditional: true },
+        context
+    );
+    if (storage.failed > 0 || storage.sinkFailures > 0) {
+        const errors = [
+            ...Object.entries(storage.tables).flatMap(([tableName, table]) => table.errors.map(message => `${tableName}: ${message}`)),
+            ...storage.sinks.flatMap(sink => sink.errors.map(message => `${sink.name}: ${message}`))
+        ];
+        const error = new Error(`Review ${reviewId} could not be published, it stays pending: ${errors.join('; ')}`);
+        error.name = 'PublishError';
+        error.storage = storage;
+        throw error;
+    }
+
+    const updated = await context.reviewStore.updateReview(reviewId, {
+        status: REVIEW_STATUS.APPROVED,
+        result,
+        corrections: corrections || null,
+        reviewedBy: reviewer || null,
+        reviewedAt: new Date().toISOString()
+    }, REVIEW_STATUS.PENDING_REVIEW);
+    console.log(`Review ${reviewId} approved${reviewer ? ` by ${reviewer}` : ''}`);
+    return { ...updated, storage };
+}
+
+/**
+ * Rejects a queued result so it is never published
+ */
+async function rejectReview(reviewId, { reason, reviewer } = {}, context = defaultContext) {
+    const updated = await context.reviewStore.updateReview(reviewId, {
+        status: REVIEW_STATUS.REJECTED,
+        rejectionReason: reason || null,
+        reviewedBy: reviewer || null,
+        reviewedAt: new Date().toISOString()
+    }, REVIEW_STATUS.PENDING_REVIEW);
+    console.log(`Review ${reviewId} rejected${reviewer ? ` by ${reviewer}` : ''}`);
+    return updated;
+}
+
+/**
+ * Lists review queue entries, by default those waiting for a reviewer
+ */
+async function listReviews(status = REVIEW_STATUS.PENDING_REVIEW, context = defaultContext) {
+    return context.reviewStore.listReviews({ status });
+}
+
+/**
+ * Retrieves a single review queue entry
+ */
+async function getReview(reviewId, context = defaultContext) {
+    return context.reviewStore.getReview(reviewId);
+}
+
+/**
+ * Creates a set of processing functions bound to injected backends
+ * Pure block-parsing helpers are returned unchanged
+ */
+function createTextractUtils(overrides = {}) {
+    const context = createTextractContext(overrides);
+
+    return {
+        context,
+        getPageCount: (bucket, key) => getPageCount(bucket, key, context),
+        getAllCompanyRecords: () => getAllCompanyRecords(context),
+        getCompanyRecord: (company) => getCompanyRecord(company, context),
+        putCompanyRecord: (record) => putCompanyRecord(record, context),
+        deleteCompanyRecord: (company) => deleteCompanyRecord(company, context),
+        importCompanyRecords: (records, options) => importCompanyRecords(records, options, context),
+        exportCompanyRecords: () => exportCompanyRecords(context),
+        diffCompanyConfig: (records) => diffCompanyConfig(records, context),
+        listCompanyVersions: (company) => listCompanyVersions(company, context),
+        getCompanyVersion: (company, configVersion) => getCompanyVersion(company, configVersion, context),
+        fingerprintDocument: (s3Location) => fingerprintDocument(s3Location, context),
+        checkDocumentIdempotency: (s3Location, options) => checkDocumentIdempotency(s3Location, options, context),
+        recordDocumentStatus: (s3Location, status, details) => recordDocumentStatus(s3Location, status, details, context),
+        startAsyncTextractJob: (s3Location, options) => startAsyncTextractJob(s3Location, options, context),
+        getAsyncResults: (jobId, nextToken, options) => getAsyncResults(jobId, nextToken, options, context),
+        waitForJobCompletion: (jobId, options) => waitForJobCompletion(jobId, options, context),
+        collectJobResults: (jobId, options) => collectJobResults(jobId, options, context),
+        loadJobBatches: (job) => loadJobBatches(job, context),
+        completeTextractJob: (jobId, options) => completeTextractJob(jobId, options, context),
+        getTargetTablesForCompany: (company) => getTargetTablesForCompany(company, context),
+        analyzeDocument: (s3Location, options) => analyzeDocument(s3Location, options, context),
+        analyzeExpense: (s3Location) => analyzeExpense(s3Location, context),
+        identifyCompanyAndFields: (document, companyRecords) => identifyCompanyAndFields(document, companyRecords, context),
+        processSinglePageDocument: (s3Location, options) => processSinglePageDocument(s3Location, options, context),
+        processMultiPageDocument: (s3Location, companyRecords, options) => processMultiPageDocument(s3Location, companyRecords, options, context),
+        storeResultsInTables: (results, s3Location, options) => storeResultsInTables(results, s3Location, options, context),
+        publishResults: (results, s3Location, options) => publishResults(results, s3Location, options, context),
+        queueResultsForReview: (results, s3Location) => queueResultsForReview(results, s3Location, context),
+        approveReview: (reviewId, options) => approveReview(reviewId, options, context),
+        rejectReview: (reviewId, options) => rejectReview(reviewId, options, context),
+        listReviews: (status) => listReviews(status, context),
+        getReview: (reviewId) => getReview(reviewId, context),
+        getNotificationChannel,
+        buildQueriesConfig,
+        loadTextractResponses,
+        mergeTextractResponses,
+        findMatchingCompanyInPage,
+        extractTextFromPage,
+        extractFieldsFromPage,
+        extractText,
+        extractKeyValueEntries,
+        extractKeyValuePairs,
+        getTextForBlock,
+        extractFieldByPattern,
+        normalizeKey,
+        levenshteinDistance,
+        findKeyValue,
+        extractFieldDetails,
+        getFieldValues,
+        extractFields,
+        mapTableColumns,
+        extractTables,
+        resolveLineItemColumns,
+        extractLineItems,
+        extractExpenseLineItems,
+        processExpenseDocuments,
+        getReviewThreshold,
+        assessReview,
+        finalizeResult,
+        applyReviewCorrections,
+        getDocumentId,
+        getResultKey,
+        getPublishBlocker
+    };
 }
 
 export {
+    createTextractContext,
+    createTextractUtils,
+    createDynamoCompanyStore,
+    createMemoryCompanyStore,
+    createFileCompanyStore,
+    createDynamoJobStore,
+    createMemoryJobStore,
+    createDynamoReviewStore,
+    createMemoryReviewStore,
+    createDynamoDocumentRegistry,
+    createMemoryDocumentRegistry,
+    JOB_STATUS,
+    REVIEW_STATUS,
+    DOCUMENT_STATUS,
     getPageCount,
     getAllCompanyRecords,
+    getCompanyRecord,
+    putCompanyRecord,
+    deleteCompanyRecord,
+    importCompanyRecords,
+    exportCompanyRecords,
+    diffCompanyConfig,
+    listCompanyVersions,
+    getCompanyVersion,
+    fingerprintDocument,
+    checkDocumentIdempotency,
+    recordDocumentStatus,
+    getNotificationChannel,
     startAsyncTextractJob,
     getAsyncResults,
+    waitForJobCompletion,
+    collectJobResults,
+    loadJobBatches,
+    completeTextractJob,
+    loadTextractResponses,
+    mergeTextractResponses,
     findMatchingCompanyInPage,
     extractTextFromPage,
     extractFieldsFromPage,
     getTargetTablesForCompany,
+    MAX_QUERIES,
+    buildQueriesConfig,
     analyzeDocument,
+    analyzeExpense,
     extractText,
+    extractKeyValueEntries,
     extractKeyValuePairs,
     getTextForBlock,
     extractFieldByPattern,
     identifyCompanyAndFields,
+    normalizeKey,
+    levenshteinDistance,
+    findKeyValue,
+    extractFieldDetails,
+    getFieldValues,
     extractFields,
+    DEFAULT_TABLE_COLUMNS,
+    mapTableColumns,
+    extractTables,
+    resolveLineItemColumns,
+    extractLineItems,
+    extractExpenseLineItems,
+    processExpenseDocuments,
     processSinglePageDocument,
     processMultiPageDocument,
-    storeResultsInTables
+    getReviewThreshold,
+    assessReview,
+    finalizeResult,
+    getDocumentId,
+    getResultKey,
+    getPublishBlocker,
+    storeResultsInTables,
+    createDynamoDbSink,
+    publishResults,
+    queueResultsForReview,
+    applyReviewCorrections,
+    approveReview,
+    rejectReview,
+    listReviews,
+    getReview
 };
 
 
@@ -525,20 +2581,48 @@ export {
 
 // Attribute    Type    Description     Key
 // company      String  Primary key - exact company name        Partition
-// fields       List    Default fields to extract       
+// schemaVersion Number Company record schema version (see company-config.js); missing reads as 1
+// configVersion Number Version of this record, incremented on every write; each version is kept in COMPANY_CONFIG_VERSIONS_TABLE
+// updatedAt    String  When this version was written
+// fields       List    Default fields to extract: names, or { name, type, strategies, ...type options } (see field-types.js, field-strategies.js)
+// zones        List    Optional named page regions read by zone strategies (see document-zones.js)
+// processingMode String Optional 'document' (default) or 'expense' to read the company's documents with AnalyzeExpense
 // targetTables List    DynamoDB table names where data should be stored
+// lineItems    Map     Optional line-item schema: columns, requiredColumns, continuation
+// reviewThreshold Number Optional confidence (0-100) below which results go to the review queue
+// validation   List    Optional validation rules (see validation.js); failing error rules block publishing
+// sinks        List    Optional extra result sinks: s3 (JSON/CSV), webhook, eventbridge (see result-sinks.js)
+// documentTypes Map    Optional per-document-type overrides of the above, keyed by type (see document-classification.js)
 
 
 
 // Example Target Tables Structure:
 // Each target table can have its own schema, but should at minimum support:
 
-// documentId (String) - Unique identifier for the document
+// documentId (String) - Unique identifier for the document (partition key)
+
+// resultKey (String) - 'pages#0001-0003', the page range of the logical document (sort key)
 
 // company (String) - Company name
 
-// pageNumber (Number) - Page number (for multi-page docs)
+// documentType (String) - Detected document type, e.g. invoice or deliveryNote (null when not detected)
+
+// pageNumber (Number) - First page of the logical document (for multi-page docs)
+
+// pages (List) - Every page of the logical document
 
 // extractedFields (Map) - Key-value pairs of extracted data
 
+// fieldDetails (Map) - Raw text, normalized value and parse errors per field
+
+// items (List) - Line items extracted from the page's tables, or from AnalyzeExpense line item groups
+
+// reviewStatus (String) - AUTO_APPROVED or APPROVED; other results are never published
+
+// validation (Map) - Validation report; only results without error-level failures are published
+
+// configVersion (Number) - Company config version that produced the result (null for records saved before versioning)
+
+// version (Number) - Processing start time in ms; conditional writes only replace older versions
+
 // processedAt (String) - ISO timestamp of processing
\ No newline at end of file
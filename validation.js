@@ -0,0 +1,172 @@
+// Per-company validation rules for extraction results
+import { parseNumber } from './field-types.js';
+
+const RULE_TYPES = ['required', 'pattern', 'range', 'compare', 'sum', 'product'];
+
+// Attributes each rule type defines, besides type, severity and message
+const RULE_ATTRIBUTES = {
+    required: ['field'],
+    pattern: ['field', 'pattern', 'flags'],
+    range: ['field', 'min', 'max'],
+    compare: ['field', 'operator', 'other', 'value', 'tolerance'],
+    sum: ['column', 'equals', 'tolerance'],
+    product: ['factors', 'equals', 'tolerance']
+};
+
+const SEVERITIES = ['error', 'warning'];
+
+const COMPARATORS = {
+    '=': (a, b, tolerance) => Math.abs(a - b) <= tolerance,
+    '!=': (a, b, tolerance) => Math.abs(a - b) > tolerance,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+/**
+ * Reads a field's value from a result, preferring the normalized value
+ */
+function getFieldValue(result, field) {
+    const detail = result.fieldDetails?.[field];
+    if (detail && detail.value !== null && detail.value !== undefined) return detail.value;
+    return result.extractedFields?.[field] ?? null;
+}
+
+/**
+ * Converts a normalized or raw value to a comparable number
+ * Money and quantities compare by amount; ISO dates compare by timestamp
+ */
+function toComparable(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'object') return value.amount ?? value.quantity ?? null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return Date.parse(value);
+    return parseNumber(String(value).replace(/[^\d.,()\-]/g, ''));
+}
+
+/**
+ * Reads a line-item column as a number, preferring typed values under item.normalized
+ */
+function getItemNumber(item, column) {
+    const normalized = item.normalized?.[column];
+    return toComparable(normalized ?? item[column]);
+}
+
+/**
+ * Evaluates one rule against a result
+ * Returns a list of failure messages (empty when the rule passes)
+ */
+function evaluateRule(rule, result) {
+    const tolerance = rule.tolerance ?? 0.01;
+    const items = result.items || [];
+
+    switch (rule.type) {
+        case 'required': {
+            const value = getFieldValue(result, rule.field);
+            return value === null || value === '' ? [`${rule.field} is required`] : [];
+        }
+        case 'pattern': {
+            const raw = result.extractedFields?.[rule.field];
+            if (raw === null || raw === undefined || raw === '') return [];
+            return new RegExp(rule.pattern, rule.flags).test(raw)
+                ? []
+                : [`${rule.field} '${raw}' does not match ${rule.pattern}`];
+        }
+        case 'range': {
+            const value = toComparable(getFieldValue(result, rule.field));
+            if (value === null) return [];
+            const min = rule.min !== undefined ? toComparable(rule.min) : null;
+            const max = rule.max !== undefined ? toComparable(rule.max) : null;
+            if ((min !== null && value < min) || (max !== null && value > max)) {
+                return [`${rule.field} is outside ${rule.min ?? '-∞'}..${rule.max ?? '∞'}`];
+            }
+            return [];
+        }
+        case 'compare': {
+            if (rule.other === undefined && rule.value === undefined) {
+                return [`Misconfigured compare rule for ${rule.field}: needs other or value`];
+            }
+            const left = toComparable(getFieldValue(result, rule.field));
+            const right = toComparable(rule.other !== undefined ? getFieldValue(result, rule.other) : rule.value);
+            if (left === null || right === null) return [];
+            const compare = COMPARATORS[rule.operator || '='];
+            return compare(left, right, tolerance)
+                ? []
+                : [`${rule.field} ${rule.operator || '='} ${rule.other ?? rule.value} does not hold (${left} vs ${right})`];
+        }
+        case 'sum': {
+            if (rule.equals === undefined) {
+                return [`Misconfigured sum rule for ${rule.column}: needs equals`];
+            }
+            const total = toComparable(getFieldValue(result, rule.equals));
+            if (total === null || items.length === 0) return [];
+            const sum = items.reduce((acc, item) => acc + (getItemNumber(item, rule.column) || 0), 0);
+            return Math.abs(sum - total) <= tolerance
+                ? []
+                : [`Sum of line-item ${rule.column} (${Number(sum.toFixed(4))}) does not equal ${rule.equals} (${total})`];
+        }
+        case 'product': {
+            if (rule.equals === undefined || !Array.isArray(rule.factors)) {
+                return ['Misconfigured product rule: needs factors and equals'];
+            }
+            return items.flatMap((item, index) => {
+                const factors = rule.factors.map(column => getItemNumber(item, column));
+                const expected = getItemNumber(item, rule.equals);
+                if (expected === null || factors.some(factor => factor === null)) return [];
+                const product = factors.reduce((acc, factor) => acc * factor, 1);
+                return Math.abs(product - expected) <= tolerance
+                    ? []
+                    : [`Line item ${index + 1}: ${rule.factors.join(' × ')} = ${Number(product.toFixed(4))}, but ${rule.equals} is ${expected}`];
+            });
+        }
+        default:
+            return [`Unknown validation rule type '${rule.type}'`];
+    }
+}
+
+/**
+ * Validates a result against a company's rules
+ * Rules default to severity 'error'; any failing error-level rule makes the report blocking
+ *
+ * Rules (company record `validation`):
+ *   { type: 'required', field }
+ *   { type: 'pattern',  field, pattern, flags }
+ *   { type: 'range',    field, min, max }                        numbers, money, quantities or ISO dates
+ *   { type: 'compare',  field, operator, other | value, tolerance }
+ *   { type: 'sum',      column, equals, tolerance }              line-item column total equals a field
+ *   { type: 'product',  factors: [columns], equals, tolerance }   per line item, e.g. quantity × unitPrice = amount
+ * Every rule also accepts severity ('error' | 'warning') and a custom message.
+ * A rule missing what it compares against fails rather than passing unchecked.
+ */
+function validateResult(result, rules = []) {
+    const errors = [];
+    const warnings = [];
+
+    for (const rule of rules) {
+        const failures = evaluateRule(rule, result);
+        const target = (rule.severity || 'error') === 'error' ? errors : warnings;
+        for (const failure of failures) {
+            target.push({ rule: rule.type, field: rule.field || rule.column || rule.equals || null, message: rule.message || failure });
+        }
+    }
+
+    if (errors.length > 0 || warnings.length > 0) {
+        console.log(`Validation: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    }
+    return {
+        valid: errors.length === 0,
+        blocking: errors.length > 0,
+        rulesChecked: rules.length,
+        errors,
+        warnings
+    };
+}
+
+export {
+    RULE_TYPES,
+    RULE_ATTRIBUTES,
+    SEVERITIES,
+    COMPARATORS,
+    validateResult
+};